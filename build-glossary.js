@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+
+/**
+ * Glossary Builder for System Design GitBook
+ * Parses the "**Term**" + definition entries of GLOSSARY.md, compares them
+ * with the concepts, technologies and patterns in cross-references.json, and
+ * writes glossary.json: one canonical, alphabetical list of terms that
+ * EnhancedSearch loads for autocomplete and hover cards. The same terms are
+ * written to appendices/01-glossary.md as "## Term" + definition, the format
+ * of the glossary file book.json's structure.glossary points GitBook at.
+ *
+ * Reports terms defined twice in a file, worded differently in two sources,
+ * or missing from the glossary, entries out of alphabetical order or under
+ * the wrong letter heading, and a structure.glossary that does not point at
+ * the generated page (errors) or a page that is out of date.
+ *
+ *   node build-glossary.js           # write glossary.json and the glossary page, report problems
+ *   node build-glossary.js --check   # report only; exit 1 on any warning
+ *   node build-glossary.js --fix     # re-sort the letter sections of GLOSSARY.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ROOT_DIR = __dirname;
+const GLOSSARY_FILE = 'GLOSSARY.md';
+const APPENDIX_GLOSSARY_FILE = 'appendices/01-glossary.md';
+const CROSS_REFERENCES_FILE = 'cross-references.json';
+const OUTPUT_FILE = 'glossary.json';
+
+// Must match GLOSSARY_VERSION in search-engine.js
+const GLOSSARY_VERSION = 1;
+
+// Glossary files in the order their definitions are preferred
+const GLOSSARY_SOURCES = [GLOSSARY_FILE];
+
+// Configs whose structure.glossary must point at APPENDIX_GLOSSARY_FILE
+const BOOK_CONFIGS = ['book.json', '.gitbook.yaml'];
+
+// cross-references.json groups and the field holding their definition
+const REFERENCE_GROUPS = {
+    concepts: 'definition',
+    technologies: 'description',
+    patterns: 'description'
+};
+
+// Definitions sharing fewer content words than this are reported as different
+const MIN_DEFINITION_OVERLAP = 0.3;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'that', 'with', 'from', 'are', 'can', 'only', 'its', 'into',
+    'where', 'when', 'which', 'while', 'this', 'than', 'has', 'have', 'over', 'all'
+]);
+
+// Parse "## X" letter sections and "**Term**" entries; definitions run to the next blank line
+function parseGlossary(content) {
+    const lines = content.split(/\r?\n/);
+    const sections = [];
+    const entries = [];
+    let section = null;
+    let entry = null;
+
+    lines.forEach((line, index) => {
+        const heading = line.match(/^##\s+(.+?)\s*$/);
+        const termMatch = line.match(/^\*\*(.+?)\*\*\s*$/);
+
+        if (heading) {
+            entry = null;
+            section = { title: heading[1], line: index + 1, entries: [], otherLines: [] };
+            sections.push(section);
+        } else if (termMatch) {
+            entry = { term: termMatch[1].trim(), definition: '', line: index + 1, section: section ? section.title : null };
+            entries.push(entry);
+            if (section) section.entries.push(entry);
+        } else if (!line.trim()) {
+            entry = null;
+        } else if (entry) {
+            entry.definition = entry.definition ? `${entry.definition} ${line.trim()}` : line.trim();
+        } else if (section) {
+            section.otherLines.push(index + 1);
+        }
+    });
+
+    return { sections, entries: entries.filter(item => item.definition) };
+}
+
+// "Load Balancer" -> "load balancer"
+function normalizeTerm(term) {
+    return term.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Letter heading a term belongs under
+function getTermLetter(term) {
+    const first = term.trim().charAt(0).toUpperCase();
+    return /[A-Z]/.test(first) ? first : '#';
+}
+
+// Alphabetical order ignoring case: "DNS" after "Distributed System"
+function compareTerms(a, b) {
+    return a.localeCompare(b, 'en', { sensitivity: 'base' }) || a.localeCompare(b, 'en');
+}
+
+// "Domain Name System" from "Domain Name System - translates ...", for all-capital terms
+function getExpansion(term, definition) {
+    if (!/^[A-Z][A-Z0-9/]+$/.test(term)) return null;
+    const match = definition.match(/^([^-]+?)\s+-\s+/);
+    return match ? match[1].toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() : null;
+}
+
+function getContentWords(text) {
+    return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+// Share of content words two definitions have in common (0-1)
+function getDefinitionOverlap(a, b) {
+    const wordsA = getContentWords(a);
+    const wordsB = getContentWords(b);
+    const union = new Set([...wordsA, ...wordsB]);
+    if (union.size === 0) return 1;
+    return [...wordsA].filter(word => wordsB.has(word)).length / union.size;
+}
+
+// Word stems, so "Load Balancing" can point at "Load Balancer"
+function getTermStems(term) {
+    return normalizeTerm(term).split(/[^a-z0-9]+/).filter(Boolean).map(word => word.replace(/(ing|ers|er|s)$/, ''));
+}
+
+// Glossary term whose words cover the other term's (or the reverse), if any
+function findSimilarTerm(term, candidates) {
+    const stems = getTermStems(term);
+    return candidates.find(candidate => {
+        const candidateStems = getTermStems(candidate);
+        return candidateStems.every(stem => stems.includes(stem)) || stems.every(stem => candidateStems.includes(stem));
+    }) || null;
+}
+
+// Entries from cross-references.json: { term, definition, group, jsonPointer, mainLocation, relatedTopics }
+function collectReferenceEntries(data) {
+    const references = (data && data.crossReferences) || {};
+    const escapeKey = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+    const entries = [];
+
+    Object.entries(REFERENCE_GROUPS).forEach(([group, field]) => {
+        Object.entries(references[group] || {}).forEach(([term, entry]) => {
+            if (!entry || typeof entry[field] !== 'string') return;
+            entries.push({
+                term,
+                definition: entry[field],
+                group,
+                jsonPointer: `/crossReferences/${group}/${escapeKey(term)}`,
+                mainLocation: entry.mainLocation || null,
+                relatedTopics: entry.relatedTopics || []
+            });
+        });
+    });
+
+    return entries;
+}
+
+// "GLOSSARY.md:12", or just the file when there is no line
+function formatLocation(location) {
+    return location.line ? `${location.file}:${location.line}` : location.file;
+}
+
+// Same wording ignoring case, spacing and a final full stop
+function isSameDefinition(a, b) {
+    const normalize = text => text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '');
+    return normalize(a) === normalize(b);
+}
+
+// Order and placement problems inside one glossary file
+function checkGlossaryLayout(file, parsed, problems) {
+    const report = (severity, type, entry, message) => problems.push({ severity, type, term: entry.term, file, line: entry.line, message });
+    const seen = new Map();
+
+    parsed.entries.forEach(entry => {
+        const key = normalizeTerm(entry.term);
+        if (seen.has(key)) {
+            report('warning', 'duplicate', entry, `"${entry.term}" is already defined at line ${seen.get(key).line}`);
+        } else {
+            seen.set(key, entry);
+        }
+    });
+
+    const letterSections = parsed.sections.filter(section => /^[A-Z#]$/.test(section.title));
+    letterSections.forEach((section, index) => {
+        const previous = letterSections[index - 1];
+        if (previous && compareTerms(previous.title, section.title) >= 0) {
+            problems.push({ severity: 'warning', type: 'order', term: null, file, line: section.line, message: `Section "${section.title}" comes after "${previous.title}"` });
+        }
+
+        section.entries.forEach((entry, entryIndex) => {
+            const letter = getTermLetter(entry.term);
+            if (letter !== section.title) {
+                report('warning', 'section', entry, `"${entry.term}" belongs under "## ${letter}", not "## ${section.title}"`);
+            }
+            const before = section.entries[entryIndex - 1];
+            if (before && compareTerms(before.term, entry.term) > 0) {
+                report('warning', 'order', entry, `"${entry.term}" should come before "${before.term}"`);
+            }
+        });
+    });
+}
+
+// Parse every source, compare them and build the canonical term list
+function checkGlossary(rootDir = ROOT_DIR) {
+    const problems = [];
+    const sources = [];
+
+    GLOSSARY_SOURCES.forEach(file => {
+        const filePath = path.join(rootDir, file);
+        if (!fs.existsSync(filePath)) return;
+        const parsed = parseGlossary(fs.readFileSync(filePath, 'utf8'));
+        sources.push({ file, parsed });
+        checkGlossaryLayout(file, parsed, problems);
+
+        if (parsed.entries.length === 0) {
+            problems.push({ severity: 'info', type: 'empty', term: null, file, line: 1, message: 'No "**Term**" entries yet' });
+        }
+    });
+
+    const referencesPath = path.join(rootDir, CROSS_REFERENCES_FILE);
+    const references = fs.existsSync(referencesPath)
+        ? collectReferenceEntries(JSON.parse(fs.readFileSync(referencesPath, 'utf8')))
+        : [];
+
+    // Canonical terms keyed by normalized name, first definition wins
+    const terms = new Map();
+    const addTerm = (entry, source) => {
+        const key = normalizeTerm(entry.term);
+        if (!terms.has(key)) {
+            terms.set(key, {
+                term: entry.term,
+                definition: entry.definition,
+                letter: getTermLetter(entry.term),
+                mainLocation: null,
+                relatedTopics: [],
+                sources: [],
+                definitions: []
+            });
+        }
+        const term = terms.get(key);
+        term.sources.push(source.name);
+        term.definitions.push({ location: source.location, definition: entry.definition });
+        if (entry.mainLocation && !term.mainLocation) term.mainLocation = entry.mainLocation;
+        if (entry.relatedTopics && term.relatedTopics.length === 0) term.relatedTopics = entry.relatedTopics;
+    };
+
+    sources.forEach(({ file, parsed }) => {
+        const seen = new Set();
+        parsed.entries.forEach(entry => {
+            if (seen.has(normalizeTerm(entry.term))) return; // reported as a duplicate
+            seen.add(normalizeTerm(entry.term));
+            addTerm(entry, { name: file, location: { file, line: entry.line } });
+        });
+    });
+
+    const glossaryTerms = sources.flatMap(({ parsed }) => parsed.entries.map(entry => entry.term));
+    references.forEach(entry => {
+        const location = { file: CROSS_REFERENCES_FILE, jsonPointer: entry.jsonPointer };
+        if (!terms.has(normalizeTerm(entry.term))) {
+            const similar = findSimilarTerm(entry.term, glossaryTerms);
+            problems.push({
+                severity: 'warning',
+                type: 'missing',
+                term: entry.term,
+                ...location,
+                message: `"${entry.term}" (${entry.group}) is not in ${GLOSSARY_FILE}${similar ? ` (it has "${similar}")` : ''}`
+            });
+        }
+        addTerm(entry, { name: `${CROSS_REFERENCES_FILE}#${entry.jsonPointer}`, location });
+    });
+
+    // Compare every other definition of a term with the preferred one
+    terms.forEach(term => {
+        const [preferred, ...others] = term.definitions;
+        others.forEach(other => {
+            const where = formatLocation(preferred.location);
+            const expansion = getExpansion(term.term, preferred.definition);
+            const otherExpansion = getExpansion(term.term, other.definition);
+
+            if (expansion && otherExpansion && expansion !== otherExpansion) {
+                problems.push({
+                    severity: 'warning',
+                    type: 'contradiction',
+                    term: term.term,
+                    ...other.location,
+                    message: `"${term.term}" expands to "${otherExpansion}" here but "${expansion}" in ${where}`
+                });
+            } else if (getDefinitionOverlap(preferred.definition, other.definition) < MIN_DEFINITION_OVERLAP) {
+                problems.push({
+                    severity: 'warning',
+                    type: 'contradiction',
+                    term: term.term,
+                    ...other.location,
+                    message: `"${term.term}" is defined differently in ${where}`
+                });
+            } else if (!isSameDefinition(preferred.definition, other.definition)) {
+                problems.push({
+                    severity: 'warning',
+                    type: 'duplicate',
+                    term: term.term,
+                    ...other.location,
+                    message: `"${term.term}" is worded differently in ${where}, whose definition the glossary keeps; use the same wording in both`
+                });
+            }
+        });
+    });
+
+    const entries = [...terms.values()]
+        .map(({ definitions, ...term }) => ({ ...term, mainLocation: term.mainLocation || APPENDIX_GLOSSARY_FILE }))
+        .sort((a, b) => compareTerms(a.term, b.term));
+
+    checkGlossaryPage(rootDir, entries, problems);
+
+    return { sources: sources.map(source => source.file), entries, problems };
+}
+
+// structure.glossary of book.json and .gitbook.yaml must name the generated page, which must be current
+function checkGlossaryPage(rootDir, entries, problems) {
+    const report = (severity, type, file, message) => problems.push({ severity, type, term: null, file, line: null, message });
+    let pointed = false;
+
+    BOOK_CONFIGS.forEach(file => {
+        const configPath = path.join(rootDir, file);
+        if (!fs.existsSync(configPath)) return;
+        const content = fs.readFileSync(configPath, 'utf8');
+        const glossary = (((file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {}).structure || {}).glossary;
+
+        if (glossary === APPENDIX_GLOSSARY_FILE) {
+            pointed = true;
+        } else if (glossary) {
+            report('error', 'structure', file, `structure.glossary points at ${glossary}; GitBook's glossary is ${APPENDIX_GLOSSARY_FILE}, written by this script`);
+        }
+    });
+
+    if (!pointed) return;
+    const pagePath = path.join(rootDir, APPENDIX_GLOSSARY_FILE);
+    if (!fs.existsSync(pagePath)) {
+        report('error', 'structure', APPENDIX_GLOSSARY_FILE, 'Missing, though structure.glossary points at it; run npm run build-glossary');
+    } else if (fs.readFileSync(pagePath, 'utf8') !== buildGlossaryPage(entries)) {
+        report('warning', 'stale', APPENDIX_GLOSSARY_FILE, `Out of date with ${GLOSSARY_FILE} and ${CROSS_REFERENCES_FILE}; run npm run build-glossary`);
+    }
+}
+
+// glossary.json contents
+function buildGlossaryData(report, generatedAt = new Date().toISOString()) {
+    return {
+        version: GLOSSARY_VERSION,
+        generatedAt,
+        sources: [...report.sources, CROSS_REFERENCES_FILE],
+        termCount: report.entries.length,
+        terms: report.entries
+    };
+}
+
+// appendices/01-glossary.md contents: every term as "## Term" + definition, the format GitBook reads
+function buildGlossaryPage(entries) {
+    const body = entries.map(entry => `## ${entry.term}\n\n${entry.definition.replace(/\.?$/, '.')}`);
+    return [
+        '# Glossary of Terms',
+        '',
+        `<!-- Generated by build-glossary.js from ${GLOSSARY_FILE} and ${CROSS_REFERENCES_FILE}; edit those and run npm run build-glossary -->`,
+        '',
+        'Definitions of the terms used throughout the book, in alphabetical order. GitBook links each mention of a term in the chapters to its entry here.',
+        '',
+        body.join('\n\n'),
+        ''
+    ].join('\n');
+}
+
+// Rewrite a glossary with its letter sections and entries in alphabetical order
+function sortGlossary(content) {
+    const parsed = parseGlossary(content);
+    const withText = parsed.sections.find(section => section.otherLines.length > 0 && /^[A-Z#]$/.test(section.title));
+    if (withText) {
+        throw new Error(`"## ${withText.title}" has text besides entries (line ${withText.otherLines[0]}); sort it by hand`);
+    }
+    if (parsed.sections.some(section => !/^[A-Z#]$/.test(section.title))) {
+        throw new Error('Only glossaries made of "## A"-style letter sections can be sorted');
+    }
+
+    const lines = content.split(/\r?\n/);
+    const preamble = parsed.sections.length > 0 ? lines.slice(0, parsed.sections[0].line - 1) : lines;
+    const letters = new Map();
+    parsed.entries.forEach(entry => {
+        const letter = getTermLetter(entry.term);
+        if (!letters.has(letter)) letters.set(letter, []);
+        letters.get(letter).push(entry);
+    });
+
+    const body = [...letters.keys()].sort(compareTerms).map(letter => {
+        const entries = letters.get(letter).sort((a, b) => compareTerms(a.term, b.term));
+        return [`## ${letter}`, '', entries.map(entry => `**${entry.term}**\n${entry.definition}`).join('\n\n')].join('\n');
+    });
+
+    return `${preamble.join('\n').replace(/\s*$/, '')}\n\n${body.join('\n\n')}\n`;
+}
+
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const fix = process.argv.includes('--fix');
+
+    console.log('📖 Glossary Builder\n');
+
+    try {
+        if (fix) {
+            const glossaryPath = path.join(ROOT_DIR, GLOSSARY_FILE);
+            const content = fs.readFileSync(glossaryPath, 'utf8');
+            const sorted = sortGlossary(content);
+            if (sorted !== content) {
+                fs.writeFileSync(glossaryPath, sorted);
+                console.log(`🔧 Sorted ${GLOSSARY_FILE}\n`);
+            }
+        }
+
+        let report = checkGlossary(ROOT_DIR);
+        const pagePath = path.join(ROOT_DIR, APPENDIX_GLOSSARY_FILE);
+        const page = buildGlossaryPage(report.entries);
+        if (!check && (!fs.existsSync(pagePath) || fs.readFileSync(pagePath, 'utf8') !== page)) {
+            fs.writeFileSync(pagePath, page);
+            console.log(`🔧 Wrote ${APPENDIX_GLOSSARY_FILE}\n`);
+            report = checkGlossary(ROOT_DIR);
+        }
+
+        const icons = { error: '❌', warning: '⚠️ ', info: '💡' };
+        report.problems.forEach(problem => console.log(`${icons[problem.severity]} ${formatLocation(problem)} - ${problem.message}`));
+
+        const errors = report.problems.filter(problem => problem.severity === 'error');
+        const warnings = report.problems.filter(problem => problem.severity === 'warning');
+        console.log(`\n🎯 ${report.entries.length} terms from ${report.sources.join(', ')} and ${CROSS_REFERENCES_FILE}`);
+
+        if (!check) {
+            fs.writeFileSync(path.join(ROOT_DIR, OUTPUT_FILE), JSON.stringify(buildGlossaryData(report), null, 2) + '\n');
+            console.log(`✅ Wrote ${OUTPUT_FILE}`);
+        }
+
+        if (errors.length + warnings.length === 0) {
+            console.log('✅ Glossary is consistent');
+        } else {
+            const count = errors.length + warnings.length;
+            console.log(`${errors.length > 0 ? '❌' : '⚠️ '} ${count} glossary problem${count === 1 ? '' : 's'}` +
+                (warnings.some(problem => problem.type === 'order' || problem.type === 'section') ? ' (run with --fix to sort)' : ''));
+            if (errors.length > 0 || check) process.exit(1);
+        }
+    } catch (error) {
+        console.log('❌ Failed to build glossary:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    GLOSSARY_VERSION,
+    GLOSSARY_FILE,
+    APPENDIX_GLOSSARY_FILE,
+    OUTPUT_FILE,
+    parseGlossary,
+    normalizeTerm,
+    getTermLetter,
+    compareTerms,
+    getDefinitionOverlap,
+    findSimilarTerm,
+    collectReferenceEntries,
+    checkGlossary,
+    buildGlossaryData,
+    buildGlossaryPage,
+    sortGlossary
+};
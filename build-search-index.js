@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Generator for System Design GitBook
+ * Walks SUMMARY.md and the chapter directories and writes search-index.json
+ * for EnhancedSearch, plus word-counts.json for the "N min read" badges.
+ * The file formats are documented in SEARCH-INDEX.md.
+ *
+ *   node build-search-index.js [search-index.json] [word-counts.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseGlossaryEntries } = require('./build-synonyms');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+
+// Bump when the document shape changes in a way consumers must know about
+// (and update the copy in search-engine.js)
+const SEARCH_INDEX_VERSION = 1;
+
+const ROOT_DIR = __dirname;
+const DEFAULT_OUTPUT = 'search-index.json';
+const DEFAULT_WORD_COUNTS_OUTPUT = 'word-counts.json';
+
+// Find every part-*/chapter-*/*.md file on disk
+function findChapterFiles(rootDir) {
+    const files = [];
+
+    fs.readdirSync(rootDir)
+        .filter(name => name.startsWith('part-'))
+        .sort()
+        .forEach(partDir => {
+            fs.readdirSync(path.join(rootDir, partDir))
+                .filter(name => name.startsWith('chapter-'))
+                .sort()
+                .forEach(chapterDir => {
+                    fs.readdirSync(path.join(rootDir, partDir, chapterDir))
+                        .filter(name => name.endsWith('.md'))
+                        .sort()
+                        .forEach(file => files.push(`${partDir}/${chapterDir}/${file}`));
+                });
+        });
+
+    return files;
+}
+
+// "part-i-fundamentals" -> "fundamentals"
+function getPartKey(filePath) {
+    const match = filePath.match(/^part-[ivx]+-([^/]+)\//);
+    if (match) return match[1];
+    return filePath.startsWith('appendices/') ? 'appendices' : null;
+}
+
+// "chapter-03-distributed-systems" -> 3
+function getChapterNumber(filePath) {
+    const match = filePath.match(/\/chapter-(\d+)-/);
+    return match ? Number(match[1]) : null;
+}
+
+// Split YAML front matter from the Markdown body
+function parseFrontMatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { data: {}, body: markdown };
+
+    const data = yaml.load(match[1]);
+    return {
+        data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+        body: markdown.slice(match[0].length)
+    };
+}
+
+// Normalise a front matter value to an array of strings
+function toStringList(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined).map(String);
+    if (typeof value === 'object') return Object.values(value).flatMap(toStringList);
+    return [String(value)];
+}
+
+// Map each page path to the technologies in cross-references.json that cite it
+function getTechnologiesByPath(rootDir) {
+    const technologiesByPath = new Map();
+    const crossReferencesPath = path.join(rootDir, 'cross-references.json');
+    if (!fs.existsSync(crossReferencesPath)) return technologiesByPath;
+
+    const data = JSON.parse(fs.readFileSync(crossReferencesPath, 'utf8'));
+    const technologies = (data.crossReferences && data.crossReferences.technologies) || {};
+
+    Object.entries(technologies).forEach(([name, technology]) => {
+        [technology.mainLocation, ...(technology.useCases || [])].filter(Boolean).forEach(filePath => {
+            if (!technologiesByPath.has(filePath)) technologiesByPath.set(filePath, []);
+            technologiesByPath.get(filePath).push(name);
+        });
+    });
+
+    return technologiesByPath;
+}
+
+// Convert Markdown to plain searchable text
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^---\n[\s\S]*?\n---\n/, '')
+        .replace(/^[ \t]*(```|~~~)[\s\S]*?^[ \t]*\1[ \t]*$/gm, ' ')
+        .replace(/\{%[\s\S]*?%\}/g, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*[-*+]\s+\[[ xX]\]\s+/gm, '')
+        .replace(/^\s*([-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_~]{1,3}([^*_~\n]+)[*_~]{1,3}/g, '$1')
+        .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, ' ')
+        .replace(/\|/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Number of words in plain text from markdownToText (code blocks are already gone)
+function countWords(text) {
+    return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’.-]*/gu) || []).length;
+}
+
+// Extract the page title and headings outside code blocks, including fences indented in lists
+function extractHeadings(markdown) {
+    const headings = [];
+    let title = null;
+    let fence = null;
+
+    markdown.split('\n').forEach(line => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch) {
+            fence = fence === fenceMatch[1] ? null : (fence || fenceMatch[1]);
+            return;
+        }
+        if (fence) return;
+
+        const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (!match) return;
+
+        const text = markdownToText(match[2]);
+        if (match[1].length === 1 && title === null) {
+            title = text;
+        } else {
+            headings.push({ level: match[1].length, text });
+        }
+    });
+
+    return { title, headings };
+}
+
+// Derive a stable document id from its path
+function getDocumentId(filePath) {
+    return filePath
+        .replace(/\.md$/, '')
+        .replace(/\/README$/, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase();
+}
+
+// Build one index document from a Markdown file
+function buildDocument(rootDir, filePath, entry, technologiesByPath = new Map()) {
+    const source = fs.readFileSync(path.join(rootDir, filePath), 'utf8');
+    const { data: frontMatter, body: markdown } = parseFrontMatter(source);
+    const { title, headings } = extractHeadings(markdown);
+    const chapterNumber = entry && entry.chapter ? entry.chapter.number : getChapterNumber(filePath);
+    const content = markdownToText(markdown);
+
+    return {
+        id: getDocumentId(filePath),
+        path: filePath,
+        title: frontMatter.title || title || (entry ? entry.title : path.basename(filePath, '.md')),
+        summaryTitle: entry ? entry.title : null,
+        type: entry ? entry.type : (filePath.endsWith('/README.md') ? 'chapter' : 'section'),
+        section: entry ? entry.section : null,
+        chapter: chapterNumber,
+        chapterTitle: entry && entry.chapter ? entry.chapter.title : null,
+        part: getPartKey(filePath),
+        partTitle: entry ? entry.partTitle : null,
+        inSummary: Boolean(entry),
+        headings: headings.map(heading => heading.text),
+        content,
+        wordCount: countWords(content),
+        difficulty: frontMatter.difficulty ? String(frontMatter.difficulty) : null,
+        category: frontMatter.category ? String(frontMatter.category) : null,
+        companies: toStringList(frontMatter.companies),
+        tags: toStringList(frontMatter.tags),
+        technologies: [...new Set([
+            ...toStringList(frontMatter.technologies),
+            ...(technologiesByPath.get(filePath) || [])
+        ])]
+    };
+}
+
+// Page path -> word count, the small file behind the reading-time badges
+function buildWordCounts(index) {
+    return {
+        version: index.version,
+        generatedAt: index.generatedAt,
+        pages: Object.fromEntries(index.documents.map(doc => [doc.path, doc.wordCount]))
+    };
+}
+
+// Build the complete index object
+function buildSearchIndex(rootDir = ROOT_DIR) {
+    const entries = getSummaryEntries(loadSummary(rootDir));
+    const entriesByPath = new Map(entries.map(entry => [entry.path, entry]));
+    const technologiesByPath = getTechnologiesByPath(rootDir);
+    const documents = [];
+    const seen = new Set();
+
+    const addDocument = (filePath) => {
+        if (seen.has(filePath)) return;
+        seen.add(filePath);
+
+        if (!fs.existsSync(path.join(rootDir, filePath))) {
+            console.log(`⚠️  ${filePath} - Listed in SUMMARY.md but missing on disk`);
+            return;
+        }
+        documents.push(buildDocument(rootDir, filePath, entriesByPath.get(filePath), technologiesByPath));
+    };
+
+    // SUMMARY.md order first, then chapter files that are not linked from it
+    entries.forEach(entry => addDocument(entry.path));
+    findChapterFiles(rootDir).forEach(addDocument);
+
+    const glossaryPath = path.join(rootDir, 'GLOSSARY.md');
+    const glossary = fs.existsSync(glossaryPath)
+        ? parseGlossaryEntries(fs.readFileSync(glossaryPath, 'utf8'))
+        : [];
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        generatedAt: new Date().toISOString(),
+        documentCount: documents.length,
+        documents,
+        glossary
+    };
+}
+
+if (require.main === module) {
+    const outputFile = process.argv[2] || DEFAULT_OUTPUT;
+    const wordCountsFile = process.argv[3] || DEFAULT_WORD_COUNTS_OUTPUT;
+
+    console.log('🔎 Building search index...\n');
+
+    try {
+        const index = buildSearchIndex(ROOT_DIR);
+        fs.writeFileSync(path.resolve(outputFile), JSON.stringify(index, null, 2) + '\n');
+        fs.writeFileSync(path.resolve(wordCountsFile), JSON.stringify(buildWordCounts(index), null, 2) + '\n');
+
+        const unlinked = index.documents.filter(doc => !doc.inSummary).length;
+        console.log(`✅ Indexed ${index.documentCount} documents (${unlinked} not in SUMMARY.md)`);
+        console.log(`✅ Wrote ${outputFile} (format version ${index.version})`);
+        console.log(`✅ Wrote ${wordCountsFile} (${index.documents.reduce((sum, doc) => sum + doc.wordCount, 0)} words)`);
+    } catch (error) {
+        console.log('❌ Failed to build search index:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    SEARCH_INDEX_VERSION,
+    parseFrontMatter,
+    findChapterFiles,
+    markdownToText,
+    countWords,
+    extractHeadings,
+    buildDocument,
+    buildWordCounts,
+    buildSearchIndex
+};
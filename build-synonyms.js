@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Search Synonym Generator for System Design GitBook
+ * Refreshes the "glossary" groups in search-synonyms.json from GLOSSARY.md.
+ * Acronym entries ("**ACID**" + "Atomicity, Consistency, ... - ...") become
+ * acronym/expansion pairs, and trailing "(scaling out)" notes become aliases.
+ * The hand-written "manual" groups are left untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseGlossary } = require('./build-glossary');
+
+const ROOT_DIR = __dirname;
+const GLOSSARY_FILE = 'GLOSSARY.md';
+const SYNONYMS_FILE = 'search-synonyms.json';
+
+// "**Term**" entries and their definitions, without letter sections or line numbers
+function parseGlossaryEntries(content) {
+    return parseGlossary(content).entries.map(({ term, definition }) => ({ term, definition }));
+}
+
+// Build synonym groups from glossary entries
+function buildGlossaryGroups(entries) {
+    const groups = [];
+
+    entries.forEach(({ term, definition }) => {
+        const group = [term];
+
+        // "ACID" / "TCP/IP": all capitals, expansion before " - "
+        const expansionMatch = definition.match(/^([^-]+?)\s+-\s+/);
+        if (/^[A-Z][A-Z0-9/]+$/.test(term) && expansionMatch) {
+            group.push(expansionMatch[1].replace(/[,/]/g, ' ').replace(/\s+/g, ' ').trim());
+        }
+
+        // "Adding more servers ... (scaling out)."
+        const aliasMatch = definition.match(/\(([^()]+)\)\.?$/);
+        if (aliasMatch && !/[,:]/.test(aliasMatch[1])) {
+            group.push(aliasMatch[1].trim());
+        }
+
+        if (group.length > 1) {
+            groups.push(group);
+        }
+    });
+
+    return groups;
+}
+
+if (require.main === module) {
+    console.log('📖 Building search synonyms from GLOSSARY.md...\n');
+
+    try {
+        const synonymsPath = path.join(ROOT_DIR, SYNONYMS_FILE);
+        const existing = fs.existsSync(synonymsPath)
+            ? JSON.parse(fs.readFileSync(synonymsPath, 'utf8'))
+            : { manual: [] };
+        const entries = parseGlossaryEntries(fs.readFileSync(path.join(ROOT_DIR, GLOSSARY_FILE), 'utf8'));
+        const glossary = buildGlossaryGroups(entries);
+
+        const output = {
+            version: 1,
+            description: existing.description || 'Search synonym groups. Edit "manual"; "glossary" is generated by build-synonyms.js.',
+            manual: existing.manual || [],
+            glossary
+        };
+
+        fs.writeFileSync(synonymsPath, JSON.stringify(output, null, 2) + '\n');
+        console.log(`✅ ${glossary.length} glossary groups from ${entries.length} glossary entries`);
+        console.log(`✅ ${output.manual.length} manual groups kept`);
+        console.log(`✅ Wrote ${SYNONYMS_FILE}`);
+    } catch (error) {
+        console.log('❌ Failed to build search synonyms:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    parseGlossaryEntries,
+    buildGlossaryGroups
+};
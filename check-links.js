@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Link Checker for System Design GitBook
+ * Resolves every relative link and image in the book's Markdown files
+ * against the filesystem, and "#anchors" against the heading ids GitBook
+ * generates. External URLs are listed, and only requested with --external.
+ *
+ *   node check-links.js              # check internal links and anchors
+ *   node check-links.js --external   # also request external URLs (Node 18+)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = __dirname;
+const IGNORED_DIRS = new Set(['node_modules', '_book', '.git']);
+
+// Shared with the markdown-link-check step this replaces
+const LINK_CHECK_CONFIG = '.github/markdown-link-check-config.json';
+
+// Characters github-slugid (used by GitBook/HonKit for heading ids) removes
+const SLUG_SYMBOLS = /[[\]!"'#$%&()*+,./:;<=>?@\\^_`{|}~©∑®†“”‘’∂ƒ™℠…œŒ˚ºª•∆∞♥]+/g;
+
+// Heading id GitBook generates for a heading's text
+function gitbookSlug(text) {
+    const slug = text
+        .replace(SLUG_SYMBOLS, '')
+        .replace(/ /g, '-')
+        .toLowerCase();
+    return slug[0] === '-' ? slug.slice(1) : slug;
+}
+
+// Rendered text of a markdown heading: link text, no inline code ticks, emphasis or tags
+function headingText(markdown) {
+    return markdown
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// All .md files under the root, as posix paths relative to it
+function findMarkdownFiles(rootDir = ROOT_DIR, dir = '') {
+    const files = [];
+    fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).forEach(item => {
+        if (IGNORED_DIRS.has(item.name)) return;
+        const relativePath = dir ? `${dir}/${item.name}` : item.name;
+        if (item.isDirectory()) {
+            files.push(...findMarkdownFiles(rootDir, relativePath));
+        } else if (item.name.endsWith('.md')) {
+            files.push(relativePath);
+        }
+    });
+    return files.sort();
+}
+
+// Lines of a file with fenced code blocks and inline code blanked out
+function getProseLines(content) {
+    let fence = null;
+    return content.split(/\r?\n/).map(line => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch) {
+            fence = fence === fenceMatch[1] ? null : (fence || fenceMatch[1]);
+            return '';
+        }
+        return fence ? '' : line.replace(/`[^`]*`/g, match => ' '.repeat(match.length));
+    });
+}
+
+// { url, line, column, kind } for every link, image, reference definition and HTML href/src
+function extractLinks(content) {
+    const links = [];
+    const patterns = [
+        { kind: 'link', regex: /(!?)\[[^\]]*\]\(\s*<?([^)\s>]*)>?(?:\s+["'(][^)]*["')])?\s*\)/g, url: match => match[2], image: match => match[1] === '!' },
+        { kind: 'reference', regex: /^\s{0,3}\[[^\]]+\]:\s*<?(\S+?)>?(?:\s|$)/g, url: match => match[1] },
+        { kind: 'html', regex: /<(a|img)\b[^>]*?\s(?:href|src)\s*=\s*["']([^"']*)["']/gi, url: match => match[2], image: match => match[1].toLowerCase() === 'img' }
+    ];
+
+    getProseLines(content).forEach((line, index) => {
+        patterns.forEach(pattern => {
+            for (const match of line.matchAll(pattern.regex)) {
+                const image = pattern.image ? pattern.image(match) : false;
+                links.push({ url: pattern.url(match), line: index + 1, column: match.index + 1, kind: image ? 'image' : pattern.kind });
+            }
+        });
+    });
+
+    return links;
+}
+
+// Anchor ids a page defines: heading slugs plus HTML id/name attributes
+function collectAnchors(content) {
+    const anchors = new Set();
+    getProseLines(content).forEach(line => {
+        const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (heading) anchors.add(gitbookSlug(headingText(heading[1])));
+        for (const match of line.matchAll(/<[a-z][^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["']/gi)) {
+            anchors.add(match[1]);
+        }
+    });
+    return anchors;
+}
+
+function isExternal(url) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// Check every internal link; returns { files, links, broken, external }
+function checkLinks(rootDir = ROOT_DIR) {
+    const files = findMarkdownFiles(rootDir);
+    const contents = new Map(files.map(file => [file, fs.readFileSync(path.join(rootDir, file), 'utf8')]));
+    const anchorCache = new Map();
+    const broken = [];
+    const external = [];
+    let checked = 0;
+
+    const anchorsOf = file => {
+        if (!anchorCache.has(file)) {
+            const content = contents.has(file) ? contents.get(file) : fs.readFileSync(path.join(rootDir, file), 'utf8');
+            anchorCache.set(file, collectAnchors(content));
+        }
+        return anchorCache.get(file);
+    };
+
+    // File a link points at, following GitBook's directory and .html conventions
+    const resolveTarget = (source, target) => {
+        const base = target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(source), target);
+        const resolved = path.posix.normalize(base || '.');
+        if (resolved.startsWith('..')) return { error: 'Points outside the book' };
+
+        const fullPath = path.join(rootDir, resolved);
+        if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+            const readme = path.posix.join(resolved, 'README.md');
+            return fs.existsSync(path.join(rootDir, readme)) ? { file: readme } : { error: 'Directory has no README.md' };
+        }
+        if (fs.existsSync(fullPath)) return { file: resolved };
+
+        const markdown = resolved.replace(/\.html$/, '.md');
+        if (markdown !== resolved && fs.existsSync(path.join(rootDir, markdown))) return { file: markdown };
+        return { error: 'File not found' };
+    };
+
+    files.forEach(file => {
+        extractLinks(contents.get(file)).forEach(link => {
+            const report = message => broken.push({ file, ...link, message });
+
+            if (!link.url.trim()) {
+                report('Empty link');
+                return;
+            }
+            if (isExternal(link.url)) {
+                if (/^https?:|^\/\//i.test(link.url)) external.push({ file, ...link });
+                return;
+            }
+
+            checked++;
+            const [rawTarget, rawAnchor] = link.url.split(/#(.*)/s);
+            let target;
+            let anchor;
+            try {
+                target = decodeURI(rawTarget.split('?')[0]);
+                anchor = rawAnchor === undefined ? null : decodeURIComponent(rawAnchor);
+            } catch (error) {
+                report('Malformed URL encoding');
+                return;
+            }
+
+            let targetFile = file;
+            if (target) {
+                const resolved = resolveTarget(file, target);
+                if (resolved.error) {
+                    report(resolved.error);
+                    return;
+                }
+                targetFile = resolved.file;
+            }
+
+            if (anchor && targetFile.endsWith('.md') && !anchorsOf(targetFile).has(anchor)) {
+                report(`No heading with id "#${anchor}" in ${targetFile}`);
+            }
+        });
+    });
+
+    return { files, checked, broken, external };
+}
+
+// Ignore patterns and timeout from the markdown-link-check config, when present
+function loadExternalConfig(rootDir = ROOT_DIR) {
+    const configPath = path.join(rootDir, LINK_CHECK_CONFIG);
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    return {
+        ignore: (config.ignorePatterns || []).map(({ pattern }) => new RegExp(pattern)),
+        timeout: parseInt(config.timeout, 10) * (String(config.timeout).endsWith('ms') ? 1 : 1000) || 20000
+    };
+}
+
+// Request each distinct external URL once; returns [{ url, ok, status, message }]
+async function checkExternalLinks(urls, options = {}) {
+    if (typeof fetch !== 'function') {
+        throw new Error('Checking external links needs Node 18 or newer (global fetch)');
+    }
+
+    const { ignore = [], timeout = 20000 } = options;
+    const results = [];
+
+    for (const url of [...new Set(urls)]) {
+        if (ignore.some(pattern => pattern.test(url))) continue;
+
+        const request = async method => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            try {
+                return await fetch(url.startsWith('//') ? `https:${url}` : url, { method, redirect: 'follow', signal: controller.signal });
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+
+        try {
+            let response = await request('HEAD');
+            if (!response.ok) response = await request('GET');
+            results.push({ url, ok: response.ok, status: response.status, message: response.ok ? 'OK' : `HTTP ${response.status}` });
+        } catch (error) {
+            results.push({ url, ok: false, status: null, message: error.name === 'AbortError' ? 'Timed out' : error.message });
+        }
+    }
+
+    return results;
+}
+
+if (require.main === module) {
+    const checkExternal = process.argv.includes('--external');
+
+    (async () => {
+        console.log('🔗 Link Checker\n');
+
+        const { files, checked, broken, external } = checkLinks(ROOT_DIR);
+        broken.forEach(link => {
+            console.log(`❌ ${link.file}:${link.line}:${link.column} ${link.url}`);
+            console.log(`    ${link.message}`);
+        });
+
+        let deadExternal = [];
+        if (checkExternal && external.length > 0) {
+            console.log(`\n🌐 Checking ${new Set(external.map(link => link.url)).size} external URLs...`);
+            const results = await checkExternalLinks(external.map(link => link.url), loadExternalConfig(ROOT_DIR));
+            deadExternal = results.filter(result => !result.ok);
+            deadExternal.forEach(result => {
+                external.filter(link => link.url === result.url).forEach(link => {
+                    console.log(`❌ ${link.file}:${link.line}:${link.column} ${link.url}`);
+                    console.log(`    ${result.message}`);
+                });
+            });
+        } else if (external.length > 0) {
+            console.log('\n🌐 External links (not checked, run with --external):');
+            external.forEach(link => console.log(`  ${link.file}:${link.line} ${link.url}`));
+        }
+
+        console.log(`\n🎯 Checked ${checked} internal links in ${files.length} files, ${external.length} external`);
+        if (broken.length === 0 && deadExternal.length === 0) {
+            console.log('✅ No broken links found');
+            process.exit(0);
+        }
+        console.log(`❌ ${broken.length + deadExternal.length} broken link${broken.length + deadExternal.length === 1 ? '' : 's'} found`);
+        process.exit(1);
+    })().catch(error => {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    gitbookSlug,
+    headingText,
+    findMarkdownFiles,
+    extractLinks,
+    collectAnchors,
+    isExternal,
+    checkLinks,
+    loadExternalConfig,
+    checkExternalLinks
+};
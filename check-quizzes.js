@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Quiz Checker for System Design GitBook
+ * Parses every "{% hint style="question" %}" block in the pages of
+ * SUMMARY.md with quiz-parser.js, the parser the interactive quizzes use,
+ * and reports questions that would not score correctly: a correct answer
+ * that is not one of the options, answer text that contradicts the option,
+ * missing answers or explanations, and repeated questions on a page.
+ * Question blocks also need the hints plugin in book.json, configured with
+ * the question icon quiz-engine.js looks for.
+ *
+ *   node check-quizzes.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QuizParser = require('./quiz-parser');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+
+const ROOT_DIR = __dirname;
+
+// pluginsConfig.hints.question; gitbook-plugin-hints renders it as the block's icon
+const QUESTION_ICON = 'fa fa-question-circle';
+
+// Parse the question blocks of one page; returns { questions, problems }
+function checkPage(file, content) {
+    const questions = [];
+    const problems = [];
+    const seen = new Map();
+
+    QuizParser.extractBlocks(content).forEach(block => {
+        const question = QuizParser.parseQuestion(block);
+        questions.push({ file, line: block.line, question });
+
+        question.problems.forEach(problem => problems.push({ file, line: block.line, ...problem }));
+
+        if (question.type === 'open') return;
+        if (seen.has(question.id)) {
+            problems.push({ file, line: block.line, severity: 'warning', message: `Same question as line ${seen.get(question.id)}; their saved answers would be shared` });
+        } else {
+            seen.set(question.id, block.line);
+        }
+    });
+
+    return { questions, problems };
+}
+
+// Problems with the book.json setup the question blocks render through
+function checkPlugins(rootDir) {
+    const file = 'book.json';
+    const filePath = path.join(rootDir, file);
+    if (!fs.existsSync(filePath)) return [];
+
+    const bookJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!(bookJson.plugins || []).includes('hints')) {
+        return [{ file, line: 1, severity: 'error', message: 'Question blocks need the "hints" plugin in plugins' }];
+    }
+
+    const icon = ((bookJson.pluginsConfig || {}).hints || {}).question;
+    if (icon !== QUESTION_ICON) {
+        return [{ file, line: 1, severity: 'error', message: `pluginsConfig.hints.question must be "${QUESTION_ICON}" for quiz-engine.js to find the question blocks` }];
+    }
+    return [];
+}
+
+// Check the quizzes on every SUMMARY.md page; returns { files, questions, problems }
+function checkQuizzes(rootDir = ROOT_DIR) {
+    const files = [...new Set(getSummaryEntries(loadSummary(rootDir)).map(entry => entry.path))]
+        .filter(file => fs.existsSync(path.join(rootDir, file)));
+    const questions = [];
+    const problems = [];
+
+    files.forEach(file => {
+        const result = checkPage(file, fs.readFileSync(path.join(rootDir, file), 'utf8'));
+        questions.push(...result.questions);
+        problems.push(...result.problems);
+    });
+
+    if (questions.length > 0) problems.push(...checkPlugins(rootDir));
+
+    return { files, questions, problems };
+}
+
+if (require.main === module) {
+    console.log('❓ Quiz Checker\n');
+
+    let report;
+    try {
+        report = checkQuizzes(ROOT_DIR);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    report.problems.forEach(problem => {
+        console.log(`${problem.severity === 'error' ? '❌' : '⚠️ '} ${problem.file}:${problem.line} - ${problem.message}`);
+    });
+
+    const scorable = report.questions.filter(({ question }) => question.type !== 'open').length;
+    const errors = report.problems.filter(problem => problem.severity === 'error').length;
+    console.log(`\n🎯 ${report.questions.length} question blocks in ${report.files.length} pages, ${scorable} with answer options`);
+
+    if (report.problems.length === 0) {
+        console.log('✅ All quizzes are well-formed');
+    } else if (errors === 0) {
+        console.log(`⚠️  ${report.problems.length} quiz warning${report.problems.length === 1 ? '' : 's'}`);
+    } else {
+        console.log(`❌ ${errors} quiz error${errors === 1 ? '' : 's'}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    QUESTION_ICON,
+    checkPage,
+    checkPlugins,
+    checkQuizzes
+};
@@ -0,0 +1,279 @@
+/**
+ * Checkpoint Self-Assessment for System Design GitBook
+ * Makes the checkpoints of templates/checkpoint-template.md interactive:
+ * "- [ ]" objectives become checkboxes, and "Self-Assessment" prompts and
+ * "⭐⭐⭐⭐⭐" confidence lines become 1-5 ratings. Answers are saved per
+ * chapter through ProgressTracker, which marks a chapter mastered once every
+ * objective is met and every concept is rated at least config.masteryRating.
+ * renderDashboard() lists the objectives not yet met, linking back to them.
+ * Requires progress-tracking.js to be loaded first.
+ */
+
+class CheckpointTracker {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    this.currentPath = options.currentPath || window.location.pathname;
+    this.contentSelector = options.contentSelector || '.markdown-section';
+    // Hints with the pluginsConfig.hints.question icon of book.json, or marked with the hint style
+    this.hintSelector = options.hintSelector || '.hints-icon .fa-question-circle, [data-hint-style="question"]';
+    this.headingPattern = /checkpoint/i;
+  }
+
+  // Make the checkpoints on the page interactive; returns { objectives, concepts }
+  enhance(root = document.querySelector(this.contentSelector)) {
+    const items = { objectives: [], concepts: [] };
+    if (!root || !this.tracker || !this.tracker.progress) return items;
+
+    this.getCheckpointRegions(root).forEach(region => {
+      region.forEach(element => {
+        this.findObjectives(element).forEach(item => items.objectives.push(this.createObjective(item)));
+        this.findConcepts(element).forEach(concept => items.concepts.push(this.createRating(concept)));
+      });
+    });
+
+    if (items.objectives.length + items.concepts.length > 0) {
+      const checkpoint = this.tracker.registerCheckpoint(this.currentPath, {
+        objectives: items.objectives.map(({ id, text, anchor }) => ({ id, text, anchor })),
+        concepts: items.concepts.map(({ id, text, anchor }) => ({ id, text, anchor }))
+      });
+      items.objectives.forEach(objective => { objective.input.checked = checkpoint.objectives[objective.id].met; });
+      items.concepts.forEach(concept => this.showRating(concept, checkpoint.concepts[concept.id].rating));
+    }
+
+    return items;
+  }
+
+  // Elements from each "Checkpoint" heading up to the next heading of the same or a higher level
+  getCheckpointRegions(root) {
+    const regions = [];
+    let region = null;
+    let level = 0;
+
+    [...root.children].forEach(element => {
+      const heading = element.tagName.match(/^H([1-6])$/);
+      if (heading && region && Number(heading[1]) <= level) {
+        region = null;
+      }
+      if (heading && !region && this.headingPattern.test(element.textContent)) {
+        region = [];
+        level = Number(heading[1]);
+        regions.push(region);
+      } else if (region) {
+        region.push(element);
+      }
+    });
+
+    return regions;
+  }
+
+  // List items written as "- [ ] objective" (rendered literally or as a disabled checkbox)
+  findObjectives(element) {
+    return [...element.querySelectorAll('li')].filter(item => {
+      if (item.querySelector('li')) return false;
+      const checkbox = item.querySelector('input[type="checkbox"]');
+      return checkbox || /^\s*\[[ xX]\]\s+/.test(item.textContent);
+    });
+  }
+
+  // { element, text, kind } for "Self-Assessment" prompts and "Area: ⭐⭐⭐⭐⭐" lines
+  findConcepts(element) {
+    const concepts = [];
+
+    this.getHints(element).forEach(hint => {
+      const prompt = [...hint.children].find(child => /^\s*Self-Assessment\s*:/i.test(child.textContent));
+      if (prompt) {
+        concepts.push({ element: prompt, text: prompt.textContent.replace(/^\s*Self-Assessment\s*:\s*/i, '').trim(), kind: 'prompt' });
+      }
+    });
+
+    [...element.querySelectorAll('li')].forEach(item => {
+      const match = item.textContent.match(/^\s*(.+?)\s*:\s*(?:⭐\s*)+$/);
+      if (match) concepts.push({ element: item, text: match[1], kind: 'stars' });
+    });
+
+    return concepts;
+  }
+
+  // Content element of each question hint in or at an element
+  getHints(element) {
+    const matched = element.matches(this.hintSelector) ? [element] : [...element.querySelectorAll(this.hintSelector)];
+    return matched.map(match => {
+      const hint = match.closest('.hints-alert');
+      return hint ? hint.querySelector('.hints-container') : match;
+    }).filter(Boolean);
+  }
+
+  // Replace an objective's "[ ]" with a working checkbox
+  createObjective(item) {
+    const text = item.textContent.replace(/^\s*\[[ xX]\]\s+/, '').trim();
+    const id = this.getItemId(text);
+    const anchor = item.id || `checkpoint-${id}`;
+    item.id = anchor;
+
+    const existing = item.querySelector('input[type="checkbox"]');
+    if (existing) existing.remove();
+    this.stripMarker(item);
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'checkpoint-objective';
+    input.setAttribute('aria-label', text);
+    input.addEventListener('change', () => this.tracker.setObjectiveMet(this.currentPath, id, input.checked));
+    item.insertBefore(input, item.firstChild);
+    item.classList.add('checkpoint-item');
+
+    return { id, text, anchor, input };
+  }
+
+  // Remove the literal "[ ] " from the start of an item's text
+  stripMarker(item) {
+    const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.nodeValue.trim()) continue;
+      node.nodeValue = node.nodeValue.replace(/^\s*\[[ xX]\]\s+/, '');
+      return;
+    }
+  }
+
+  // Add a 1-5 rating after a self-assessment prompt, or in place of static stars
+  createRating(concept) {
+    const id = this.getItemId(concept.text);
+    const anchor = concept.element.id || `checkpoint-${id}`;
+    concept.element.id = anchor;
+
+    const group = this.createElement('span', 'checkpoint-rating');
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', `How confident are you: ${concept.text}`);
+
+    const buttons = [1, 2, 3, 4, 5].map(value => {
+      const button = this.createElement('button', 'checkpoint-star', '☆');
+      button.type = 'button';
+      button.setAttribute('role', 'radio');
+      button.setAttribute('aria-label', `${value} of 5`);
+      button.addEventListener('click', () => {
+        this.tracker.setConceptRating(this.currentPath, id, value);
+        this.showRating(rating, value);
+      });
+      group.appendChild(button);
+      return button;
+    });
+
+    if (concept.kind === 'stars') {
+      concept.element.replaceChildren(this.createElement('strong', null, concept.text), document.createTextNode(': '), group);
+    } else {
+      concept.element.appendChild(document.createTextNode(' '));
+      concept.element.appendChild(group);
+    }
+
+    const rating = { id, text: concept.text, anchor, group, buttons };
+    return rating;
+  }
+
+  // Fill the stars up to a rating (null clears them)
+  showRating(rating, value) {
+    rating.buttons.forEach((button, index) => {
+      const filled = value !== null && index < value;
+      button.textContent = filled ? '★' : '☆';
+      button.classList.toggle('checkpoint-star-filled', filled);
+      button.setAttribute('aria-checked', String(index + 1 === value));
+    });
+  }
+
+  // Unmet objectives and low-rated concepts per chapter, with links back to them
+  renderDashboard(container) {
+    if (!container || !this.tracker || !this.tracker.progress) return;
+
+    const chapterKeys = Object.keys(this.tracker.progress.checkpoints);
+    container.replaceChildren();
+    container.classList.add('checkpoint-dashboard');
+
+    if (chapterKeys.length === 0) {
+      container.appendChild(this.createElement('p', 'checkpoint-empty', 'Open a chapter checkpoint to start tracking your objectives.'));
+      return;
+    }
+
+    chapterKeys.forEach(chapterKey => {
+      const mastery = this.tracker.getChapterMastery(chapterKey);
+      const section = this.createElement('section', 'checkpoint-chapter');
+      const title = this.createElement('h4', null, this.getChapterTitle(chapterKey));
+      const status = mastery.mastered
+        ? '🏆 Mastered'
+        : `${mastery.met} of ${mastery.objectives} objectives met` +
+          (mastery.concepts > 0 ? `, ${mastery.confident} of ${mastery.concepts} concepts rated ${this.tracker.config.masteryRating}+` : '');
+      title.appendChild(this.createElement('span', 'checkpoint-status', status));
+      section.appendChild(title);
+
+      const items = [
+        ...mastery.unmet.map(objective => ({ ...objective, label: objective.text })),
+        ...mastery.needsReview.map(concept => ({
+          ...concept,
+          label: `${concept.text} (${concept.rating ? `rated ${concept.rating}/5` : 'not rated'})`
+        }))
+      ];
+      if (items.length > 0) {
+        const list = this.createElement('ul', 'checkpoint-unmet');
+        items.forEach(item => {
+          const entry = document.createElement('li');
+          const link = this.createElement('a', null, item.label);
+          link.href = `${item.page}#${item.anchor}`;
+          entry.appendChild(link);
+          list.appendChild(entry);
+        });
+        section.appendChild(list);
+      }
+
+      container.appendChild(section);
+    });
+  }
+
+  // Chapter title from the table of contents, else from the directory name
+  getChapterTitle(chapterKey) {
+    const summary = this.tracker.summary;
+    if (summary) {
+      const chapter = summary.parts
+        .reduce((all, part) => all.concat(part.chapters), [])
+        .find(item => this.tracker.getPageKey(item.path) === chapterKey);
+      if (chapter) return chapter.title;
+    }
+
+    const name = chapterKey.replace(/\/README$/, '').split('/').pop();
+    return name.split('-').filter(Boolean).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  // Stable id for an objective or concept text, used as the storage key
+  getItemId(text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    let hash = 5381;
+    for (let i = 0; i < normalized.length; i++) {
+      hash = ((hash * 33) ^ normalized.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize checkpoints when DOM is ready; pages with a #checkpoint-dashboard element get the overview
+function initCheckpoints() {
+  const checkpoints = new CheckpointTracker();
+  checkpoints.enhance();
+  checkpoints.renderDashboard(document.getElementById('checkpoint-dashboard'));
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initCheckpoints);
+} else {
+  initCheckpoints();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CheckpointTracker;
+}
@@ -0,0 +1,190 @@
+/**
+ * Concept Hover Cards for System Design GitBook
+ * Links the first mention of each known term in the page content and shows
+ * a card with its definition, main location, related topics and interview
+ * problems on hover or focus. Requires page-paths.js and concept-links.js to
+ * be loaded first.
+ */
+
+class ConceptHoverCards {
+  constructor(options = {}) {
+    this.terms = options.terms || [];
+    this.titles = options.titles || {};
+    this.maxRelated = options.maxRelated ?? ConceptLinks.defaults.maxRelated;
+    this.showCards = options.showCards !== false;
+    this.currentPath = options.currentPath || window.location.pathname;
+    this.contentSelector = options.contentSelector || '.markdown-section';
+    this.skipSelector = 'pre, code, h1, h2, h3, h4, h5, h6, a, button, script, style, .mermaid, .enhanced-search';
+    this.card = null;
+    this.activeLink = null;
+    this.hideTimer = null;
+  }
+
+  // Link terms in the page content and wire up the cards
+  enhance(root = document.querySelector(this.contentSelector)) {
+    if (!root) return [];
+    this.unwrapGlossaryTerms(root);
+
+    const terms = this.terms.filter(term => !ConceptLinks.isCurrentPage(term, this.currentPath));
+    const linked = new Set();
+    const links = [];
+
+    this.getTextNodes(root).forEach(node => {
+      let current = node;
+
+      while (current && linked.size < terms.length) {
+        const mention = ConceptLinks.findFirstMention(current.nodeValue, terms, linked);
+        if (!mention) break;
+
+        const match = current.splitText(mention.index);
+        current = match.splitText(mention.length);
+
+        const link = this.createLink(mention.term, match.nodeValue);
+        match.parentNode.replaceChild(link, match);
+        linked.add(mention.term.name);
+        links.push(link);
+      }
+    });
+
+    return links;
+  }
+
+  // GitBook links every glossary term (structure.glossary) to the glossary page; drop those
+  // links so the first mention gets a concept link and card instead
+  unwrapGlossaryTerms(root) {
+    root.querySelectorAll('a.glossary-term').forEach(link => link.replaceWith(...link.childNodes));
+    root.normalize();
+  }
+
+  // Text nodes outside code blocks, headings and existing links
+  getTextNodes(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        if (!node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+        return node.parentElement.closest(this.skipSelector) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const nodes = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    return nodes;
+  }
+
+  // Link wrapping one mention
+  createLink(term, text) {
+    const link = document.createElement('a');
+    link.className = `concept-link concept-link-${term.type}`;
+    link.href = PagePaths.toHref(term.mainLocation);
+    link.textContent = text;
+    link.dataset.conceptName = term.name;
+
+    if (this.showCards) {
+      link.setAttribute('aria-describedby', 'concept-card');
+      link.addEventListener('mouseenter', () => this.showCard(link, term));
+      link.addEventListener('mouseleave', () => this.scheduleHide());
+      link.addEventListener('focus', () => this.showCard(link, term));
+      link.addEventListener('blur', () => this.scheduleHide());
+      link.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') this.hideCard();
+      });
+    }
+
+    return link;
+  }
+
+  // Shared card element, created on first use
+  getCard() {
+    if (!this.card) {
+      this.card = document.createElement('div');
+      this.card.className = 'concept-card';
+      this.card.id = 'concept-card';
+      this.card.setAttribute('role', 'tooltip');
+      this.card.hidden = true;
+
+      // Keep the card open while the pointer or focus is inside it
+      this.card.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+      this.card.addEventListener('mouseleave', () => this.scheduleHide());
+      this.card.addEventListener('focusin', () => clearTimeout(this.hideTimer));
+      this.card.addEventListener('focusout', () => this.scheduleHide());
+      document.body.appendChild(this.card);
+    }
+    return this.card;
+  }
+
+  // Fill and position the card next to a link
+  showCard(link, term) {
+    clearTimeout(this.hideTimer);
+
+    const card = this.getCard();
+    const data = ConceptLinks.getCardData(term, this.titles, { maxRelated: this.maxRelated });
+
+    card.replaceChildren();
+    card.appendChild(this.createElement('div', 'concept-card-title', data.name));
+    card.appendChild(this.createElement('div', 'concept-card-type', data.type));
+    card.appendChild(this.createElement('p', 'concept-card-definition', data.definition));
+
+    if (data.mainLocation) {
+      card.appendChild(this.createLinkSection('Main location', [data.mainLocation]));
+    }
+    if (data.relatedTopics.length > 0) {
+      card.appendChild(this.createLinkSection('Related topics', data.relatedTopics));
+    }
+    if (data.interviewProblems.length > 0) {
+      card.appendChild(this.createLinkSection('Interview problems', data.interviewProblems));
+    }
+
+    const rect = link.getBoundingClientRect();
+    card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    card.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+    card.hidden = false;
+    this.activeLink = link;
+  }
+
+  // Titled list of page links inside the card
+  createLinkSection(label, pages) {
+    const section = this.createElement('div', 'concept-card-section');
+    section.appendChild(this.createElement('div', 'concept-card-label', label));
+
+    const list = this.createElement('ul', 'concept-card-links');
+    pages.forEach(page => {
+      const item = document.createElement('li');
+      const link = this.createElement('a', null, page.title);
+      link.href = page.href;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    return section;
+  }
+
+  // Hide after a short delay so the pointer can move onto the card
+  scheduleHide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hideCard(), 200);
+  }
+
+  // Hide the card
+  hideCard() {
+    clearTimeout(this.hideTimer);
+    if (this.card) {
+      this.card.hidden = true;
+    }
+    this.activeLink = null;
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConceptHoverCards;
+}
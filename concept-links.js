@@ -0,0 +1,129 @@
+/**
+ * Concept Links for System Design GitBook
+ * Known terms (concepts, technologies, patterns and glossary entries) and
+ * the matching used to auto-link their first mention in page content.
+ * Pure functions with no DOM access; concept-hover-cards.js does the rendering.
+ * Requires page-paths.js to be loaded first.
+ */
+
+const ConceptLinks = {
+  // Default enhancer options
+  defaults: {
+    maxRelated: 5,
+    glossaryPath: 'appendices/01-glossary.md'
+  },
+
+  // Order in which terms with the same name are kept
+  typeOrder: ['concept', 'technology', 'pattern', 'glossary'],
+
+  // Collect { name, type, definition, mainLocation, relatedTopics, interviewProblems } terms
+  buildTerms({ crossReferences, glossary } = {}, options = {}) {
+    const { glossaryPath } = { ...this.defaults, ...options };
+    const references = (crossReferences && crossReferences.crossReferences) || {};
+    const terms = [];
+    const seen = new Set();
+
+    const add = (name, type, entry) => {
+      const key = String(name || '').trim().toLowerCase();
+      if (!key || seen.has(key) || !entry.definition) return;
+      seen.add(key);
+      terms.push({
+        name: String(name).trim(),
+        type,
+        definition: entry.definition,
+        mainLocation: entry.mainLocation || null,
+        relatedTopics: entry.relatedTopics || [],
+        interviewProblems: entry.interviewProblems || []
+      });
+    };
+
+    Object.entries(references.concepts || {}).forEach(([name, concept]) => add(name, 'concept', concept));
+    Object.entries(references.technologies || {}).forEach(([name, technology]) => add(name, 'technology', {
+      definition: technology.description,
+      mainLocation: technology.mainLocation,
+      interviewProblems: technology.useCases
+    }));
+    Object.entries(references.patterns || {}).forEach(([name, pattern]) => add(name, 'pattern', {
+      definition: pattern.description,
+      mainLocation: pattern.mainLocation,
+      interviewProblems: pattern.implementations
+    }));
+    (glossary || []).forEach(entry => add(entry.term, 'glossary', {
+      definition: entry.definition,
+      mainLocation: entry.mainLocation || glossaryPath,
+      relatedTopics: entry.relatedTopics
+    }));
+
+    return terms;
+  },
+
+  // Acronyms such as "API" or "BASE" only match in capitals
+  isAcronym(name) {
+    return /^[A-Z0-9]{2,}$/.test(name);
+  },
+
+  // Whole-word regex for a term name
+  buildTermPattern(name) {
+    const escaped = String(name).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, this.isAcronym(name) ? 'g' : 'gi');
+  },
+
+  // Earliest match of any not-yet-linked term in a piece of text
+  findFirstMention(text, terms, linked = new Set()) {
+    let best = null;
+
+    terms.forEach(term => {
+      if (linked.has(term.name)) return;
+
+      const pattern = this.buildTermPattern(term.name);
+      const match = pattern.exec(text);
+      if (!match) return;
+
+      // Prefer the earliest match, then the longest ("Load Balancing" over "Load")
+      if (!best || match.index < best.index ||
+          (match.index === best.index && match[0].length > best.length)) {
+        best = { term, index: match.index, length: match[0].length };
+      }
+    });
+
+    return best;
+  },
+
+  // Whether a term points at the page being read
+  isCurrentPage(term, currentPath) {
+    if (!term.mainLocation || !currentPath) return false;
+    return PagePaths.toPageKey(term.mainLocation) === PagePaths.toPageKey(currentPath);
+  },
+
+  // Readable title for a book path, from the index titles or the file name
+  getPageTitle(path, titles = {}) {
+    if (titles[path]) return titles[path];
+
+    const name = String(path).split('/').pop().replace(/\.md$/, '');
+    return name
+      .split('-')
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  },
+
+  // Everything a hover card shows, with related lists capped at maxRelated
+  getCardData(term, titles = {}, options = {}) {
+    const { maxRelated } = { ...this.defaults, ...options };
+    const toLink = path => ({ path, href: PagePaths.toHref(path), title: this.getPageTitle(path, titles) });
+
+    return {
+      name: term.name,
+      type: term.type,
+      definition: term.definition,
+      mainLocation: term.mainLocation ? toLink(term.mainLocation) : null,
+      relatedTopics: term.relatedTopics.slice(0, maxRelated).map(toLink),
+      interviewProblems: term.interviewProblems.slice(0, maxRelated).map(toLink)
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConceptLinks;
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Content Completeness Report for System Design GitBook
+ * Walks every page in SUMMARY.md, finds placeholder text ("*Content to be
+ * added*", TODO, template brackets) and empty sections, counts real words
+ * and rolls completion up per chapter and part. Interview problem pages are
+ * measured against the sections of templates/interview-problem-template.md.
+ *
+ *   node content-report.js                         # write content-report.md and content-report.json
+ *   node content-report.js --output-dir reports    # somewhere else
+ *   node content-report.js --baseline old.json     # show the change since an earlier report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+const { PROBLEM_CATEGORIES, extractFrontMatter } = require('./validate-problem-metadata');
+
+const ROOT_DIR = __dirname;
+const TEMPLATE_FILE = 'templates/interview-problem-template.md';
+const REPORT_NAME = 'content-report';
+const REPORT_VERSION = 1;
+
+// Lines that stand in for content that has not been written yet
+const PLACEHOLDER_PATTERNS = [
+    /^\*[^*]*\bto be (added|written|completed|expanded)\b[^*]*\*$/i,
+    /^\*?\(?(coming soon|tbd|todo)\)?\.?\*?$/i,
+    /\b(TODO|TBD|FIXME)\b/,
+    /^\[[^\]]+\]$/
+];
+
+// Template section titles that problem pages write under a shorter name
+const SECTION_ALIASES = {
+    'high-level system design': ['system design'],
+    'detailed component design': ['deep dive']
+};
+
+// Pages with less real text than this are reported as stubs
+const STUB_WORDS = 50;
+
+function isPlaceholder(line) {
+    const text = line.replace(/^\s*(?:[-*+]|\d+\.)\s+(?=\S)/, '').trim();
+    return PLACEHOLDER_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Words of prose in a line, ignoring markdown syntax, links targets and inline code
+function countWords(line) {
+    const text = line
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, ' ');
+    return (text.match(/[A-Za-z0-9][\w'’-]*/g) || []).length;
+}
+
+// "## Deep Dive" -> "deep dive"
+function normalizeTitle(title) {
+    return (title || '').replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Split a page into its "##" sections, each with its lines and nested headings
+function splitSections(content) {
+    const frontMatter = extractFrontMatter(content);
+    const lines = (frontMatter ? frontMatter.body : content).split(/\r?\n/);
+    const sections = [];
+    let current = { title: null, line: 1, lines: [] };
+    let fence = null;
+
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch) {
+            fence = fence === fenceMatch[1] ? null : (fence || fenceMatch[1]);
+            current.lines.push({ text: line, code: true });
+            return;
+        }
+        if (fence) {
+            current.lines.push({ text: line, code: true });
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading && heading[1].length === 2) {
+            sections.push(current);
+            current = { title: heading[2], line: index + 1, lines: [] };
+            return;
+        }
+        current.lines.push({ text: line, code: false, heading: Boolean(heading) });
+    });
+    sections.push(current);
+
+    const offset = frontMatter ? content.split(/\r?\n/).length - lines.length : 0;
+    return sections.map(section => ({ ...section, line: section.line + offset }));
+}
+
+// 'written', 'placeholder' or 'empty' for a section, plus its word and placeholder counts
+function analyzeSection(section) {
+    let words = 0;
+    let placeholders = 0;
+    let code = 0;
+
+    section.lines.forEach(line => {
+        if (!line.text.trim() || line.heading) return;
+        if (line.code) {
+            code++;
+        } else if (isPlaceholder(line.text)) {
+            placeholders++;
+        } else {
+            words += countWords(line.text);
+        }
+    });
+
+    const status = words > 0 || code > 0 ? 'written' : placeholders > 0 ? 'placeholder' : 'empty';
+    return { title: section.title, line: section.line, status, words, placeholders };
+}
+
+// "##" section titles of the interview problem template
+function loadTemplateSections(rootDir = ROOT_DIR) {
+    return splitSections(fs.readFileSync(path.join(rootDir, TEMPLATE_FILE), 'utf8'))
+        .filter(section => section.title)
+        .map(section => section.title);
+}
+
+// Whether a page section stands for a template section
+function matchesTemplateSection(templateTitle, pageTitle) {
+    const wanted = normalizeTitle(templateTitle);
+    const actual = normalizeTitle(pageTitle);
+    return actual === wanted || (SECTION_ALIASES[wanted] || []).includes(actual);
+}
+
+// Completion of one page; problem pages are scored against the template sections
+function analyzePage(content, entry, templateSections = null) {
+    const analyzed = splitSections(content).map(analyzeSection);
+    const intro = analyzed[0];
+    const sections = analyzed.slice(1);
+    const words = analyzed.reduce((total, section) => total + section.words, 0);
+    const placeholders = analyzed.reduce((total, section) => total + section.placeholders, 0);
+
+    let expected;
+    let complete;
+    let missingSections = [];
+
+    if (templateSections) {
+        const hasFrontMatter = Boolean(extractFrontMatter(content));
+        expected = templateSections.length;
+        missingSections = templateSections.filter(title => {
+            if (normalizeTitle(title) === 'metadata' && hasFrontMatter) return false;
+            return !sections.some(section => section.status === 'written' && matchesTemplateSection(title, section.title));
+        });
+        complete = expected - missingSections.length;
+    } else if (sections.length > 0) {
+        expected = sections.length;
+        complete = sections.filter(section => section.status === 'written').length;
+    } else {
+        expected = 1;
+        complete = intro.status === 'written' && words >= STUB_WORDS ? 1 : 0;
+    }
+
+    return {
+        path: entry.path,
+        title: entry.title,
+        section: entry.section,
+        words,
+        placeholders,
+        sections: sections.length,
+        writtenSections: sections.filter(section => section.status === 'written').length,
+        placeholderSections: sections.filter(section => section.status === 'placeholder').map(({ title, line }) => ({ title, line })),
+        emptySections: sections.filter(section => section.status === 'empty').map(({ title, line }) => ({ title, line })),
+        missingSections,
+        stub: words < STUB_WORDS,
+        completion: expected > 0 ? complete / expected : 1
+    };
+}
+
+// Totals and average completion for a group of pages
+function rollUp(pages) {
+    const completion = pages.length > 0
+        ? pages.reduce((total, page) => total + page.completion, 0) / pages.length
+        : 1;
+
+    return {
+        pages: pages.length,
+        completePages: pages.filter(page => page.completion === 1).length,
+        words: pages.reduce((total, page) => total + page.words, 0),
+        placeholders: pages.reduce((total, page) => total + page.placeholders, 0),
+        emptySections: pages.reduce((total, page) => total + page.emptySections.length, 0),
+        completion
+    };
+}
+
+// Build the full report: pages grouped by part and chapter, with roll-ups
+function buildContentReport(rootDir = ROOT_DIR) {
+    const templateSections = loadTemplateSections(rootDir);
+    const groups = new Map();
+    const pages = [];
+
+    getSummaryEntries(loadSummary(rootDir)).forEach(entry => {
+        const filePath = path.join(rootDir, entry.path);
+        if (!fs.existsSync(filePath)) return;
+
+        const isProblem = entry.type === 'section' && PROBLEM_CATEGORIES[entry.chapter.number];
+        const page = analyzePage(fs.readFileSync(filePath, 'utf8'), entry, isProblem ? templateSections : null);
+        pages.push(page);
+
+        const partTitle = entry.partTitle || 'Introduction';
+        if (!groups.has(partTitle)) groups.set(partTitle, new Map());
+        const chapters = groups.get(partTitle);
+        const chapterTitle = entry.chapter ? `Chapter ${entry.chapter.number}: ${entry.chapter.title}` : partTitle;
+        if (!chapters.has(chapterTitle)) chapters.set(chapterTitle, []);
+        chapters.get(chapterTitle).push(page);
+    });
+
+    const parts = [...groups].map(([title, chapters]) => {
+        const chapterReports = [...chapters].map(([chapterTitle, chapterPages]) => ({
+            title: chapterTitle,
+            ...rollUp(chapterPages),
+            pagePaths: chapterPages.map(page => page.path)
+        }));
+        return {
+            title,
+            ...rollUp([...chapters.values()].flat()),
+            chapters: chapterReports
+        };
+    });
+
+    return {
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        templateSections,
+        totals: rollUp(pages),
+        parts,
+        pages
+    };
+}
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+// "+4%" / "-2%" change against a baseline value, or an empty string
+function formatDelta(current, previous) {
+    if (previous === undefined || previous === null) return '';
+    const change = Math.round((current - previous) * 100);
+    return change === 0 ? ' (±0%)' : ` (${change > 0 ? '+' : ''}${change}%)`;
+}
+
+// Markdown dashboard; `baseline` is an earlier JSON report to compare against
+function formatMarkdown(report, baseline = null) {
+    const previousParts = new Map((baseline ? baseline.parts : []).map(part => [part.title, part]));
+    const previousChapters = new Map((baseline ? baseline.parts : [])
+        .flatMap(part => part.chapters).map(chapter => [chapter.title, chapter]));
+    const { totals } = report;
+
+    const lines = [
+        '# Content Completeness Report',
+        '',
+        `Generated ${report.generatedAt.slice(0, 10)} by \`npm run content-report\`.`,
+        '',
+        `**Overall: ${formatPercent(totals.completion)} complete${formatDelta(totals.completion, baseline && baseline.totals.completion)}** - ` +
+            `${totals.completePages}/${totals.pages} pages complete, ${totals.words.toLocaleString('en-US')} words, ` +
+            `${totals.placeholders} placeholders, ${totals.emptySections} empty sections`,
+        '',
+        '## By Part',
+        '',
+        '| Part | Complete | Pages | Words | Placeholders |',
+        '|------|----------|-------|-------|--------------|'
+    ];
+
+    report.parts.forEach(part => {
+        const previous = previousParts.get(part.title);
+        lines.push(`| ${part.title} | ${formatPercent(part.completion)}${formatDelta(part.completion, previous && previous.completion)} | ` +
+            `${part.completePages}/${part.pages} | ${part.words} | ${part.placeholders} |`);
+    });
+
+    lines.push('', '## By Chapter', '');
+    report.parts.forEach(part => {
+        lines.push(`### ${part.title}`, '', '| Chapter | Complete | Pages | Words | Placeholders |', '|---------|----------|-------|-------|--------------|');
+        part.chapters.forEach(chapter => {
+            const previous = previousChapters.get(chapter.title);
+            lines.push(`| ${chapter.title} | ${formatPercent(chapter.completion)}${formatDelta(chapter.completion, previous && previous.completion)} | ` +
+                `${chapter.completePages}/${chapter.pages} | ${chapter.words} | ${chapter.placeholders} |`);
+        });
+        lines.push('');
+    });
+
+    const unfinished = report.pages
+        .filter(page => page.completion < 1)
+        .sort((a, b) => a.completion - b.completion || a.words - b.words);
+
+    lines.push('## Unfinished Pages', '');
+    if (unfinished.length === 0) {
+        lines.push('Every page is complete. 🎉');
+    } else {
+        lines.push('| Page | Complete | Words | To do |', '|------|----------|-------|-------|');
+        unfinished.forEach(page => {
+            const todo = [
+                ...page.placeholderSections.map(section => section.title),
+                ...page.emptySections.map(section => `${section.title} (empty)`),
+                ...page.missingSections.filter(title => !page.placeholderSections.some(section => matchesTemplateSection(title, section.title)))
+                    .map(title => `${title} (missing)`)
+            ];
+            const label = page.section ? `${page.section} ${page.title}` : page.title;
+            lines.push(`| [${label}](${page.path}) | ${formatPercent(page.completion)} | ${page.words} | ${todo.join(', ') || (page.stub ? 'stub' : '')} |`);
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Parse command line flags ("--flag value" or "--flag=value")
+function parseArgs(argv) {
+    const options = { outputDir: ROOT_DIR, baseline: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+        switch (flag) {
+            case '--output-dir':
+                options.outputDir = path.resolve(value());
+                break;
+            case '--baseline':
+                options.baseline = path.resolve(value());
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    console.log('📊 Content Completeness Report\n');
+
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const baseline = options.baseline ? JSON.parse(fs.readFileSync(options.baseline, 'utf8')) : null;
+        const report = buildContentReport(ROOT_DIR);
+
+        fs.mkdirSync(options.outputDir, { recursive: true });
+        const markdownPath = path.join(options.outputDir, `${REPORT_NAME}.md`);
+        const jsonPath = path.join(options.outputDir, `${REPORT_NAME}.json`);
+        fs.writeFileSync(markdownPath, formatMarkdown(report, baseline));
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+
+        report.parts.forEach(part => {
+            console.log(`${part.completion === 1 ? '✅' : '📝'} ${part.title}: ${formatPercent(part.completion)} (${part.completePages}/${part.pages} pages)`);
+        });
+        console.log(`\n🎯 ${formatPercent(report.totals.completion)} complete${formatDelta(report.totals.completion, baseline && baseline.totals.completion)}, ` +
+            `${report.totals.placeholders} placeholders left`);
+        console.log(`📝 Wrote ${path.relative(process.cwd(), markdownPath)} and ${path.relative(process.cwd(), jsonPath)}`);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    PLACEHOLDER_PATTERNS,
+    isPlaceholder,
+    countWords,
+    splitSections,
+    analyzeSection,
+    loadTemplateSections,
+    matchesTemplateSection,
+    analyzePage,
+    rollUp,
+    buildContentReport,
+    formatMarkdown
+};
@@ -1,101 +1,208 @@
 /**
  * Enhanced Search Functionality for System Design GitBook
  * Provides faceted search, concept dictionary, and quick reference features
+ * Indexing and querying run in search-worker.js. Requires page-paths.js,
+ * search-snippets.js, search-facets.js, search-suggestions.js,
+ * concept-links.js and concept-hover-cards.js to be loaded first; browsers
+ * without Web Workers also need search-ranking.js, search-query.js,
+ * search-cache.js and search-engine.js.
  */
 
 class EnhancedSearch {
   constructor() {
-    this.searchIndex = null;
-    this.conceptDictionary = null;
+    this.urls = {
+      searchIndex: '/search-index.json',
+      glossary: '/glossary.json',
+      crossReferences: '/cross-references.json',
+      synonyms: '/search-synonyms.json'
+    };
+    this.workerUrl = '/search-worker.js';
+    this.backend = null;
+    this.status = 'loading';
+    this.pendingQuery = null;
+    this.requestCounter = 0;
+    this.latestSearch = 0;
+    this.documents = [];
+    this.glossary = [];
     this.crossReferences = null;
     this.searchHistory = [];
+    this.submittedQuery = null;
     this.maxResults = 20;
+    this.queryOptions = {};
+    this.facetsEnabled = true;
+    this.facetKeys = Object.keys(SearchFacets.fieldMap);
+    this.activeFacets = {};
+    this.suggestionSource = [];
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.conceptTerms = new Map();
+    this.hoverCards = null;
+    this.autoLinkEnabled = true;
+    this.hoverCardsEnabled = true;
+    this.maxRelated = ConceptLinks.defaults.maxRelated;
     
     this.init();
   }
 
   async init() {
-    await this.loadSearchIndex();
-    await this.loadConceptDictionary();
-    await this.loadCrossReferences();
+    this.loadSearchHistory();
+    await this.loadSearchSettings();
+
+    // The input is usable straight away; queries wait for the index
     this.setupSearchInterface();
     this.setupKeyboardShortcuts();
+    await this.loadSearchIndex();
   }
 
-  // Load search index (would be generated from content)
-  async loadSearchIndex() {
+  // Load query processing flags from navigation-config.json
+  async loadSearchSettings() {
     try {
-      // In a real implementation, this would load a pre-built search index
-      this.searchIndex = {
-        documents: [],
-        terms: new Map(),
-        concepts: new Map()
-      };
-      
-      // Build index from content (simplified version)
-      await this.buildSearchIndex();
+      const response = await fetch('/navigation-config.json');
+      const config = await response.json();
+      const dictionary = (config.search && config.search.conceptDictionary) || {};
+      const faceted = (config.search && config.search.faceted) || {};
+      const quickReference = (config.search && config.search.quickReference) || {};
+      const crossReferences = (config.navigation && config.navigation.crossReferences) || {};
+
+      ['stemming', 'fuzzySearch', 'synonyms'].forEach(flag => {
+        if (typeof dictionary[flag] === 'boolean') {
+          this.queryOptions[flag] = dictionary[flag];
+        }
+      });
+
+      if (typeof faceted.enabled === 'boolean') {
+        this.facetsEnabled = faceted.enabled;
+      }
+      if (Array.isArray(faceted.facets)) {
+        this.facetKeys = faceted.facets;
+      }
+
+      this.autoLinkEnabled = crossReferences.enabled !== false && crossReferences.autoLink !== false;
+      this.hoverCardsEnabled = quickReference.enabled !== false && quickReference.hoverCards !== false;
+      if (Number.isInteger(crossReferences.maxRelated) && crossReferences.maxRelated >= 0) {
+        this.maxRelated = crossReferences.maxRelated;
+      }
     } catch (error) {
-      console.warn('Failed to load search index:', error);
+      console.warn('Failed to load search settings:', error);
     }
   }
 
-  // Load concept dictionary
-  async loadConceptDictionary() {
+  // Start the search backend and load the index (cached in IndexedDB for offline use)
+  async loadSearchIndex() {
+    this.setSearchStatus('loading');
+    this.backend = this.createSearchBackend();
+
+    let data;
     try {
-      const response = await fetch('/cross-references.json');
-      const data = await response.json();
-      this.conceptDictionary = data.crossReferences.concepts;
-      this.crossReferences = data;
+      data = await this.backend.request('init', { urls: this.urls, queryOptions: this.queryOptions });
     } catch (error) {
-      console.warn('Failed to load concept dictionary:', error);
-      this.conceptDictionary = {};
+      console.warn('Failed to load search index:', error);
+      this.setSearchStatus('unavailable');
+      return;
     }
+
+    this.documents = data.documents;
+    this.glossary = data.glossary || [];
+    this.crossReferences = data.crossReferences;
+    data.warnings.forEach(warning => console.warn(warning));
+
+    this.suggestionSource = SearchSuggestions.buildSource({
+      crossReferences: this.crossReferences,
+      documents: this.documents,
+      glossary: this.glossary
+    });
+
+    const notes = [...data.warnings];
+    if (data.source === 'cache') {
+      notes.unshift('Offline: searching the saved copy of the book');
+    }
+    this.setSearchStatus('ready', notes.join('. '));
+    this.restoreSearchState();
+    this.setupConceptLinks();
   }
 
-  // Load cross-references
-  async loadCrossReferences() {
-    // Already loaded in loadConceptDictionary
+  // Auto-link known terms in the page and attach hover cards
+  setupConceptLinks() {
+    const terms = ConceptLinks.buildTerms({ crossReferences: this.crossReferences, glossary: this.glossary });
+    this.conceptTerms = new Map(terms.map(term => [term.name, term]));
+
+    if (!this.autoLinkEnabled) return;
+
+    const titles = {};
+    this.documents.forEach(doc => {
+      titles[doc.path] = doc.summaryTitle || doc.title;
+    });
+
+    this.hoverCards = new ConceptHoverCards({
+      terms,
+      titles,
+      maxRelated: this.maxRelated,
+      showCards: this.hoverCardsEnabled
+    });
+    this.hoverCards.enhance();
   }
 
-  // Build search index from content
-  async buildSearchIndex() {
-    // This would crawl all markdown files and build an inverted index
-    // For now, we'll use a simplified approach
-    
-    const documents = [
-      {
-        id: 'cap-theorem',
-        title: 'CAP Theorem',
-        path: 'part-i-fundamentals/chapter-03-distributed-systems/cap-theorem.md',
-        content: 'CAP theorem consistency availability partition tolerance distributed systems',
-        tags: ['distributed-systems', 'theory', 'beginner'],
-        difficulty: 'beginner',
-        part: 'fundamentals'
-      },
-      {
-        id: 'load-balancing',
-        title: 'Load Balancing',
-        path: 'part-ii-components/chapter-11-load-balancing/README.md',
-        content: 'load balancing algorithms round robin weighted least connections',
-        tags: ['scaling', 'performance', 'intermediate'],
-        difficulty: 'intermediate',
-        part: 'components'
+  // Search in a Web Worker, or on the main thread when workers are unavailable
+  createSearchBackend() {
+    if (typeof Worker !== 'undefined') {
+      try {
+        return this.createWorkerBackend(new Worker(this.workerUrl));
+      } catch (error) {
+        console.warn('Failed to start search worker:', error);
       }
-      // More documents would be added here
-    ];
+    }
 
-    this.searchIndex.documents = documents;
-    
-    // Build term index
-    documents.forEach(doc => {
-      const terms = doc.content.toLowerCase().split(/\s+/);
-      terms.forEach(term => {
-        if (!this.searchIndex.terms.has(term)) {
-          this.searchIndex.terms.set(term, []);
-        }
-        this.searchIndex.terms.get(term).push(doc.id);
-      });
+    const engine = new SearchEngine();
+    return {
+      request: async (type, payload) => engine.handleRequest(type, payload)
+    };
+  }
+
+  // Promise-based request/response wrapper around the worker's messages
+  createWorkerBackend(worker) {
+    const pending = new Map();
+
+    worker.addEventListener('message', (event) => {
+      const { id, ok, result, error } = event.data || {};
+      const request = pending.get(id);
+      if (!request) return;
+
+      pending.delete(id);
+      if (ok) {
+        request.resolve(result);
+      } else {
+        request.reject(new Error(error));
+      }
     });
+
+    worker.addEventListener('error', (event) => {
+      pending.forEach(request => request.reject(new Error(event.message || 'Search worker failed')));
+      pending.clear();
+    });
+
+    return {
+      request: (type, payload) => new Promise((resolve, reject) => {
+        const id = ++this.requestCounter;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, payload });
+      })
+    };
+  }
+
+  // Show loading / unavailable / offline state next to the input
+  setSearchStatus(status, message = '') {
+    const defaults = {
+      loading: 'Loading search index…',
+      unavailable: 'Search unavailable: the search index could not be loaded. Check your connection and reload the page.',
+      ready: ''
+    };
+
+    this.status = status;
+    document.querySelector('.enhanced-search').dataset.status = status;
+
+    const statusElement = document.getElementById('search-status');
+    statusElement.textContent = message || defaults[status];
+    statusElement.hidden = !statusElement.textContent;
   }
 
   // Setup search interface
@@ -108,8 +215,16 @@ class EnhancedSearch {
         <input type="text" 
                class="search-input" 
                placeholder="Search concepts, topics, or problems..."
-               id="enhanced-search-input">
+               id="enhanced-search-input"
+               role="combobox"
+               autocomplete="off"
+               aria-autocomplete="list"
+               aria-expanded="false"
+               aria-controls="search-suggestions">
+        <ul class="search-suggestions" id="search-suggestions" role="listbox"
+            aria-label="Search suggestions" hidden></ul>
       </div>
+      <div class="search-status" id="search-status" role="status" aria-live="polite" hidden></div>
       <div class="search-facets" id="search-facets"></div>
       <div class="search-results" id="search-results" style="display: none;"></div>
     `;
@@ -122,177 +237,152 @@ class EnhancedSearch {
     const searchInput = document.getElementById('enhanced-search-input');
     searchInput.addEventListener('input', this.debounce((e) => {
       this.performSearch(e.target.value);
+      this.updateUrlState();
     }, 300));
 
+    searchInput.addEventListener('input', (e) => {
+      this.showSearchSuggestions(e.target.value);
+    });
+
     searchInput.addEventListener('focus', () => {
-      this.showSearchSuggestions();
+      this.showSearchSuggestions(searchInput.value);
+    });
+
+    searchInput.addEventListener('blur', () => {
+      // Delay so a click on a suggestion lands before the list closes
+      setTimeout(() => this.hideSearchSuggestions(), 150);
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+      this.handleSuggestionKeydown(e);
     });
 
     // Setup facets
     this.setupSearchFacets();
   }
 
-  // Setup search facets
+  // Hide facets when they are turned off in navigation-config.json
   setupSearchFacets() {
+    if (!this.facetsEnabled) {
+      document.getElementById('search-facets').style.display = 'none';
+    }
+  }
+
+  // Restore a shared search from the URL, or run what was typed while loading
+  restoreSearchState() {
+    const searchInput = document.getElementById('enhanced-search-input');
+    const { query, activeFacets } = SearchFacets.fromQueryString(window.location.search, this.facetKeys);
+
+    if (this.facetsEnabled) {
+      this.activeFacets = activeFacets;
+    }
+    if (this.pendingQuery === null && query) {
+      searchInput.value = query;
+    }
+
+    this.pendingQuery = null;
+    this.performSearch(searchInput.value);
+  }
+
+  // Render facet values with result counts
+  renderSearchFacets(facets) {
     const facetsContainer = document.getElementById('search-facets');
-    const facets = [
-      { key: 'difficulty', values: ['beginner', 'intermediate', 'advanced'] },
-      { key: 'part', values: ['fundamentals', 'components', 'interviews', 'advanced'] },
-      { key: 'topic', values: ['scaling', 'databases', 'caching', 'security'] }
-    ];
+    if (!this.facetsEnabled) return;
+
+    facetsContainer.replaceChildren();
 
     facets.forEach(facet => {
-      facet.values.forEach(value => {
-        const facetElement = document.createElement('span');
-        facetElement.className = 'search-facet';
-        facetElement.textContent = `${facet.key}: ${value}`;
+      const group = this.createElement('div', 'search-facet-group');
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-label', facet.key);
+      group.appendChild(this.createElement('span', 'search-facet-label', facet.key));
+
+      facet.values.forEach(({ value, count, active }) => {
+        const facetElement = this.createElement('button', active ? 'search-facet active' : 'search-facet');
+        facetElement.type = 'button';
         facetElement.dataset.facetKey = facet.key;
         facetElement.dataset.facetValue = value;
-        
+        facetElement.setAttribute('aria-pressed', String(active));
+        facetElement.appendChild(document.createTextNode(value));
+        facetElement.appendChild(this.createElement('span', 'search-facet-count', String(count)));
+
         facetElement.addEventListener('click', () => {
           this.toggleFacet(facetElement);
         });
-        
-        facetsContainer.appendChild(facetElement);
+
+        group.appendChild(facetElement);
       });
+
+      facetsContainer.appendChild(group);
     });
   }
 
   // Toggle search facet
   toggleFacet(facetElement) {
-    facetElement.classList.toggle('active');
+    const { facetKey, facetValue } = facetElement.dataset;
+    this.activeFacets = SearchFacets.toggleValue(this.activeFacets, facetKey, facetValue);
     this.performSearch(document.getElementById('enhanced-search-input').value);
+    this.updateUrlState();
   }
 
-  // Get active facets
-  getActiveFacets() {
-    const activeFacets = {};
-    document.querySelectorAll('.search-facet.active').forEach(facet => {
-      const key = facet.dataset.facetKey;
-      const value = facet.dataset.facetValue;
-      
-      if (!activeFacets[key]) {
-        activeFacets[key] = [];
-      }
-      activeFacets[key].push(value);
-    });
-    
-    return activeFacets;
+  // Mirror the query and facet selection in the URL so searches can be shared
+  updateUrlState() {
+    const query = document.getElementById('enhanced-search-input').value.trim();
+    const search = SearchFacets.toQueryString(query, this.activeFacets, this.facetKeys, window.location.search);
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
   }
 
-  // Perform search
-  performSearch(query) {
-    if (!query.trim()) {
-      this.hideSearchResults();
+  // Perform search in the backend; only the newest response is displayed
+  async performSearch(query) {
+    if (this.status !== 'ready') {
+      // Remember the latest query and run it once the index is ready
+      this.pendingQuery = query;
       return;
     }
 
-    const results = this.searchDocuments(query);
-    const filteredResults = this.applyFacetFilters(results);
-    this.displaySearchResults(filteredResults, query);
-  }
-
-  // Search documents
-  searchDocuments(query) {
-    const terms = query.toLowerCase().split(/\s+/);
-    const results = new Map();
-
-    // Search in document content
-    terms.forEach(term => {
-      if (this.searchIndex.terms.has(term)) {
-        this.searchIndex.terms.get(term).forEach(docId => {
-          const doc = this.searchIndex.documents.find(d => d.id === docId);
-          if (doc) {
-            const score = results.get(docId) || 0;
-            results.set(docId, score + 1);
-          }
-        });
-      }
-    });
+    const searchId = ++this.latestSearch;
 
-    // Search in concept dictionary
-    Object.keys(this.conceptDictionary).forEach(concept => {
-      if (concept.toLowerCase().includes(query.toLowerCase())) {
-        const conceptData = this.conceptDictionary[concept];
-        results.set(`concept-${concept}`, 10); // Higher score for concept matches
+    try {
+      if (!query.trim()) {
+        this.hideSearchResults();
+        const facets = await this.backend.request('facets', {
+          activeFacets: this.activeFacets,
+          facetKeys: this.facetKeys
+        });
+        if (searchId === this.latestSearch) this.renderSearchFacets(facets);
+        return;
       }
-    });
-
-    // Convert to array and sort by score
-    return Array.from(results.entries())
-      .map(([id, score]) => {
-        const doc = this.searchIndex.documents.find(d => d.id === id) || 
-                   this.getConceptResult(id, query);
-        return { ...doc, score };
-      })
-      .filter(result => result)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, this.maxResults);
-  }
 
-  // Get concept result
-  getConceptResult(id, query) {
-    if (!id.startsWith('concept-')) return null;
-    
-    const conceptName = id.replace('concept-', '');
-    const concept = this.conceptDictionary[conceptName];
-    
-    if (!concept) return null;
-    
-    return {
-      id,
-      title: conceptName,
-      path: concept.mainLocation,
-      content: concept.definition,
-      type: 'concept',
-      relatedTopics: concept.relatedTopics || []
-    };
-  }
+      const response = await this.backend.request('search', {
+        query,
+        activeFacets: this.activeFacets,
+        facetKeys: this.facetKeys,
+        limit: this.maxResults
+      });
 
-  // Apply facet filters
-  applyFacetFilters(results) {
-    const activeFacets = this.getActiveFacets();
-    
-    if (Object.keys(activeFacets).length === 0) {
-      return results;
+      if (searchId !== this.latestSearch) return;
+      this.renderSearchFacets(response.facets);
+      this.displaySearchResults(response.results, query, response.terms);
+    } catch (error) {
+      console.warn('Search failed:', error);
     }
-
-    return results.filter(result => {
-      return Object.entries(activeFacets).every(([key, values]) => {
-        return values.some(value => {
-          if (result[key]) {
-            return Array.isArray(result[key]) 
-              ? result[key].includes(value)
-              : result[key] === value;
-          }
-          return false;
-        });
-      });
-    });
   }
 
   // Display search results
-  displaySearchResults(results, query) {
+  displaySearchResults(results, query, terms = query.toLowerCase().split(/[^a-z0-9]+/)) {
     const resultsContainer = document.getElementById('search-results');
-    
+    resultsContainer.replaceChildren();
+
     if (results.length === 0) {
-      resultsContainer.innerHTML = `
-        <div class="search-result-item">
-          <div class="search-result-title">No results found</div>
-          <div class="search-result-snippet">
-            Try different keywords or check the concept dictionary
-          </div>
-        </div>
-      `;
+      const item = this.createElement('div', 'search-result-item');
+      item.appendChild(this.createElement('div', 'search-result-title', 'No results found'));
+      item.appendChild(this.createElement('div', 'search-result-snippet',
+        'Try different keywords or check the concept dictionary'));
+      resultsContainer.appendChild(item);
     } else {
-      resultsContainer.innerHTML = results.map(result => `
-        <div class="search-result-item" onclick="window.location.href='${result.path}'">
-          <div class="search-result-title">${this.highlightQuery(result.title, query)}</div>
-          <div class="search-result-snippet">${this.highlightQuery(result.content, query)}</div>
-          <div class="search-result-path">${result.path}</div>
-          ${result.type === 'concept' ? '<span class="concept-badge">Concept</span>' : ''}
-        </div>
-      `).join('');
+      results.forEach(result => {
+        resultsContainer.appendChild(this.createResultElement(result, terms));
+      });
     }
     
     resultsContainer.style.display = 'block';
@@ -301,19 +391,44 @@ class EnhancedSearch {
     this.addToSearchHistory(query, results.length);
   }
 
-  // Highlight query terms in text
-  highlightQuery(text, query) {
-    if (!text || !query) return text;
-    
-    const terms = query.split(/\s+/);
-    let highlightedText = text;
-    
-    terms.forEach(term => {
-      const regex = new RegExp(`(${term})`, 'gi');
-      highlightedText = highlightedText.replace(regex, '<mark>$1</mark>');
+  // Build one result as a link to the built page; all text goes through textContent
+  createResultElement(result, terms) {
+    const item = this.createElement('a', 'search-result-item');
+    item.href = PagePaths.toHref(result.path);
+
+    const title = this.createElement('div', 'search-result-title');
+    const prefix = result.section ? `${result.section} ` : '';
+    this.appendHighlighted(title, prefix + result.title, terms);
+
+    const snippet = this.createElement('div', 'search-result-snippet');
+    this.appendHighlighted(snippet, result.snippet || '', terms);
+
+    item.appendChild(title);
+    item.appendChild(snippet);
+    item.appendChild(this.createElement('div', 'search-result-path', result.path));
+
+    if (result.type === 'concept') {
+      item.appendChild(this.createElement('span', 'concept-badge', 'Concept'));
+    }
+
+    return item;
+  }
+
+  // Append text to an element, wrapping matched words in <mark>
+  appendHighlighted(element, text, terms) {
+    SearchSnippets.highlightSegments(text, terms).forEach(segment => {
+      element.appendChild(segment.highlighted
+        ? this.createElement('mark', null, segment.text)
+        : document.createTextNode(segment.text));
     });
-    
-    return highlightedText;
+  }
+
+  // Utility: create an element with an optional class and text
+  createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
   }
 
   // Hide search results
@@ -322,34 +437,137 @@ class EnhancedSearch {
     resultsContainer.style.display = 'none';
   }
 
-  // Show search suggestions
-  showSearchSuggestions() {
-    const suggestions = this.getPopularSearches();
-    // Implementation for showing suggestions
+  // Show the suggestion dropdown for the current input
+  showSearchSuggestions(input = '') {
+    this.suggestions = SearchSuggestions.getSuggestions(this.suggestionSource, this.searchHistory, input);
+    this.activeSuggestion = -1;
+
+    const list = document.getElementById('search-suggestions');
+    const searchInput = document.getElementById('enhanced-search-input');
+    list.replaceChildren();
+
+    if (this.suggestions.length === 0) {
+      this.hideSearchSuggestions();
+      return;
+    }
+
+    this.suggestions.forEach((suggestion, index) => {
+      const option = this.createElement('li', `search-suggestion search-suggestion-${suggestion.type}`);
+      option.id = `search-suggestion-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.appendChild(this.createElement('span', 'search-suggestion-label', suggestion.label));
+      option.appendChild(this.createElement('span', 'search-suggestion-type', suggestion.type));
+
+      // mousedown fires before the input's blur
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.selectSuggestion(index);
+      });
+
+      list.appendChild(option);
+    });
+
+    list.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+    searchInput.removeAttribute('aria-activedescendant');
+  }
+
+  // Hide the suggestion dropdown
+  hideSearchSuggestions() {
+    const list = document.getElementById('search-suggestions');
+    const searchInput = document.getElementById('enhanced-search-input');
+    list.hidden = true;
+    this.activeSuggestion = -1;
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.removeAttribute('aria-activedescendant');
+  }
+
+  // Arrow keys move through suggestions, Enter picks one or submits the query
+  handleSuggestionKeydown(e) {
+    const list = document.getElementById('search-suggestions');
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (list.hidden) {
+        this.showSearchSuggestions(e.target.value);
+        if (this.suggestions.length === 0) return;
+      }
+
+      // Cycle through the options and back to the typed text (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = this.suggestions.length;
+      this.setActiveSuggestion((this.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1);
+    } else if (e.key === 'Enter') {
+      if (!list.hidden && this.activeSuggestion >= 0) {
+        e.preventDefault();
+        this.selectSuggestion(this.activeSuggestion);
+      } else {
+        this.submitSearch(e.target.value);
+      }
+    }
+  }
+
+  // Mark one option as active (-1 returns focus to the typed text)
+  setActiveSuggestion(index) {
+    const searchInput = document.getElementById('enhanced-search-input');
+    this.activeSuggestion = index;
+
+    document.querySelectorAll('#search-suggestions [role="option"]').forEach((option, optionIndex) => {
+      const active = optionIndex === index;
+      option.setAttribute('aria-selected', String(active));
+      option.classList.toggle('active', active);
+      if (active) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (index >= 0) {
+      searchInput.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  // Search for the chosen suggestion
+  selectSuggestion(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+
+    const searchInput = document.getElementById('enhanced-search-input');
+    searchInput.value = suggestion.label;
+    this.hideSearchSuggestions();
+    this.submitSearch(suggestion.label);
+    this.performSearch(suggestion.label);
+    this.updateUrlState();
   }
 
-  // Get popular searches
+  // Get popular searches from the user's search history
   getPopularSearches() {
-    return [
-      'CAP theorem',
-      'Load balancing',
-      'Database sharding',
-      'Microservices',
-      'Caching strategies'
-    ];
+    return SearchSuggestions.getPopularSearches(this.searchHistory).map(item => item.label);
+  }
+
+  // Load search history saved by addToSearchHistory
+  loadSearchHistory() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('searchHistory'));
+      this.searchHistory = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      console.warn('Failed to load search history:', error);
+      this.searchHistory = [];
+    }
   }
 
   // Add to search history
   addToSearchHistory(query, resultCount) {
-    this.searchHistory.unshift({
+    const submitted = query.trim().toLowerCase() === this.submittedQuery;
+    if (submitted) this.submittedQuery = null;
+
+    this.searchHistory = SearchSuggestions.addToHistory(this.searchHistory, {
       query,
       resultCount,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      submitted
     });
     
-    // Keep only last 50 searches
-    this.searchHistory = this.searchHistory.slice(0, 50);
-    
     // Save to localStorage
     try {
       localStorage.setItem('searchHistory', JSON.stringify(this.searchHistory));
@@ -358,6 +576,18 @@ class EnhancedSearch {
     }
   }
 
+  // Enter or a picked suggestion submits the query: history keeps it even
+  // when a longer query follows
+  submitSearch(query) {
+    this.submittedQuery = query.trim().toLowerCase();
+
+    // Already searched as typed: mark that entry
+    const latest = this.searchHistory[0];
+    if (latest && latest.query.trim().toLowerCase() === this.submittedQuery) {
+      this.addToSearchHistory(latest.query, latest.resultCount);
+    }
+  }
+
   // Setup keyboard shortcuts
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
@@ -369,6 +599,7 @@ class EnhancedSearch {
       
       // Escape to hide search results
       if (e.key === 'Escape') {
+        this.hideSearchSuggestions();
         this.hideSearchResults();
         document.getElementById('enhanced-search-input').blur();
       }
@@ -388,14 +619,14 @@ class EnhancedSearch {
     };
   }
 
-  // Get concept definition (for hover cards)
+  // Get concept definition (concepts, technologies, patterns and glossary terms)
   getConceptDefinition(conceptName) {
-    return this.conceptDictionary[conceptName]?.definition || null;
+    return this.conceptTerms.get(conceptName)?.definition || null;
   }
 
-  // Get related topics
+  // Get related topics, capped at maxRelated
   getRelatedTopics(conceptName) {
-    return this.conceptDictionary[conceptName]?.relatedTopics || [];
+    return (this.conceptTerms.get(conceptName)?.relatedTopics || []).slice(0, this.maxRelated);
   }
 }
 
@@ -0,0 +1,418 @@
+/**
+ * Learning Dashboard for System Design GitBook
+ * Personal overview rendered into any <div id="learning-dashboard">:
+ * completion per part and chapter, recently visited pages, bookmarks with
+ * notes, reading time over the last weeks, recent searches and the sections
+ * to read next. Everything comes from the reader's ProgressTracker data and
+ * EnhancedSearch history in localStorage, plus the table of contents and
+ * learning paths that ProgressTracker caches, so the page works offline.
+ * Sections follow navigation-config.json userExperience.personalization.
+ * Requires learning-paths.js and progress-tracking.js to be loaded first.
+ */
+
+class LearningDashboard {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    if (this.tracker && !this.tracker.progress) this.tracker = null; // tracking turned off
+    this.configUrl = options.configUrl || '/navigation-config.json';
+    this.searchHistoryKey = options.searchHistoryKey || 'searchHistory'; // written by enhanced-search.js
+    this.recentLimit = options.recentLimit || 10;
+    this.weeks = options.weeks || 8;
+    this.recommendationLimit = options.recommendationLimit || 5;
+    this.personalization = { enabled: true, readingHistory: true, recommendations: true, customDashboard: true };
+    this.container = null;
+  }
+
+  // Load the table of contents, learning paths and settings, then render
+  async init(container = document.getElementById('learning-dashboard')) {
+    if (!container) return;
+    if (!this.tracker) {
+      container.appendChild(this.createElement('p', 'dashboard-empty', 'Progress tracking is turned off, so there is nothing to show here.'));
+      return;
+    }
+
+    await Promise.all([this.tracker.summaryLoaded, this.tracker.loadCrossReferences(), this.loadSettings()]);
+    if (!this.personalization.enabled || !this.personalization.customDashboard) return;
+    this.render(container);
+  }
+
+  // Personalization switches from navigation-config.json; everything stays on if it can't be loaded
+  async loadSettings() {
+    try {
+      const config = await this.tracker.fetchJson(this.configUrl);
+      this.personalization = { ...this.personalization, ...config.userExperience.personalization };
+    } catch (error) {
+      console.warn('Failed to load dashboard settings:', error);
+    }
+  }
+
+  // All dashboard sections
+  render(container = this.container) {
+    if (!container) return;
+    this.container = container;
+
+    container.replaceChildren();
+    container.classList.add('learning-dashboard');
+
+    container.appendChild(this.renderOverview());
+    if (this.personalization.recommendations) container.appendChild(this.renderRecommendations());
+    container.appendChild(this.renderCompletion());
+    if (this.personalization.readingHistory) {
+      container.appendChild(this.renderRecentPages());
+      container.appendChild(this.renderSearchHistory());
+    }
+    container.appendChild(this.renderBookmarks());
+    container.appendChild(this.renderReadingTime());
+  }
+
+  // One-line summary: book completion, mastered chapters, total time and streak
+  renderOverview() {
+    const { progress } = this.tracker;
+    const parts = this.getCompletion();
+    const chapters = parts.reduce((all, part) => all.concat(part.chapters), []);
+    const read = parts.reduce((sum, part) => sum + part.read, 0);
+    const total = parts.reduce((sum, part) => sum + part.total, 0);
+    const streak = this.getStreak(progress.readingLog.days);
+
+    const facts = [
+      total > 0 ? `📖 ${this.getPercent(read, total)}% of the book read` : `📖 ${progress.completionPercentage}% of the book read`,
+      `🏆 ${chapters.filter(chapter => chapter.mastered).length} chapters mastered`,
+      `⏱️ ${this.formatDuration(progress.readingTime)} reading`
+    ];
+    if (streak > 0) facts.push(`🔥 ${streak}-day streak`);
+
+    return this.createElement('p', 'dashboard-overview', facts.join(' · '));
+  }
+
+  // Progress bar per part, with a collapsible row per chapter
+  renderCompletion() {
+    const section = this.createSection('Completion');
+    const parts = this.getCompletion();
+    if (parts.length === 0) {
+      section.appendChild(this.createElement('p', 'dashboard-empty', 'The table of contents is not available offline yet. Open the book online once to load it.'));
+      return section;
+    }
+
+    parts.forEach(part => {
+      const details = this.createElement('details', 'dashboard-part');
+      const summary = document.createElement('summary');
+      summary.appendChild(this.createElement('span', 'dashboard-part-title', part.title));
+      summary.appendChild(this.createBar(part.percent, `${part.title} completion`));
+      summary.appendChild(this.createElement('span', 'dashboard-count', `${part.read} of ${part.total} pages`));
+      details.appendChild(summary);
+
+      const list = this.createElement('ul', 'dashboard-chapters');
+      part.chapters.forEach(chapter => {
+        const item = document.createElement('li');
+        item.appendChild(this.createLink(LearningPaths.toHref(chapter.path), chapter.title));
+        item.appendChild(this.createBar(chapter.percent, `${chapter.title} completion`));
+        item.appendChild(this.createElement('span', 'dashboard-count',
+          `${chapter.read} of ${chapter.total}${chapter.mastered ? ' · 🏆 Mastered' : ''}`));
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+      section.appendChild(details);
+    });
+    return section;
+  }
+
+  // Latest page visits, newest first
+  renderRecentPages() {
+    const section = this.createSection('Recently visited');
+    const pages = this.tracker.progress.recentPages.slice(0, this.recentLimit);
+    if (pages.length === 0) {
+      section.appendChild(this.createElement('p', 'dashboard-empty', 'Pages you open will show up here.'));
+      return section;
+    }
+
+    const list = this.createElement('ul', 'dashboard-recent');
+    pages.forEach(page => {
+      const item = document.createElement('li');
+      item.appendChild(this.createLink(page.path, page.title || this.getPageTitle(page.path)));
+      item.appendChild(this.createElement('span', 'dashboard-meta', this.formatTimeAgo(page.timestamp)));
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  // Bookmarks with their notes and a remove button
+  renderBookmarks() {
+    const section = this.createSection('Bookmarks');
+    const bookmarks = [...this.tracker.progress.bookmarks].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    if (bookmarks.length === 0) {
+      section.appendChild(this.createElement('p', 'dashboard-empty', 'No bookmarks yet.'));
+      return section;
+    }
+
+    const list = this.createElement('ul', 'dashboard-bookmarks');
+    bookmarks.forEach(bookmark => {
+      const item = document.createElement('li');
+      item.appendChild(this.createLink(bookmark.path, bookmark.title || this.getPageTitle(bookmark.path)));
+      item.appendChild(this.createElement('span', 'dashboard-meta', this.formatTimeAgo(bookmark.timestamp)));
+      if (bookmark.note) item.appendChild(this.createElement('p', 'dashboard-note', bookmark.note));
+
+      const remove = this.createElement('button', 'dashboard-remove', 'Remove');
+      remove.type = 'button';
+      remove.setAttribute('aria-label', `Remove bookmark ${bookmark.title || bookmark.path}`);
+      remove.addEventListener('click', () => {
+        this.tracker.removeBookmark(bookmark.path);
+        this.render();
+        const heading = this.container.querySelector('.dashboard-bookmarks-section h4');
+        if (heading) heading.focus();
+      });
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  // Active reading time per week and per part
+  renderReadingTime() {
+    const section = this.createSection('Reading time');
+    const log = this.tracker.progress.readingLog;
+    const weeks = this.getWeeklyReadingTime(log.days);
+    const longest = Math.max(...weeks.map(week => week.milliseconds));
+    if (longest === 0) {
+      section.appendChild(this.createElement('p', 'dashboard-empty', `No reading time recorded in the last ${this.weeks} weeks.`));
+      return section;
+    }
+
+    const list = this.createElement('ul', 'dashboard-weeks');
+    weeks.forEach(week => {
+      const item = document.createElement('li');
+      const label = `Week of ${week.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+      item.appendChild(this.createElement('span', 'dashboard-week', label));
+      item.appendChild(this.createBar(this.getPercent(week.milliseconds, longest), `${label} reading time`, this.formatDuration(week.milliseconds)));
+      item.appendChild(this.createElement('span', 'dashboard-count', this.formatDuration(week.milliseconds)));
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+
+    const parts = this.getPartReadingTime(log.chapters);
+    if (parts.length > 0) {
+      section.appendChild(this.createElement('p', 'dashboard-meta',
+        `By part: ${parts.map(part => `${part.title} ${this.formatDuration(part.milliseconds)}`).join(' · ')}`));
+    }
+    return section;
+  }
+
+  // Latest searches from enhanced-search.js, each re-running the search
+  renderSearchHistory() {
+    const section = this.createSection('Recent searches');
+    const history = this.getSearchHistory().slice(0, this.recentLimit);
+    if (history.length === 0) {
+      section.appendChild(this.createElement('p', 'dashboard-empty', 'Your searches will show up here.'));
+      return section;
+    }
+
+    const list = this.createElement('ul', 'dashboard-searches');
+    history.forEach(entry => {
+      const item = document.createElement('li');
+      item.appendChild(this.createLink(`?q=${encodeURIComponent(entry.query)}`, entry.query));
+      item.appendChild(this.createElement('span', 'dashboard-meta',
+        `${entry.resultCount} result${entry.resultCount === 1 ? '' : 's'} · ${this.formatTimeAgo(entry.timestamp)}`));
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  // Next sections from the learning path, prerequisites and book order
+  renderRecommendations() {
+    const section = this.createSection('Read next');
+    const recommendations = this.tracker.getRecommendations(this.recommendationLimit);
+    if (recommendations.length === 0) {
+      const message = this.tracker.crossReferences
+        ? '🎉 Nothing left to recommend. You have read every chapter.'
+        : 'Recommendations are not available offline yet. Open the book online once to load them.';
+      section.appendChild(this.createElement('p', 'dashboard-empty', message));
+      return section;
+    }
+
+    const list = this.createElement('ul', 'dashboard-recommendations');
+    recommendations.forEach(recommendation => {
+      const item = document.createElement('li');
+      item.appendChild(this.createElement('span', 'learning-path-reason', `${LearningPaths.reasonLabels[recommendation.reason]}: `));
+      item.appendChild(this.createLink(LearningPaths.toHref(recommendation.path),
+        LearningPaths.getChapterTitle(recommendation.path, this.tracker.summary)));
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  // [{ title, read, total, percent, chapters: [{ title, path, read, total, percent, mastered }] }]
+  // A chapter's pages are its README and sections; a page counts once it is marked read
+  getCompletion() {
+    const { summary, progress } = this.tracker;
+    if (!summary) return [];
+
+    const readKeys = new Set([...progress.chaptersRead, ...progress.sectionsRead].map(path => this.tracker.getPageKey(path)));
+    return summary.parts.map(part => {
+      const chapters = part.chapters.map(chapter => {
+        const pages = [chapter.path, ...(chapter.sections || []).map(section => section.path)];
+        const read = pages.filter(path => readKeys.has(this.tracker.getPageKey(path))).length;
+        return {
+          title: chapter.title,
+          path: chapter.path,
+          read,
+          total: pages.length,
+          percent: this.getPercent(read, pages.length),
+          mastered: this.tracker.isChapterMastered(chapter.path)
+        };
+      });
+      const read = chapters.reduce((sum, chapter) => sum + chapter.read, 0);
+      const total = chapters.reduce((sum, chapter) => sum + chapter.total, 0);
+      return { title: part.title, read, total, percent: this.getPercent(read, total), chapters };
+    });
+  }
+
+  // [{ start, milliseconds }] for the last this.weeks weeks (starting Monday), oldest first
+  getWeeklyReadingTime(days, now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+    start.setDate(start.getDate() - (this.weeks - 1) * 7);
+
+    return Array.from({ length: this.weeks }, (_, week) => {
+      const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7);
+      let milliseconds = 0;
+      for (let day = 0; day < 7; day++) {
+        const date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + day);
+        milliseconds += days[this.tracker.getDayKey(date)] || 0;
+      }
+      return { start: weekStart, milliseconds };
+    });
+  }
+
+  // Consecutive days with reading time, ending today (or yesterday, if today has none yet)
+  getStreak(days, now = new Date()) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (!days[this.tracker.getDayKey(date)]) date.setDate(date.getDate() - 1);
+
+    let streak = 0;
+    while (days[this.tracker.getDayKey(date)] > 0) {
+      streak++;
+      date.setDate(date.getDate() - 1);
+    }
+    return streak;
+  }
+
+  // [{ title, milliseconds }] per book part, most time first; pages outside the parts are left out
+  getPartReadingTime(chapterTimes) {
+    const summary = this.tracker.summary;
+    if (!summary) return [];
+
+    const partOf = key => summary.parts.find(part =>
+      part.chapters.some(chapter => this.tracker.getPageKey(chapter.path).split('/')[0] === key.split('/')[0]));
+    const totals = new Map();
+    Object.entries(chapterTimes).forEach(([key, milliseconds]) => {
+      const part = partOf(key);
+      if (part) totals.set(part, (totals.get(part) || 0) + milliseconds);
+    });
+
+    return [...totals.entries()]
+      .map(([part, milliseconds]) => ({ title: part.shortTitle || part.title, milliseconds }))
+      .sort((a, b) => b.milliseconds - a.milliseconds);
+  }
+
+  // Search history saved by enhanced-search.js: [{ query, resultCount, timestamp }], newest first
+  getSearchHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(this.searchHistoryKey) || '[]');
+      return Array.isArray(history) ? history.filter(entry => entry && entry.query) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Page title from the table of contents, else from the file name
+  getPageTitle(path) {
+    const key = this.tracker.getPageKey(path);
+    const pages = ((this.tracker.summary && this.tracker.summary.parts) || [])
+      .reduce((all, part) => all.concat(part.chapters), [])
+      .reduce((all, chapter) => all.concat(chapter, chapter.sections || []), []);
+    const page = pages.find(item => this.tracker.getPageKey(item.path) === key);
+    return page ? page.title : LearningPaths.getChapterTitle(key, null);
+  }
+
+  // Whole percent, 0 for an empty total
+  getPercent(value, total) {
+    return total > 0 ? Math.round((value / total) * 100) : 0;
+  }
+
+  // "2 h 5 min", "12 min", "< 1 min" or "0 min"
+  formatDuration(milliseconds) {
+    if (!(milliseconds > 0)) return '0 min';
+    const minutes = Math.round(milliseconds / 60000);
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+  }
+
+  // "just now", "5 min ago", "3 h ago", "yesterday", "4 days ago" or the date
+  formatTimeAgo(timestamp, now = Date.now()) {
+    const time = new Date(timestamp);
+    if (isNaN(time)) return '';
+
+    const minutes = Math.floor((now - time.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    const days = Math.floor(minutes / (24 * 60));
+    if (days === 1) return 'yesterday';
+    if (days < 7) return `${days} days ago`;
+    return time.toLocaleDateString();
+  }
+
+  // Section with a heading; the heading can take focus after a re-render
+  createSection(title) {
+    const section = this.createElement('section', `dashboard-section dashboard-${title.toLowerCase().replace(/\s+/g, '-')}-section`);
+    const heading = this.createElement('h4', null, title);
+    heading.tabIndex = -1;
+    section.appendChild(heading);
+    return section;
+  }
+
+  // Progress bar with an accessible value
+  createBar(percent, label, valueText) {
+    const bar = this.createElement('div', 'dashboard-bar');
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(percent));
+    bar.setAttribute('aria-label', label);
+    if (valueText) bar.setAttribute('aria-valuetext', valueText);
+    const fill = this.createElement('div', 'dashboard-fill');
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+    return bar;
+  }
+
+  // Link with text
+  createLink(href, text) {
+    const link = this.createElement('a', null, text);
+    link.href = href;
+    return link;
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize the learning dashboard when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new LearningDashboard().init());
+} else {
+  new LearningDashboard().init();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningDashboard;
+}
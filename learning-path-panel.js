@@ -0,0 +1,162 @@
+/**
+ * Learning Path Panel for System Design GitBook
+ * Renders the learning paths of cross-references.json into a
+ * <div id="learning-paths"> with each path's progress, its next unread
+ * chapter and an enroll / leave button, followed by the reader's
+ * recommendations. On chapter pages whose prerequisites are unread, shows a
+ * warning linking to them (navigation-config.json
+ * userExperience.dualMode.learningMode.prerequisites).
+ * Requires learning-paths.js and progress-tracking.js to be loaded first.
+ */
+
+class LearningPathPanel {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    if (this.tracker && !this.tracker.progress) this.tracker = null; // tracking turned off
+    this.currentPath = options.currentPath || window.location.pathname;
+    this.contentSelector = options.contentSelector || '.markdown-section';
+    this.showPrerequisites = options.showPrerequisites !== false;
+    this.container = null;
+  }
+
+  // Load the learning paths, then render the panel and the prerequisite warning
+  async init(container = document.getElementById('learning-paths')) {
+    if (!this.tracker) return;
+
+    await this.tracker.loadCrossReferences();
+    if (!this.tracker.crossReferences) return;
+
+    if (this.showPrerequisites) this.showPrerequisiteWarning();
+    if (container) this.render(container);
+  }
+
+  // Path cards and recommendations
+  render(container = this.container) {
+    if (!container) return;
+    this.container = container;
+
+    const { crossReferences, progress, summary } = this.tracker;
+    const enrolledKey = LearningPaths.getEnrolledKey(progress);
+    container.replaceChildren();
+    container.classList.add('learning-paths');
+
+    LearningPaths.getPaths(crossReferences).forEach(path => {
+      container.appendChild(this.createPathCard(path, path.key === enrolledKey, summary));
+    });
+
+    const recommendations = this.tracker.getRecommendations();
+    if (recommendations.length > 0) {
+      const section = this.createElement('section', 'learning-path-recommendations');
+      section.appendChild(this.createElement('h4', null, 'Recommended next'));
+      const list = document.createElement('ul');
+      recommendations.forEach(recommendation => {
+        const item = document.createElement('li');
+        item.appendChild(this.createElement('span', 'learning-path-reason', `${LearningPaths.reasonLabels[recommendation.reason]}: `));
+        item.appendChild(this.createChapterLink(recommendation.path, summary));
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      container.appendChild(section);
+    }
+  }
+
+  // One path: name, description, progress bar, next chapter and enroll / leave button
+  createPathCard(path, enrolled, summary) {
+    const pathProgress = LearningPaths.getPathProgress(path, this.tracker.progress);
+    const card = this.createElement('section', `learning-path${enrolled ? ' learning-path-enrolled' : ''}`);
+    card.dataset.path = path.key;
+
+    const title = this.createElement('h4', null, path.name || path.key);
+    if (path.estimatedTime) {
+      title.appendChild(this.createElement('span', 'learning-path-time', path.estimatedTime));
+    }
+    card.appendChild(title);
+    if (path.description) {
+      card.appendChild(this.createElement('p', 'learning-path-description', path.description));
+    }
+
+    const bar = this.createElement('div', 'learning-path-bar');
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.setAttribute('aria-valuenow', String(pathProgress.percent));
+    bar.setAttribute('aria-label', `${path.name || path.key} progress`);
+    const fill = this.createElement('div', 'learning-path-fill');
+    fill.style.width = `${pathProgress.percent}%`;
+    bar.appendChild(fill);
+    card.appendChild(bar);
+
+    const status = this.createElement('p', 'learning-path-status',
+      `${pathProgress.read} of ${pathProgress.total} chapters read`);
+    if (pathProgress.nextChapter) {
+      status.appendChild(document.createTextNode(' · Next: '));
+      status.appendChild(this.createChapterLink(pathProgress.nextChapter, summary));
+    } else if (pathProgress.total > 0) {
+      status.appendChild(document.createTextNode(' · 🏆 Complete'));
+    }
+    card.appendChild(status);
+
+    const button = this.createElement('button', 'learning-path-toggle', enrolled ? 'Leave path' : 'Follow this path');
+    button.type = 'button';
+    button.setAttribute('aria-pressed', String(enrolled));
+    button.addEventListener('click', () => {
+      if (enrolled) {
+        this.tracker.leavePath();
+      } else {
+        this.tracker.enrollInPath(path.key);
+      }
+      this.render();
+      const toggle = this.container.querySelector(`[data-path="${path.key}"] .learning-path-toggle`);
+      if (toggle) toggle.focus();
+    });
+    card.appendChild(button);
+
+    return card;
+  }
+
+  // Warning at the top of a chapter page listing its unread prerequisites
+  showPrerequisiteWarning(root = document.querySelector(this.contentSelector)) {
+    if (!root || LearningPaths.toChapterKey(this.currentPath) !== LearningPaths.toPageKey(this.currentPath)) return null;
+
+    const unmet = LearningPaths.getUnmetPrerequisites(this.currentPath, this.tracker.crossReferences, this.tracker.progress);
+    if (unmet.length === 0) return null;
+
+    const warning = this.createElement('div', 'prerequisite-warning');
+    warning.setAttribute('role', 'note');
+    warning.appendChild(document.createTextNode(`⚠️ This chapter builds on ${unmet.length === 1 ? 'a chapter' : 'chapters'} you haven't read yet: `));
+    unmet.forEach((chapter, index) => {
+      if (index > 0) warning.appendChild(document.createTextNode(', '));
+      warning.appendChild(this.createChapterLink(chapter, this.tracker.summary));
+    });
+
+    root.insertBefore(warning, root.firstChild);
+    return warning;
+  }
+
+  // Link to a chapter, titled from the table of contents
+  createChapterLink(path, summary) {
+    const link = this.createElement('a', null, LearningPaths.getChapterTitle(path, summary));
+    link.href = LearningPaths.toHref(path);
+    return link;
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize learning paths when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new LearningPathPanel().init());
+} else {
+  new LearningPathPanel().init();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningPathPanel;
+}
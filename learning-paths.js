@@ -0,0 +1,170 @@
+/**
+ * Learning Paths for System Design GitBook
+ * Path progress, chapter prerequisites and next-step recommendations from
+ * the "learningPaths" and "prerequisites" of cross-references.json and the
+ * reader's ProgressTracker data. Pure functions with no DOM access, shared
+ * by learning-path-panel.js and progress-tracking.js in the browser and
+ * usable from Node. Requires page-paths.js to be loaded first.
+ *
+ * Paths may be book paths ("a/b/README.md") or site URLs ("/a/b/"); they are
+ * compared by PagePaths.toPageKey, as ProgressTracker.getPageKey does.
+ */
+
+const LearningPaths = {
+  // Order in which recommendations are listed
+  reasons: ['prerequisite', 'next-in-path', 'next-in-book', 'related'],
+
+  // Why each recommendation is listed, as shown to the reader
+  reasonLabels: {
+    prerequisite: 'Read first',
+    'next-in-path': 'Next in your path',
+    'next-in-book': 'Next in the book',
+    related: 'Related'
+  },
+
+  // Normalise a book path or site URL (see PagePaths.toPageKey)
+  toPageKey(path) {
+    return PagePaths.toPageKey(path);
+  },
+
+  // Key of the chapter README a page belongs to (see PagePaths.toChapterKey)
+  toChapterKey(path) {
+    return PagePaths.toChapterKey(path);
+  },
+
+  // Site URL of a book path (see PagePaths.toHref)
+  toHref(path) {
+    return PagePaths.toHref(path);
+  },
+
+  // [{ key, name, description, estimatedTime, chapters }] in file order
+  getPaths(crossReferences) {
+    return Object.entries((crossReferences && crossReferences.learningPaths) || {})
+      .map(([key, path]) => ({ key, ...path, chapters: path.chapters || [] }));
+  },
+
+  // Key of the path the reader is enrolled in, or null
+  getEnrolledKey(progress) {
+    const enrolled = progress && progress.learningPath;
+    if (!enrolled) return null;
+    return typeof enrolled === 'string' ? enrolled : enrolled.key || null;
+  },
+
+  // Page keys of the chapters the reader has finished
+  getReadKeys(progress) {
+    return new Set(((progress && progress.chaptersRead) || []).map(path => this.toPageKey(path)));
+  },
+
+  // { total, read, percent, chapters: [{ path, key, read }], nextChapter } for one learning path
+  getPathProgress(path, progress) {
+    const readKeys = this.getReadKeys(progress);
+    const chapters = ((path && path.chapters) || []).map(chapter => {
+      const key = this.toPageKey(chapter);
+      return { path: chapter, key, read: readKeys.has(key) };
+    });
+    const read = chapters.filter(chapter => chapter.read).length;
+    const next = chapters.find(chapter => !chapter.read);
+
+    return {
+      total: chapters.length,
+      read,
+      percent: chapters.length ? Math.round((read / chapters.length) * 100) : 0,
+      chapters,
+      nextChapter: next ? next.path : null
+    };
+  },
+
+  // Prerequisite chapter paths of a page's chapter
+  getPrerequisites(path, crossReferences) {
+    const chapterKey = this.toChapterKey(path);
+    const entry = Object.entries((crossReferences && crossReferences.prerequisites) || {})
+      .find(([chapter]) => this.toPageKey(chapter) === chapterKey);
+    return entry ? entry[1] : [];
+  },
+
+  // Prerequisites of a page's chapter that the reader has not read yet
+  getUnmetPrerequisites(path, crossReferences, progress) {
+    const readKeys = this.getReadKeys(progress);
+    return this.getPrerequisites(path, crossReferences).filter(chapter => !readKeys.has(this.toPageKey(chapter)));
+  },
+
+  // Chapter paths in SUMMARY.md order
+  getBookChapters(summary) {
+    return ((summary && summary.parts) || [])
+      .reduce((all, part) => all.concat(part.chapters), [])
+      .map(chapter => chapter.path);
+  },
+
+  // Chapter title from the table of contents, else from the directory name
+  getChapterTitle(path, summary) {
+    const key = this.toPageKey(path);
+    const chapter = ((summary && summary.parts) || [])
+      .reduce((all, part) => all.concat(part.chapters), [])
+      .find(item => this.toPageKey(item.path) === key);
+    if (chapter) return chapter.title;
+
+    const name = key.replace(/\/README$/, '').split('/').pop();
+    return name.split('-').filter(Boolean).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  },
+
+  // Chapters to read next, most pressing first: [{ path, reason, pathKey? }]
+  //   prerequisite - an unread prerequisite of the current chapter or of the next path chapter
+  //   next-in-path - the first unread chapter of the enrolled learning path
+  //   next-in-book - the first unread chapter after the current (or last read) one in SUMMARY.md
+  //   related      - unread chapters that the current chapter's concepts point to
+  recommend({ progress, crossReferences, summary = null, currentPath = '' } = {}, { limit = 3 } = {}) {
+    const readKeys = this.getReadKeys(progress);
+    const currentChapter = currentPath ? this.toChapterKey(currentPath) : null;
+    const recommendations = [];
+    const seen = new Set(currentChapter ? [currentChapter] : []);
+
+    const add = (path, reason, extra = {}) => {
+      const key = this.toPageKey(path);
+      if (seen.has(key) || readKeys.has(key)) return;
+      seen.add(key);
+      recommendations.push({ path, reason, ...extra });
+    };
+
+    if (currentChapter) {
+      this.getUnmetPrerequisites(currentChapter, crossReferences, progress)
+        .forEach(chapter => add(chapter, 'prerequisite'));
+    }
+
+    const enrolledKey = this.getEnrolledKey(progress);
+    const enrolled = this.getPaths(crossReferences).find(path => path.key === enrolledKey);
+    if (enrolled) {
+      const { nextChapter } = this.getPathProgress(enrolled, progress);
+      if (nextChapter) {
+        this.getUnmetPrerequisites(nextChapter, crossReferences, progress)
+          .forEach(chapter => add(chapter, 'prerequisite', { pathKey: enrolled.key }));
+        add(nextChapter, 'next-in-path', { pathKey: enrolled.key });
+      }
+    }
+
+    const bookChapters = this.getBookChapters(summary);
+    const bookKeys = bookChapters.map(chapter => this.toPageKey(chapter));
+    let from = currentChapter ? bookKeys.indexOf(currentChapter) : -1;
+    if (from === -1) {
+      from = bookKeys.reduce((last, key, index) => (readKeys.has(key) ? index : last), -1);
+    }
+    const nextInBook = bookChapters.slice(from + 1).find(chapter => !readKeys.has(this.toPageKey(chapter)));
+    if (nextInBook) add(nextInBook, 'next-in-book');
+
+    if (currentChapter) {
+      const groups = Object.values((crossReferences && crossReferences.crossReferences) || {});
+      groups.forEach(entries => Object.values(entries || {}).forEach(entry => {
+        if (!entry.mainLocation || this.toChapterKey(entry.mainLocation) !== currentChapter) return;
+        (entry.relatedTopics || []).forEach(topic => add(`${this.toChapterKey(topic)}.md`, 'related'));
+      }));
+    }
+
+    return recommendations
+      .sort((a, b) => this.reasons.indexOf(a.reason) - this.reasons.indexOf(b.reason))
+      .slice(0, limit);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningPaths;
+}
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Section Numbering Linter for System Design GitBook
+ * Enforces the INDEXING-SYSTEM.md convention: every chapter directory has
+ * a README.md, section files are named NN-name.md, SUMMARY.md titles carry
+ * a "chapter.section" number matching the chapter and file prefix, numbers
+ * have no gaps or duplicates, and SUMMARY.md and the disk list the same files.
+ *
+ *   node lint-numbering.js          # report problems
+ *   node lint-numbering.js --fix    # renumber section files and SUMMARY entries in SUMMARY order
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findChapterFiles } = require('./build-search-index');
+const { loadSummary } = require('./summary-parser');
+
+const ROOT_DIR = __dirname;
+const SUMMARY_FILE = 'SUMMARY.md';
+const APPENDIX_DIR = 'appendices';
+
+const FILE_NAME_PATTERN = /^(\d{2})-[a-z0-9]+(?:-[a-z0-9]+)*\.md$/;
+const CHAPTER_DIR_PATTERN = /^chapter-(\d{2})-[a-z0-9-]+$/;
+
+// File prefix number of a section file, or null
+function getFileNumber(filePath) {
+    const match = path.posix.basename(filePath).match(/^(\d+)-/);
+    return match ? Number(match[1]) : null;
+}
+
+// File name with its number prefix replaced
+function renumberFileName(filePath, number) {
+    const dir = path.posix.dirname(filePath);
+    const base = path.posix.basename(filePath).replace(/^\d+-/, '');
+    return `${dir}/${String(number).padStart(2, '0')}-${base}`;
+}
+
+// Report duplicates and gaps in a list of { number, line } (expected 1..n)
+function checkSequence(items, label, file, problems) {
+    const seen = new Map();
+
+    items.forEach(item => {
+        if (item.number === null) return;
+        if (seen.has(item.number)) {
+            problems.push({ rule: 'duplicate-number', file, line: item.line, message: `Duplicate ${label} ${item.display || item.number}` });
+        }
+        seen.set(item.number, item);
+    });
+
+    const numbers = [...seen.keys()].sort((a, b) => a - b);
+    numbers.forEach((number, index) => {
+        const expected = index === 0 ? 1 : numbers[index - 1] + 1;
+        if (number !== expected) {
+            const item = seen.get(number);
+            problems.push({ rule: 'numbering-gap', file, line: item.line, message: `Numbering gap: ${label} ${item.display || number} follows ${index === 0 ? 'nothing' : numbers[index - 1]} (expected ${expected})` });
+        }
+    });
+
+    const ordered = items.filter(item => item.number !== null);
+    ordered.forEach((item, index) => {
+        if (index > 0 && item.number < ordered[index - 1].number) {
+            problems.push({ rule: 'order', file, line: item.line, message: `${label} ${item.display || item.number} is listed after ${ordered[index - 1].display || ordered[index - 1].number}` });
+        }
+    });
+}
+
+// Check one chapter's SUMMARY entries against its directory
+function lintChapter(rootDir, chapter, problems) {
+    const chapterDir = path.posix.dirname(chapter.path);
+    const dirName = path.posix.basename(chapterDir);
+    const dirMatch = dirName.match(CHAPTER_DIR_PATTERN);
+
+    if (path.posix.basename(chapter.path) !== 'README.md') {
+        problems.push({ rule: 'chapter-readme', file: SUMMARY_FILE, line: chapter.line, message: `Chapter ${chapter.number} should link to its README.md, not ${chapter.path}` });
+    }
+    if (dirMatch && Number(dirMatch[1]) !== chapter.number) {
+        problems.push({ rule: 'chapter-number', file: SUMMARY_FILE, line: chapter.line, message: `Chapter ${chapter.number} lives in ${dirName} (number ${Number(dirMatch[1])})` });
+    }
+
+    const sections = chapter.sections.map(section => {
+        const numberMatch = section.number ? section.number.match(/^(\d+)\.(\d+)$/) : null;
+        return {
+            ...section,
+            chapterNumber: numberMatch ? Number(numberMatch[1]) : null,
+            sectionNumber: numberMatch ? Number(numberMatch[2]) : null
+        };
+    });
+
+    sections.forEach(section => {
+        const fileName = path.posix.basename(section.path);
+        const fileNumber = getFileNumber(section.path);
+
+        if (path.posix.dirname(section.path) !== chapterDir) {
+            problems.push({ rule: 'section-location', file: SUMMARY_FILE, line: section.line, message: `${section.path} is outside ${chapterDir}/` });
+        }
+        if (!FILE_NAME_PATTERN.test(fileName)) {
+            problems.push({ rule: 'file-name', file: SUMMARY_FILE, line: section.line, message: `${fileName} does not follow the NN-name.md pattern` });
+        }
+        if (section.sectionNumber === null) {
+            problems.push({ rule: 'section-number', file: SUMMARY_FILE, line: section.line, message: `"${section.title}" has no ${chapter.number}.N number` });
+            return;
+        }
+        if (section.chapterNumber !== chapter.number) {
+            problems.push({ rule: 'section-number', file: SUMMARY_FILE, line: section.line, message: `${section.number} is in chapter ${chapter.number}` });
+        }
+        if (fileNumber !== null && section.sectionNumber !== fileNumber) {
+            problems.push({ rule: 'section-number', file: SUMMARY_FILE, line: section.line, message: `${section.number} does not match file prefix ${fileName}` });
+        }
+    });
+
+    checkSequence(
+        sections.map(section => ({ number: section.sectionNumber, display: section.number, line: section.line })),
+        'section', SUMMARY_FILE, problems
+    );
+
+    // File prefixes on disk, in file name order
+    const dirPath = path.join(rootDir, chapterDir);
+    if (fs.existsSync(dirPath)) {
+        const files = fs.readdirSync(dirPath).filter(name => name.endsWith('.md') && name !== 'README.md').sort();
+        checkSequence(
+            files.map(name => ({ number: getFileNumber(name), display: name, line: null })),
+            'file', chapterDir, problems
+        );
+    }
+}
+
+// Check appendix titles (A.N) against their file prefixes
+function lintAppendices(appendices, problems) {
+    appendices.forEach(appendix => {
+        const fileNumber = getFileNumber(appendix.path);
+        const numberMatch = appendix.number ? appendix.number.match(/^[A-Z]\.(\d+)$/) : null;
+
+        if (!numberMatch) {
+            problems.push({ rule: 'section-number', file: SUMMARY_FILE, line: appendix.line, message: `"${appendix.title}" has no A.N number` });
+        } else if (fileNumber !== null && Number(numberMatch[1]) !== fileNumber) {
+            problems.push({ rule: 'section-number', file: SUMMARY_FILE, line: appendix.line, message: `${appendix.number} does not match file prefix ${path.posix.basename(appendix.path)}` });
+        }
+    });
+
+    checkSequence(
+        appendices.map(appendix => {
+            const numberMatch = appendix.number ? appendix.number.match(/^[A-Z]\.(\d+)$/) : null;
+            return { number: numberMatch ? Number(numberMatch[1]) : null, display: appendix.number, line: appendix.line };
+        }),
+        'appendix', SUMMARY_FILE, problems
+    );
+}
+
+// Run every rule; returns { tree, problems: [{ rule, file, line, message }] }
+function lintNumbering(rootDir = ROOT_DIR) {
+    const tree = loadSummary(rootDir);
+    const chapters = tree.parts.reduce((all, part) => all.concat(part.chapters), []);
+    const problems = [];
+    const summaryPaths = new Set();
+
+    const checkExists = (entry) => {
+        summaryPaths.add(entry.path);
+        if (!fs.existsSync(path.join(rootDir, entry.path))) {
+            problems.push({ rule: 'missing-file', file: SUMMARY_FILE, line: entry.line, message: `${entry.path} does not exist` });
+        }
+    };
+
+    chapters.forEach(chapter => {
+        checkExists(chapter);
+        chapter.sections.forEach(checkExists);
+        lintChapter(rootDir, chapter, problems);
+    });
+    tree.parts.forEach(part => part.pages.forEach(checkExists));
+    tree.appendices.forEach(checkExists);
+    if (tree.introduction) checkExists(tree.introduction);
+
+    checkSequence(chapters.map(chapter => ({ number: chapter.number, line: chapter.line })), 'chapter', SUMMARY_FILE, problems);
+    lintAppendices(tree.appendices, problems);
+
+    // Chapter directories without a README.md
+    fs.readdirSync(rootDir)
+        .filter(name => name.startsWith('part-') && fs.statSync(path.join(rootDir, name)).isDirectory())
+        .forEach(partDir => {
+            fs.readdirSync(path.join(rootDir, partDir))
+                .filter(name => name.startsWith('chapter-'))
+                .forEach(chapterDir => {
+                    if (!fs.existsSync(path.join(rootDir, partDir, chapterDir, 'README.md'))) {
+                        problems.push({ rule: 'chapter-readme', file: `${partDir}/${chapterDir}`, line: null, message: 'Chapter directory has no README.md' });
+                    }
+                });
+        });
+
+    // Files on disk that SUMMARY.md does not link
+    const appendixFiles = fs.existsSync(path.join(rootDir, APPENDIX_DIR))
+        ? fs.readdirSync(path.join(rootDir, APPENDIX_DIR)).filter(name => name.endsWith('.md')).map(name => `${APPENDIX_DIR}/${name}`)
+        : [];
+    [...findChapterFiles(rootDir), ...appendixFiles].forEach(filePath => {
+        if (!summaryPaths.has(filePath)) {
+            problems.push({ rule: 'not-in-summary', file: filePath, line: null, message: `Not linked from ${SUMMARY_FILE}` });
+        }
+    });
+
+    return { tree, problems };
+}
+
+// Renames and SUMMARY.md title/link rewrites that number sections 1..n in SUMMARY order
+function planRenumbering(rootDir, tree) {
+    const renames = [];
+    const lineEdits = new Map();
+
+    const planEntries = (entries, formatNumber) => {
+        entries.forEach((entry, index) => {
+            const number = index + 1;
+            const existing = fs.existsSync(path.join(rootDir, entry.path));
+            const newPath = existing && FILE_NAME_PATTERN.test(path.posix.basename(renumberFileName(entry.path, number)))
+                ? renumberFileName(entry.path, number)
+                : entry.path;
+
+            if (newPath !== entry.path) {
+                renames.push({ from: entry.path, to: newPath });
+            }
+            lineEdits.set(entry.line, { title: `${formatNumber(number)} ${entry.title}`, path: newPath });
+        });
+    };
+
+    tree.parts.forEach(part => part.chapters.forEach(chapter => {
+        planEntries(chapter.sections, number => `${chapter.number}.${number}`);
+    }));
+    planEntries(tree.appendices, number => `A.${number}`);
+
+    return { renames, lineEdits };
+}
+
+// Point Markdown links that resolve to a renamed file at its new name
+function rewriteMarkdownLinks(rootDir, filePath, renameMap) {
+    const fullPath = path.join(rootDir, filePath);
+    const content = fs.readFileSync(fullPath, 'utf8');
+    const fileDir = path.posix.dirname(filePath);
+
+    const updated = content.replace(/\]\(([^)\s#]+\.md)(#[^)\s]*)?\)/g, (match, target, anchor = '') => {
+        const resolved = path.posix.normalize(path.posix.join(fileDir, target));
+        const renamed = renameMap.get(resolved);
+        if (!renamed) return match;
+        return `](${target.slice(0, target.length - path.posix.basename(target).length)}${path.posix.basename(renamed)}${anchor})`;
+    });
+
+    if (updated !== content) {
+        fs.writeFileSync(fullPath, updated);
+        return true;
+    }
+    return false;
+}
+
+// Apply the renumbering plan; returns { renamed, summaryLines, linkedFiles }
+function applyRenumbering(rootDir, tree) {
+    const { renames, lineEdits } = planRenumbering(rootDir, tree);
+    const renameMap = new Map(renames.map(rename => [rename.from, rename.to]));
+
+    // Two passes so swapped numbers never overwrite each other
+    renames.forEach(rename => fs.renameSync(path.join(rootDir, rename.from), path.join(rootDir, `${rename.from}.renumbering`)));
+    renames.forEach(rename => fs.renameSync(path.join(rootDir, `${rename.from}.renumbering`), path.join(rootDir, rename.to)));
+
+    const summaryPath = path.join(rootDir, SUMMARY_FILE);
+    const lines = fs.readFileSync(summaryPath, 'utf8').split('\n');
+    let summaryLines = 0;
+    lineEdits.forEach((edit, line) => {
+        const updated = lines[line - 1].replace(/\[[^\]]+\]\([^)]+\)/, `[${edit.title}](${edit.path})`);
+        if (updated !== lines[line - 1]) {
+            lines[line - 1] = updated;
+            summaryLines++;
+        }
+    });
+    fs.writeFileSync(summaryPath, lines.join('\n'));
+
+    let linkedFiles = 0;
+    if (renames.length > 0) {
+        const markdownFiles = [...findChapterFiles(rootDir), ...fs.readdirSync(rootDir).filter(name => name.endsWith('.md') && name !== SUMMARY_FILE)];
+        if (fs.existsSync(path.join(rootDir, APPENDIX_DIR))) {
+            fs.readdirSync(path.join(rootDir, APPENDIX_DIR)).filter(name => name.endsWith('.md')).forEach(name => markdownFiles.push(`${APPENDIX_DIR}/${name}`));
+        }
+        markdownFiles.forEach(filePath => {
+            if (rewriteMarkdownLinks(rootDir, filePath, renameMap)) linkedFiles++;
+        });
+
+        // cross-references.json stores book-root paths
+        const crossReferencesPath = path.join(rootDir, 'cross-references.json');
+        if (fs.existsSync(crossReferencesPath)) {
+            const content = fs.readFileSync(crossReferencesPath, 'utf8');
+            const updated = content.replace(/"([^"\s]+\.md)"/g, (match, value) => (renameMap.has(value) ? `"${renameMap.get(value)}"` : match));
+            if (updated !== content) {
+                fs.writeFileSync(crossReferencesPath, updated);
+                linkedFiles++;
+            }
+        }
+    }
+
+    return { renamed: renames, summaryLines, linkedFiles };
+}
+
+if (require.main === module) {
+    const fix = process.argv.includes('--fix');
+
+    console.log('🔢 Section Numbering Linter\n');
+
+    if (fix) {
+        const { renamed, summaryLines, linkedFiles } = applyRenumbering(ROOT_DIR, loadSummary(ROOT_DIR));
+        renamed.forEach(rename => console.log(`🔧 ${rename.from} -> ${path.posix.basename(rename.to)}`));
+        console.log(`🔧 Renamed ${renamed.length} files, updated ${summaryLines} ${SUMMARY_FILE} entries and links in ${linkedFiles} files\n`);
+    }
+
+    const { problems } = lintNumbering(ROOT_DIR);
+    problems.forEach(problem => {
+        const location = problem.line ? `${problem.file}:${problem.line}` : problem.file;
+        console.log(`❌ ${location} [${problem.rule}] ${problem.message}`);
+    });
+
+    if (problems.length === 0) {
+        console.log('✅ Numbering and ordering follow INDEXING-SYSTEM.md');
+        process.exit(0);
+    }
+
+    console.log(`\n❌ ${problems.length} problem${problems.length === 1 ? '' : 's'} found`);
+    if (!fix) {
+        console.log('💡 Run with --fix to renumber sections in SUMMARY.md order');
+    }
+    process.exit(1);
+}
+
+module.exports = {
+    getFileNumber,
+    renumberFileName,
+    lintNumbering,
+    planRenumbering,
+    applyRenumbering
+};
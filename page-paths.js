@@ -0,0 +1,36 @@
+/**
+ * Page Paths for System Design GitBook
+ * Page keys and site URLs for book paths ("a/b/README.md") and site URLs
+ * ("/a/b/", "/a/b/c.html"). HonKit builds a README as its directory's
+ * index.html, so "a/b/README.md" is served at "/a/b/". Pure functions with
+ * no DOM access, shared by the browser scripts and usable from Node.
+ */
+
+const PagePaths = {
+  // Normalise a book path or site URL, e.g. "/a/b/" and "a/b/README.md" -> "a/b/README"
+  toPageKey(path) {
+    return String(path)
+      .replace(/[?#].*$/, '')
+      .replace(/^\/+/, '')
+      .replace(/\.(md|html)$/, '')
+      .replace(/(^|\/)(index)?$/, '$1README');
+  },
+
+  // Key of the chapter README a page belongs to, e.g. "a/b/02-topic.md" -> "a/b/README"
+  toChapterKey(path) {
+    const key = this.toPageKey(path);
+    const slash = key.lastIndexOf('/');
+    return slash === -1 ? 'README' : `${key.slice(0, slash)}/README`;
+  },
+
+  // Site URL of a book path, e.g. "a/b/README.md" -> "/a/b/", "a/b/c.md" -> "/a/b/c.html"
+  toHref(path) {
+    const key = this.toPageKey(path);
+    return /(^|\/)README$/.test(key) ? `/${key.replace(/README$/, '')}` : `/${key}.html`;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PagePaths;
+}
@@ -0,0 +1,371 @@
+/**
+ * Progress Schema for System Design GitBook
+ * Versioned format of the ProgressTracker data saved in localStorage and in
+ * downloaded progress files. Older data is upgraded one version at a time
+ * by the functions in `migrations`, then checked by validate(), which lists
+ * every problem as "field: what is wrong". merge() combines the progress of
+ * two browsers. getCheckpointMastery() decides when a chapter is mastered,
+ * so merged progress lists the chapters its checkpoints master. Pure
+ * functions with no DOM access.
+ *
+ * Versions:
+ *   1 - no schemaVersion field; exports carry version: '1.0' and exportDate
+ *   2 - schemaVersion: 2; learningPath is { key, enrolledAt }, every field present
+ *   3 - readingLog: active reading time in ms per page key, chapter key and day
+ *   4 - recentPages: [{ path, title, timestamp }], most recent visit first
+ *
+ * When the format changes, bump currentVersion, add a migration from the
+ * previous version and update validate().
+ */
+
+const ProgressSchema = {
+  currentVersion: 4,
+
+  // Added by exportProgress() and ignored when reading a file
+  exportFields: ['exportDate'],
+
+  // migrations[n] upgrades data of version n to version n + 1
+  migrations: {
+    1: data => {
+      const { version, exportDate, ...rest } = data;
+      const learningPath = typeof rest.learningPath === 'string'
+        ? { key: rest.learningPath, enrolledAt: null }
+        : rest.learningPath || null;
+
+      return {
+        chaptersRead: [],
+        sectionsRead: [],
+        chaptersMastered: [],
+        readingTime: 0,
+        lastVisited: null,
+        completionPercentage: 0,
+        quizResults: {},
+        checkpoints: {},
+        reviews: {},
+        preferences: {},
+        ...rest,
+        learningPath,
+        bookmarks: (Array.isArray(rest.bookmarks) ? rest.bookmarks : [])
+          .map(bookmark => ({ note: '', timestamp: null, ...bookmark })),
+        schemaVersion: 2
+      };
+    },
+    2: data => ({
+      ...data,
+      readingLog: { pages: {}, chapters: {}, days: {} },
+      schemaVersion: 3
+    }),
+    3: data => ({
+      ...data,
+      recentPages: data.lastVisited ? [{ path: data.lastVisited.path, title: null, timestamp: data.lastVisited.timestamp }] : [],
+      schemaVersion: 4
+    })
+  },
+
+  // Schema version of saved or imported data (1 for data saved before versioning)
+  getVersion(data) {
+    return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+  },
+
+  // Upgrade data to the current version; throws if it comes from a newer version
+  migrate(data) {
+    let version = this.getVersion(data);
+    if (version > this.currentVersion) {
+      throw new Error(`Progress is from a newer version of the book (schema ${version}, this page reads up to ${this.currentVersion})`);
+    }
+
+    let migrated = data;
+    while (version < this.currentVersion) {
+      migrated = this.migrations[version](migrated);
+      version++;
+    }
+    return migrated;
+  },
+
+  // Problems with current-version progress data, as "field: what is wrong" messages
+  validate(data) {
+    const errors = [];
+    const report = (field, message) => errors.push(`${field}: ${message}`);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    const isOptionalDate = value => value === null || value === undefined || isDate(value);
+
+    if (!isObject(data)) {
+      return ['progress: must be a JSON object'];
+    }
+
+    const known = ['schemaVersion', 'chaptersRead', 'sectionsRead', 'chaptersMastered', 'bookmarks', 'readingTime',
+      'lastVisited', 'recentPages', 'completionPercentage', 'learningPath', 'readingLog', 'quizResults', 'checkpoints', 'reviews', 'preferences'];
+    Object.keys(data).filter(field => !known.includes(field)).forEach(field => report(field, 'unknown field'));
+    known.filter(field => data[field] === undefined).forEach(field => report(field, 'missing'));
+    if (errors.length > 0) return errors;
+
+    if (data.schemaVersion !== this.currentVersion) {
+      report('schemaVersion', `must be ${this.currentVersion}`);
+    }
+
+    ['chaptersRead', 'sectionsRead', 'chaptersMastered'].forEach(field => {
+      if (!Array.isArray(data[field])) {
+        report(field, 'must be a list of page paths');
+      } else {
+        data[field].forEach((item, index) => {
+          if (typeof item !== 'string' || !item) report(`${field}[${index}]`, 'must be a page path');
+        });
+      }
+    });
+
+    if (!Array.isArray(data.bookmarks)) {
+      report('bookmarks', 'must be a list');
+    } else {
+      data.bookmarks.forEach((bookmark, index) => {
+        const field = `bookmarks[${index}]`;
+        if (!isObject(bookmark)) return report(field, 'must be an object');
+        if (typeof bookmark.path !== 'string' || !bookmark.path) report(`${field}.path`, 'must be a page path');
+        if (bookmark.title !== undefined && typeof bookmark.title !== 'string') report(`${field}.title`, 'must be text');
+        if (typeof bookmark.note !== 'string') report(`${field}.note`, 'must be text');
+        if (!isOptionalDate(bookmark.timestamp)) report(`${field}.timestamp`, 'must be a date');
+      });
+    }
+
+    if (typeof data.readingTime !== 'number' || !(data.readingTime >= 0)) {
+      report('readingTime', 'must be a number of milliseconds, 0 or more');
+    }
+    if (typeof data.completionPercentage !== 'number' || !(data.completionPercentage >= 0 && data.completionPercentage <= 100)) {
+      report('completionPercentage', 'must be a number from 0 to 100');
+    }
+
+    if (data.lastVisited !== null) {
+      if (!isObject(data.lastVisited) || typeof data.lastVisited.path !== 'string' || !isDate(data.lastVisited.timestamp)) {
+        report('lastVisited', 'must be null or { path, timestamp }');
+      }
+    }
+    if (!Array.isArray(data.recentPages)) {
+      report('recentPages', 'must be a list');
+    } else {
+      data.recentPages.forEach((page, index) => {
+        const field = `recentPages[${index}]`;
+        if (!isObject(page) || typeof page.path !== 'string' || !isDate(page.timestamp)) {
+          report(field, 'must be { path, title, timestamp }');
+        } else if (page.title !== null && page.title !== undefined && typeof page.title !== 'string') {
+          report(`${field}.title`, 'must be text');
+        }
+      });
+    }
+    if (data.learningPath !== null) {
+      if (!isObject(data.learningPath) || typeof data.learningPath.key !== 'string' || !isOptionalDate(data.learningPath.enrolledAt)) {
+        report('learningPath', 'must be null or { key, enrolledAt }');
+      }
+    }
+
+    if (!isObject(data.readingLog)) {
+      report('readingLog', 'must be { pages, chapters, days }');
+    } else {
+      ['pages', 'chapters', 'days'].forEach(group => {
+        if (!isObject(data.readingLog[group])) return report(`readingLog.${group}`, 'must be an object of milliseconds');
+        Object.entries(data.readingLog[group]).forEach(([key, time]) => {
+          if (typeof time !== 'number' || !(time >= 0)) report(`readingLog.${group}["${key}"]`, 'must be a number of milliseconds, 0 or more');
+          if (group === 'days' && !/^\d{4}-\d{2}-\d{2}$/.test(key)) report(`readingLog.days["${key}"]`, 'must be keyed by a YYYY-MM-DD date');
+        });
+      });
+    }
+
+    if (!isObject(data.quizResults)) {
+      report('quizResults', 'must be an object of pages');
+    } else {
+      Object.entries(data.quizResults).forEach(([page, results]) => {
+        if (!isObject(results)) return report(`quizResults["${page}"]`, 'must be an object of questions');
+        Object.entries(results).forEach(([questionId, result]) => {
+          const field = `quizResults["${page}"].${questionId}`;
+          if (!isObject(result) || !Array.isArray(result.selected) || typeof result.correct !== 'boolean') {
+            report(field, 'must be { selected, correct, attempts, answeredAt }');
+          } else if (!isOptionalDate(result.answeredAt)) {
+            report(`${field}.answeredAt`, 'must be a date');
+          }
+        });
+      });
+    }
+
+    if (!isObject(data.checkpoints)) {
+      report('checkpoints', 'must be an object of chapters');
+    } else {
+      Object.entries(data.checkpoints).forEach(([chapter, checkpoint]) => {
+        const field = `checkpoints["${chapter}"]`;
+        if (!isObject(checkpoint) || !isObject(checkpoint.objectives) || !isObject(checkpoint.concepts)) {
+          return report(field, 'must be { objectives, concepts }');
+        }
+        Object.entries(checkpoint.objectives).forEach(([id, objective]) => {
+          if (!isObject(objective) || typeof objective.met !== 'boolean') report(`${field}.objectives.${id}`, 'must have met: true or false');
+        });
+        Object.entries(checkpoint.concepts).forEach(([id, concept]) => {
+          const rating = isObject(concept) ? concept.rating : undefined;
+          if (!(rating === null || (Number.isInteger(rating) && rating >= 1 && rating <= 5))) {
+            report(`${field}.concepts.${id}`, 'must have a rating from 1 to 5, or null');
+          }
+        });
+      });
+    }
+
+    if (!isObject(data.reviews)) {
+      report('reviews', 'must be an object of review cards');
+    } else {
+      Object.entries(data.reviews).forEach(([cardId, entry]) => {
+        const field = `reviews["${cardId}"]`;
+        if (!isObject(entry) || !Number.isFinite(entry.ease) || !Number.isFinite(entry.interval) ||
+            !Number.isInteger(entry.repetitions) || !isDate(entry.due)) {
+          report(field, 'must be { ease, interval, repetitions, due }');
+        }
+      });
+    }
+
+    if (!isObject(data.preferences)) {
+      report('preferences', 'must be an object');
+    }
+
+    return errors;
+  },
+
+  // { objectives, met, concepts, confident, unmet, needsReview, mastered } for a chapter's
+  // checkpoint data: mastered once every objective is met and every concept is rated masteryRating or more
+  getCheckpointMastery(checkpoint, masteryRating) {
+    const { objectives: savedObjectives = {}, concepts: savedConcepts = {} } = checkpoint || {};
+    const objectives = Object.entries(savedObjectives).map(([id, objective]) => ({ id, ...objective }));
+    const concepts = Object.entries(savedConcepts).map(([id, concept]) => ({ id, ...concept }));
+    const unmet = objectives.filter(objective => !objective.met);
+    const needsReview = concepts.filter(concept => !(concept.rating >= masteryRating));
+
+    return {
+      objectives: objectives.length,
+      met: objectives.length - unmet.length,
+      concepts: concepts.length,
+      confident: concepts.length - needsReview.length,
+      unmet,
+      needsReview,
+      mastered: objectives.length + concepts.length > 0 && unmet.length === 0 && needsReview.length === 0
+    };
+  },
+
+  // Chapter keys of checkpoints that are mastered (see getCheckpointMastery)
+  getMasteredChapters(checkpoints, masteryRating) {
+    return Object.keys(checkpoints || {})
+      .filter(chapter => this.getCheckpointMastery(checkpoints[chapter], masteryRating).mastered);
+  },
+
+  // Read progress from a file's text or a parsed object: { progress, fromVersion, errors }
+  // progress is null whenever errors is not empty
+  load(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (error) {
+        return { progress: null, fromVersion: null, errors: [`Not a JSON file: ${error.message}`] };
+      }
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { progress: null, fromVersion: null, errors: ['progress: must be a JSON object'] };
+    }
+
+    const fromVersion = this.getVersion(data);
+    let progress;
+    try {
+      progress = this.migrate(data);
+    } catch (error) {
+      return { progress: null, fromVersion, errors: [error.message] };
+    }
+
+    progress = { ...progress };
+    this.exportFields.forEach(field => delete progress[field]);
+    const errors = this.validate(progress);
+    return { progress: errors.length === 0 ? progress : null, fromVersion, errors };
+  },
+
+  // Combine two valid progress objects: read pages are united, and for bookmarks, recent pages,
+  // quiz answers, checkpoint items and review schedules the newest entry wins.
+  // Mastered chapters are worked out again from the merged checkpoints, rated against
+  // masteryRating. Reading times keep the larger total, so merging the same file twice
+  // changes nothing. Preferences are kept from `local`.
+  merge(local, incoming, { getPageKey = path => path, masteryRating = 4 } = {}) {
+    const time = value => (value ? Date.parse(value) || 0 : 0);
+    const newer = (a, b, field) => (time(b && b[field]) > time(a && a[field]) ? b : a);
+
+    const union = (a, b) => {
+      const seen = new Set();
+      return [...a, ...b].filter(path => {
+        const key = getPageKey(path);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    };
+
+    const mergeTimes = (a, b) => {
+      const merged = { ...a };
+      Object.entries(b).forEach(([key, time]) => { merged[key] = Math.max(merged[key] || 0, time); });
+      return merged;
+    };
+
+    const mergeMaps = (a, b, field) => {
+      const merged = { ...a };
+      Object.entries(b).forEach(([key, value]) => {
+        merged[key] = merged[key] ? newer(merged[key], value, field) : value;
+      });
+      return merged;
+    };
+
+    const recentPages = new Map();
+    [...local.recentPages, ...incoming.recentPages].forEach(page => {
+      const key = getPageKey(page.path);
+      recentPages.set(key, recentPages.has(key) ? newer(recentPages.get(key), page, 'timestamp') : page);
+    });
+
+    const bookmarks = new Map();
+    [...local.bookmarks, ...incoming.bookmarks].forEach(bookmark => {
+      const key = getPageKey(bookmark.path);
+      bookmarks.set(key, bookmarks.has(key) ? newer(bookmarks.get(key), bookmark, 'timestamp') : bookmark);
+    });
+
+    const quizResults = { ...local.quizResults };
+    Object.entries(incoming.quizResults).forEach(([page, results]) => {
+      quizResults[page] = mergeMaps(quizResults[page] || {}, results, 'answeredAt');
+    });
+
+    const checkpoints = { ...local.checkpoints };
+    Object.entries(incoming.checkpoints).forEach(([chapter, checkpoint]) => {
+      const existing = checkpoints[chapter] || { objectives: {}, concepts: {} };
+      checkpoints[chapter] = {
+        objectives: mergeMaps(existing.objectives, checkpoint.objectives, 'updatedAt'),
+        concepts: mergeMaps(existing.concepts, checkpoint.concepts, 'updatedAt')
+      };
+    });
+
+    return {
+      ...local,
+      chaptersRead: union(local.chaptersRead, incoming.chaptersRead),
+      sectionsRead: union(local.sectionsRead, incoming.sectionsRead),
+      chaptersMastered: this.getMasteredChapters(checkpoints, masteryRating),
+      bookmarks: [...bookmarks.values()],
+      readingTime: Math.max(local.readingTime, incoming.readingTime),
+      readingLog: {
+        pages: mergeTimes(local.readingLog.pages, incoming.readingLog.pages),
+        chapters: mergeTimes(local.readingLog.chapters, incoming.readingLog.chapters),
+        days: mergeTimes(local.readingLog.days, incoming.readingLog.days)
+      },
+      lastVisited: local.lastVisited && incoming.lastVisited
+        ? newer(local.lastVisited, incoming.lastVisited, 'timestamp')
+        : local.lastVisited || incoming.lastVisited,
+      recentPages: [...recentPages.values()].sort((a, b) => time(b.timestamp) - time(a.timestamp)),
+      completionPercentage: Math.max(local.completionPercentage, incoming.completionPercentage),
+      learningPath: local.learningPath && incoming.learningPath
+        ? newer(local.learningPath, incoming.learningPath, 'enrolledAt')
+        : local.learningPath || incoming.learningPath,
+      quizResults,
+      checkpoints,
+      reviews: mergeMaps(local.reviews, incoming.reviews, 'lastReviewed')
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressSchema;
+}
@@ -1,6 +1,7 @@
 /**
  * Progress Tracking Configuration for System Design GitBook
  * This file configures reading progress, bookmarks, and personalization features
+ * Requires page-paths.js and progress-schema.js to be loaded first
  */
 
 const ProgressTracker = {
@@ -11,9 +12,31 @@ const ProgressTracker = {
     persistToLocalStorage: true,
     showProgressBar: true,
     estimateReadingTime: true,
-    wordsPerMinute: 200 // Average reading speed
+    wordsPerMinute: 200, // Average reading speed
+    idleTimeout: 60000, // Reading time stops this long (ms) after the last scroll, key press or pointer move
+    readingTick: 15000, // How often (ms) active reading time is recorded
+    recentPagesLimit: 20, // Pages kept in the reading history
+    masteryRating: 4, // Lowest self-rating (1-5) that counts towards mastering a chapter
+    reviewNewPerDay: 10, // New review cards introduced per day
+    summaryUrl: '/summary.json', // Table of contents built by summary-parser.js
+    crossReferencesUrl: '/cross-references.json', // Learning paths and chapter prerequisites
+    glossaryUrl: '/glossary.json', // Glossary terms built by build-glossary.js, used as review cards
+    wordCountsUrl: '/word-counts.json' // Page word counts built by build-search-index.js
   },
 
+  // Parsed SUMMARY.md tree, loaded in init() (summaryLoaded resolves once it is tried)
+  summary: null,
+  summaryLoaded: null,
+  chapterPages: null,
+  sectionPages: null,
+
+  // cross-references.json, loaded on demand by loadCrossReferences()
+  crossReferences: null,
+  crossReferencesLoaded: null,
+
+  // Review cards due today, set by review-queue.js (null hides the count)
+  dueReviewCount: null,
+
   // Initialize progress tracking
   init() {
     if (!this.config.trackingEnabled) return;
@@ -21,13 +44,85 @@ const ProgressTracker = {
     this.loadProgress();
     this.setupEventListeners();
     this.updateProgressDisplay();
+    this.summaryLoaded = this.loadSummary();
+  },
+
+  // Load the table of contents so totals match SUMMARY.md
+  async loadSummary() {
+    try {
+      this.summary = await this.fetchJson(this.config.summaryUrl);
+
+      const chapters = this.summary.parts.reduce((all, part) => all.concat(part.chapters), []);
+      this.chapterPages = new Set(chapters.map(chapter => this.getPageKey(chapter.path)));
+      this.sectionPages = new Set(chapters.reduce((all, chapter) => all.concat(chapter.sections), [])
+        .map(section => this.getPageKey(section.path)));
+
+      this.updateCompletionPercentage();
+      this.updateProgressDisplay();
+    } catch (error) {
+      console.warn('Failed to load table of contents:', error);
+    }
+  },
+
+  // Fetch a JSON file, keeping a copy in localStorage so the book's own data
+  // (table of contents, cross-references, word counts) is still there offline
+  async fetchJson(url) {
+    const cacheKey = `${this.config.storageKey}-cache:${url}`;
+    try {
+      const response = await fetch(url);
+      const data = await response.json();
+      try {
+        localStorage.setItem(cacheKey, JSON.stringify(data));
+      } catch (error) {
+        console.warn(`Failed to keep an offline copy of ${url}:`, error);
+      }
+      return data;
+    } catch (error) {
+      const cached = localStorage.getItem(cacheKey);
+      if (cached) return JSON.parse(cached);
+      throw error;
+    }
+  },
+
+  // Load cross-references.json once; resolves to null when it cannot be fetched
+  loadCrossReferences() {
+    if (!this.crossReferencesLoaded) {
+      this.crossReferencesLoaded = this.fetchJson(this.config.crossReferencesUrl)
+        .then(data => {
+          this.crossReferences = data;
+          return data;
+        })
+        .catch(error => {
+          console.warn('Failed to load learning paths:', error);
+          return null;
+        });
+    }
+    return this.crossReferencesLoaded;
   },
 
-  // Load saved progress from localStorage
+  // Key progress is stored under for a book path or site URL (see PagePaths.toPageKey)
+  getPageKey(path) {
+    return PagePaths.toPageKey(path);
+  },
+
+  // Load saved progress from localStorage, upgrading it to the current schema version.
+  // Saves that fail validation are kept under "<storageKey>-invalid" and progress starts over.
   loadProgress() {
     try {
       const saved = localStorage.getItem(this.config.storageKey);
-      this.progress = saved ? JSON.parse(saved) : this.getDefaultProgress();
+      if (!saved) {
+        this.progress = this.getDefaultProgress();
+        return;
+      }
+
+      const { progress, errors } = ProgressSchema.load(saved);
+      if (errors.length > 0) {
+        console.warn(`Saved progress is invalid and was set aside:\n${errors.join('\n')}`);
+        localStorage.setItem(`${this.config.storageKey}-invalid`, saved);
+        this.progress = this.getDefaultProgress();
+        return;
+      }
+      this.progress = { ...this.getDefaultProgress(), ...progress };
     } catch (error) {
       console.warn('Failed to load progress:', error);
       this.progress = this.getDefaultProgress();
@@ -37,13 +132,20 @@ const ProgressTracker = {
   // Get default progress structure
   getDefaultProgress() {
     return {
+      schemaVersion: ProgressSchema.currentVersion,
       chaptersRead: [],
       sectionsRead: [],
+      chaptersMastered: [],
       bookmarks: [],
-      readingTime: 0,
+      readingTime: 0, // Active reading time in ms
+      readingLog: { pages: {}, chapters: {}, days: {} }, // Active reading time in ms per page key, chapter key and YYYY-MM-DD day
       lastVisited: null,
+      recentPages: [], // { path, title, timestamp } of the latest visits, newest first
       completionPercentage: 0,
-      learningPath: null,
+      learningPath: null, // { key, enrolledAt } of the enrolled path in cross-references.json
+      quizResults: {}, // page key -> question id -> { selected, correct, attempts, answeredAt }
+      checkpoints: {}, // chapter key -> { objectives, concepts } (see registerCheckpoint)
+      reviews: {}, // review card id -> SM-2 schedule (see ReviewScheduler.schedule)
       preferences: {
         theme: 'light',
         fontSize: 'medium',
@@ -80,6 +182,133 @@ const ProgressTracker = {
     }
   },
 
+  // Save a quiz answer on a section page; returns the stored result
+  // prompt and answer are kept so the question can come back as a review card
+  recordQuizResult(sectionPath, questionId, { selected, correct, prompt, answer }) {
+    const key = this.getPageKey(sectionPath);
+    const results = this.progress.quizResults[key] || (this.progress.quizResults[key] = {});
+    const previous = results[questionId];
+
+    results[questionId] = {
+      selected,
+      correct,
+      attempts: previous ? previous.attempts + 1 : 1,
+      answeredAt: new Date().toISOString(),
+      ...(prompt && answer ? { prompt, answer } : {})
+    };
+    this.saveProgress();
+    return results[questionId];
+  },
+
+  // Saved quiz answers on a section page, keyed by question id
+  getQuizResults(sectionPath) {
+    return this.progress.quizResults[this.getPageKey(sectionPath)] || {};
+  },
+
+  // Chapter a page belongs to: its chapter's README key (see PagePaths.toChapterKey)
+  getChapterKey(path) {
+    return PagePaths.toChapterKey(path);
+  },
+
+  // Record the objectives and self-rated concepts of a checkpoint on a page.
+  // items: { objectives: [{ id, text, anchor }], concepts: [{ id, text, anchor }] }
+  // Earlier answers are kept; returns the chapter's checkpoint data.
+  registerCheckpoint(pagePath, { objectives = [], concepts = [] }) {
+    const chapterKey = this.getChapterKey(pagePath);
+    const checkpoint = this.progress.checkpoints[chapterKey] ||
+      (this.progress.checkpoints[chapterKey] = { objectives: {}, concepts: {} });
+
+    objectives.forEach(({ id, text, anchor }) => {
+      const saved = checkpoint.objectives[id];
+      checkpoint.objectives[id] = { text, page: pagePath, anchor, met: saved ? saved.met : false, updatedAt: saved ? saved.updatedAt : null };
+    });
+    concepts.forEach(({ id, text, anchor }) => {
+      const saved = checkpoint.concepts[id];
+      checkpoint.concepts[id] = { text, page: pagePath, anchor, rating: saved ? saved.rating : null, updatedAt: saved ? saved.updatedAt : null };
+    });
+
+    this.updateMastery(chapterKey);
+    this.saveProgress();
+    return checkpoint;
+  },
+
+  // Tick or untick a checkpoint objective
+  setObjectiveMet(pagePath, objectiveId, met) {
+    const chapterKey = this.getChapterKey(pagePath);
+    const objective = (this.progress.checkpoints[chapterKey] || { objectives: {} }).objectives[objectiveId];
+    if (!objective) return;
+
+    objective.met = Boolean(met);
+    objective.updatedAt = new Date().toISOString();
+    this.updateMastery(chapterKey);
+    this.saveProgress();
+  },
+
+  // Save a 1-5 self-rating for a checkpoint concept
+  setConceptRating(pagePath, conceptId, rating) {
+    const chapterKey = this.getChapterKey(pagePath);
+    const concept = (this.progress.checkpoints[chapterKey] || { concepts: {} }).concepts[conceptId];
+    if (!concept) return;
+
+    concept.rating = Math.min(5, Math.max(1, Math.round(rating)));
+    concept.updatedAt = new Date().toISOString();
+    this.updateMastery(chapterKey);
+    this.saveProgress();
+  },
+
+  // { objectives, met, concepts, confident, unmet, needsReview, mastered } for a chapter's checkpoints
+  getChapterMastery(chapterPath) {
+    const checkpoint = this.progress.checkpoints[this.getChapterKey(chapterPath)];
+    return ProgressSchema.getCheckpointMastery(checkpoint, this.config.masteryRating);
+  },
+
+  // Keep chaptersMastered in step with a chapter's checkpoints
+  updateMastery(chapterKey) {
+    const mastered = this.getChapterMastery(chapterKey).mastered;
+    const listed = this.progress.chaptersMastered.includes(chapterKey);
+
+    if (mastered && !listed) {
+      this.progress.chaptersMastered.push(chapterKey);
+    } else if (!mastered && listed) {
+      this.progress.chaptersMastered = this.progress.chaptersMastered.filter(key => key !== chapterKey);
+    }
+  },
+
+  // Whether every objective of a chapter's checkpoints is met and every concept rated confidently
+  isChapterMastered(chapterPath) {
+    return this.progress.chaptersMastered.includes(this.getChapterKey(chapterPath));
+  },
+
+  // Enroll in a learning path of cross-references.json, replacing any other
+  enrollInPath(pathKey) {
+    const paths = this.crossReferences && this.crossReferences.learningPaths;
+    if (paths && !paths[pathKey]) {
+      console.warn(`Unknown learning path: ${pathKey}`);
+      return false;
+    }
+
+    this.progress.learningPath = { key: pathKey, enrolledAt: new Date().toISOString() };
+    this.saveProgress();
+    return true;
+  },
+
+  // Leave the current learning path (chapters read are kept)
+  leavePath() {
+    this.progress.learningPath = null;
+    this.saveProgress();
+  },
+
+  // Schedule a review card after grading recall 0-5; returns its new schedule, or null for any other grade
+  recordReview(cardId, quality) {
+    if (!ReviewScheduler.isValidQuality(quality)) {
+      console.warn(`Invalid review quality for ${cardId}: ${quality}`);
+      return null;
+    }
+    this.progress.reviews[cardId] = ReviewScheduler.schedule(this.progress.reviews[cardId], quality);
+    this.saveProgress();
+    return this.progress.reviews[cardId];
+  },
+
   // Add bookmark
   addBookmark(path, title, note = '') {
     const bookmark = {
@@ -102,14 +331,16 @@ const ProgressTracker = {
   // Update completion percentage
   updateCompletionPercentage() {
     const totalChapters = this.getTotalChapters();
-    const readChapters = this.progress.chaptersRead.length;
-    this.progress.completionPercentage = Math.round((readChapters / totalChapters) * 100);
+    if (!totalChapters) return;
+
+    const readChapters = new Set(this.progress.chaptersRead.map(path => this.getPageKey(path)));
+    const readCount = [...readChapters].filter(key => this.chapterPages.has(key)).length;
+    this.progress.completionPercentage = Math.round((readCount / totalChapters) * 100);
   },
 
-  // Get total number of chapters
+  // Get total number of chapters (0 until the table of contents is loaded)
   getTotalChapters() {
-    // This would be dynamically calculated based on SUMMARY.md
-    return 29; // Total chapters in the book
+    return this.summary ? this.summary.counts.chapters : 0;
   },
 
   // Estimate reading time for content
@@ -117,6 +348,25 @@ const ProgressTracker = {
     return Math.ceil(wordCount / this.config.wordsPerMinute);
   },
 
+  // Add active reading time on a page to its page, chapter and day totals
+  recordReadingTime(path, milliseconds, date = new Date()) {
+    if (!(milliseconds > 0)) return;
+
+    const log = this.progress.readingLog;
+    const add = (totals, key) => { totals[key] = (totals[key] || 0) + milliseconds; };
+    add(log.pages, this.getPageKey(path));
+    add(log.chapters, this.getChapterKey(path));
+    add(log.days, this.getDayKey(date));
+    this.progress.readingTime += milliseconds;
+    this.saveProgress();
+  },
+
+  // Local calendar day of a date, e.g. "2024-03-09"
+  getDayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
   // Setup event listeners for tracking
   setupEventListeners() {
     // Track page visits
@@ -125,12 +375,7 @@ const ProgressTracker = {
     });
 
     // Track reading time
-    let startTime = Date.now();
-    window.addEventListener('beforeunload', () => {
-      const sessionTime = Date.now() - startTime;
-      this.progress.readingTime += sessionTime;
-      this.saveProgress();
-    });
+    this.trackReadingTime();
 
     // Track scroll progress
     window.addEventListener('scroll', this.throttle(() => {
@@ -138,6 +383,40 @@ const ProgressTracker = {
     }, 1000));
   },
 
+  // Count reading time only while the tab is visible and the reader was active
+  // within config.idleTimeout; recorded every config.readingTick and when the tab is hidden
+  trackReadingTime() {
+    let visible = document.visibilityState === 'visible';
+    let lastActivity = Date.now();
+    let lastTick = Date.now();
+
+    const tick = () => {
+      const now = Date.now();
+      const activeUntil = Math.min(now, lastActivity + this.config.idleTimeout);
+      if (visible && activeUntil > lastTick) {
+        this.recordReadingTime(window.location.pathname, activeUntil - lastTick);
+      }
+      lastTick = now;
+    };
+
+    const markActive = this.throttle(() => {
+      // Coming back from idle: count up to the idle cut-off, then start a new stretch
+      if (Date.now() - lastActivity >= this.config.idleTimeout) tick();
+      lastActivity = Date.now();
+    }, 1000);
+    ['scroll', 'keydown', 'pointermove', 'pointerdown', 'wheel', 'touchstart'].forEach(type => {
+      window.addEventListener(type, markActive, { passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      tick();
+      visible = document.visibilityState === 'visible';
+      if (visible) lastActivity = Date.now();
+    });
+    window.addEventListener('pagehide', tick);
+    setInterval(tick, this.config.readingTick);
+  },
+
   // Track page visit
   trackPageVisit() {
     const currentPath = window.location.pathname;
@@ -145,7 +424,15 @@ const ProgressTracker = {
       path: currentPath,
       timestamp: new Date().toISOString()
     };
-    
+
+    const heading = document.querySelector('.markdown-section h1');
+    const key = this.getPageKey(currentPath);
+    this.progress.recentPages = [
+      { ...this.progress.lastVisited, title: heading ? heading.textContent.trim() : document.title },
+      ...this.progress.recentPages.filter(page => this.getPageKey(page.path) !== key)
+    ].slice(0, this.config.recentPagesLimit);
+    this.saveProgress();
+
     // Auto-mark as read if user spends enough time
     setTimeout(() => {
       if (this.isChapterPage(currentPath)) {
@@ -173,12 +460,14 @@ const ProgressTracker = {
 
   // Check if current page is a chapter
   isChapterPage(path) {
-    return path.includes('/chapter-') && path.endsWith('/README.md');
+    if (this.chapterPages) return this.chapterPages.has(this.getPageKey(path));
+    return path.includes('/chapter-') && this.getPageKey(path).endsWith('/README');
   },
 
   // Check if current page is a section
   isSectionPage(path) {
-    return path.includes('/chapter-') && !path.endsWith('/README.md');
+    if (this.sectionPages) return this.sectionPages.has(this.getPageKey(path));
+    return path.includes('/chapter-') && !this.getPageKey(path).endsWith('/README');
   },
 
   // Update progress display
@@ -193,6 +482,19 @@ const ProgressTracker = {
     
     progressBar.style.width = `${this.progress.completionPercentage}%`;
     progressBar.setAttribute('aria-valuenow', this.progress.completionPercentage);
+
+    const progressText = document.querySelector('.progress-container .progress-text');
+    if (progressText) {
+      progressText.textContent = `${this.progress.completionPercentage}% Complete`;
+    }
+
+    const reviewButton = document.querySelector('.progress-container .review-due');
+    if (reviewButton) {
+      const count = this.dueReviewCount;
+      reviewButton.hidden = count === null;
+      reviewButton.textContent = `🔁 ${count} due today`;
+      reviewButton.setAttribute('aria-label', `Review: ${count} card${count === 1 ? '' : 's'} due today`);
+    }
   },
 
   // Create progress bar element
@@ -209,6 +511,7 @@ const ProgressTracker = {
         </div>
         <span class="progress-text">${this.progress.completionPercentage}% Complete</span>
       </div>
+      <button type="button" class="review-due" hidden></button>
     `;
     
     document.body.insertBefore(container, document.body.firstChild);
@@ -229,33 +532,73 @@ const ProgressTracker = {
     };
   },
 
-  // Get reading recommendations
-  getRecommendations() {
-    const currentPath = window.location.pathname;
-    const recommendations = [];
-    
-    // Logic to suggest next chapters based on current progress
-    // This would integrate with cross-references.json
-    
-    return recommendations;
+  // Get reading recommendations: [{ path, reason, pathKey? }] (see LearningPaths.recommend)
+  // Empty until loadCrossReferences() has resolved
+  getRecommendations(limit = 3) {
+    if (!this.crossReferences || typeof LearningPaths === 'undefined') return [];
+
+    return LearningPaths.recommend({
+      progress: this.progress,
+      crossReferences: this.crossReferences,
+      summary: this.summary,
+      currentPath: window.location.pathname
+    }, { limit });
   },
 
   // Export progress data
   exportProgress() {
     return {
       ...this.progress,
-      exportDate: new Date().toISOString(),
-      version: '1.0'
+      schemaVersion: ProgressSchema.currentVersion,
+      exportDate: new Date().toISOString()
     };
   },
 
-  // Import progress data
-  importProgress(data) {
-    if (data && data.version === '1.0') {
-      this.progress = { ...this.getDefaultProgress(), ...data };
-      this.saveProgress();
-      this.updateProgressDisplay();
+  // Save the exported progress as a JSON file
+  downloadProgress() {
+    const blob = new Blob([JSON.stringify(this.exportProgress(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `system-design-progress-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  // Import exported progress (an object or the JSON text of a file), older versions
+  // included. With merge, it is combined with the progress in this browser instead of
+  // replacing it. Returns { imported, fromVersion, errors }; nothing changes on errors.
+  importProgress(data, { merge = false } = {}) {
+    const { progress, fromVersion, errors } = ProgressSchema.load(data);
+    if (errors.length > 0) {
+      return { imported: false, fromVersion, errors };
+    }
+
+    // Mastered chapters are worked out from the imported checkpoints rather than trusted
+    const imported = { ...this.getDefaultProgress(), ...progress };
+    this.progress = merge
+      ? ProgressSchema.merge(this.progress, imported, {
+          getPageKey: path => this.getPageKey(path),
+          masteryRating: this.config.masteryRating
+        })
+      : { ...imported, chaptersMastered: ProgressSchema.getMasteredChapters(imported.checkpoints, this.config.masteryRating) };
+    this.updateCompletionPercentage();
+    this.saveProgress();
+    this.updateProgressDisplay();
+    return { imported: true, fromVersion, errors: [] };
+  },
+
+  // Import a progress file chosen by the reader (see importProgress)
+  async importProgressFile(file, options = {}) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      return { imported: false, fromVersion: null, errors: [`Could not read ${file.name}: ${error.message}`] };
     }
+    return this.importProgress(text, options);
   }
 };
 
@@ -0,0 +1,99 @@
+/**
+ * Progress Transfer for System Design GitBook
+ * Download and upload controls for moving reading progress between
+ * browsers, rendered into any <div id="progress-transfer">. Uploaded files
+ * are upgraded and validated by progress-schema.js; invalid files are
+ * rejected with the list of problems and leave the saved progress untouched.
+ * Requires progress-schema.js and progress-tracking.js to be loaded first.
+ */
+
+class ProgressTransferPanel {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    if (this.tracker && !this.tracker.progress) this.tracker = null; // tracking turned off
+    this.status = null;
+  }
+
+  // Build the controls inside the container
+  render(container = document.getElementById('progress-transfer')) {
+    if (!container || !this.tracker) return;
+
+    container.replaceChildren();
+    container.classList.add('progress-transfer');
+
+    const download = this.createElement('button', 'progress-transfer-download', 'Download progress');
+    download.type = 'button';
+    download.addEventListener('click', () => {
+      this.tracker.downloadProgress();
+      this.showStatus('✅ Progress file downloaded. Upload it in another browser to continue there.');
+    });
+
+    const upload = this.createElement('label', 'progress-transfer-upload', 'Upload a progress file ');
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    upload.appendChild(input);
+
+    const merge = this.createElement('label', 'progress-transfer-merge');
+    const mergeInput = document.createElement('input');
+    mergeInput.type = 'checkbox';
+    mergeInput.checked = true;
+    merge.appendChild(mergeInput);
+    merge.appendChild(document.createTextNode(' Merge with the progress in this browser (otherwise replace it)'));
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      const result = await this.tracker.importProgressFile(file, { merge: mergeInput.checked });
+      this.showResult(file.name, result, mergeInput.checked);
+      input.value = '';
+    });
+
+    this.status = this.createElement('div', 'progress-transfer-status');
+    this.status.setAttribute('role', 'status');
+
+    container.appendChild(download);
+    container.appendChild(upload);
+    container.appendChild(merge);
+    container.appendChild(this.status);
+  }
+
+  // Report an import, listing every problem when the file was rejected
+  showResult(fileName, { imported, fromVersion, errors }, merged) {
+    if (imported) {
+      const upgraded = fromVersion < ProgressSchema.currentVersion ? ' (upgraded from an older format)' : '';
+      this.showStatus(`✅ ${merged ? 'Merged' : 'Loaded'} progress from ${fileName}${upgraded}.`);
+      return;
+    }
+
+    this.showStatus(`❌ ${fileName} was not imported:`);
+    const list = this.createElement('ul', 'progress-transfer-errors');
+    errors.forEach(error => list.appendChild(this.createElement('li', null, error)));
+    this.status.appendChild(list);
+  }
+
+  // Replace the status message
+  showStatus(message) {
+    this.status.replaceChildren(this.createElement('p', null, message));
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize the transfer controls when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new ProgressTransferPanel().render());
+} else {
+  new ProgressTransferPanel().render();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressTransferPanel;
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Generated File Publisher for System Design GitBook
+ * HonKit and GitBook leave every file listed in .gitignore out of the built
+ * book, which includes the generated JSON the browser scripts fetch
+ * (search-index.json, word-counts.json, summary.json, glossary.json). This
+ * copies them into the build output after the book is built, so they are
+ * served from the site root.
+ *
+ *   node publish-generated-files.js          # copy into _book/
+ *   node publish-generated-files.js out/     # copy into another build directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = __dirname;
+const DEFAULT_OUTPUT_DIR = '_book';
+
+// Generated files and the npm script that builds each
+const GENERATED_FILES = {
+    'search-index.json': 'build-index',
+    'word-counts.json': 'build-index',
+    'summary.json': 'build-summary',
+    'glossary.json': 'build-glossary'
+};
+
+// Copy every generated file into outputDir; returns { copied, missing: [{ file, script }] }
+function publishGeneratedFiles(rootDir, outputDir) {
+    if (!fs.existsSync(outputDir)) {
+        throw new Error(`${outputDir} does not exist, build the book first`);
+    }
+
+    const copied = [];
+    const missing = [];
+    Object.entries(GENERATED_FILES).forEach(([file, script]) => {
+        const source = path.join(rootDir, file);
+        if (!fs.existsSync(source)) {
+            missing.push({ file, script });
+            return;
+        }
+        fs.copyFileSync(source, path.join(outputDir, file));
+        copied.push(file);
+    });
+
+    return { copied, missing };
+}
+
+if (require.main === module) {
+    const outputDir = path.resolve(ROOT_DIR, process.argv[2] || DEFAULT_OUTPUT_DIR);
+
+    try {
+        const { copied, missing } = publishGeneratedFiles(ROOT_DIR, outputDir);
+        copied.forEach(file => console.log(`✅ Copied ${file}`));
+        missing.forEach(({ file, script }) => console.log(`❌ ${file} is missing (npm run ${script})`));
+        if (missing.length > 0) process.exit(1);
+        console.log(`🎯 ${copied.length} generated files published to ${path.relative(ROOT_DIR, outputDir) || '.'}`);
+    } catch (error) {
+        console.log('❌ Failed to publish generated files:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    GENERATED_FILES,
+    publishGeneratedFiles
+};
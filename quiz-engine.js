@@ -0,0 +1,273 @@
+/**
+ * Interactive Quizzes for System Design GitBook
+ * Turns the rendered "{% hint style="question" %}" blocks of
+ * templates/quiz-template.md into questions with selectable answers,
+ * scoring and an explanation revealed after submitting. Answers are saved
+ * per section through ProgressTracker. Blocks without options (self
+ * assessment, fill-in-the-blank, calculations) are left as they are.
+ * Requires quiz-parser.js and progress-tracking.js to be loaded first.
+ */
+
+// Instructions shown above the options of each question type
+const QUIZ_LEGENDS = {
+  'multiple-choice': 'Choose one answer',
+  'true-false': 'True or false?',
+  'multi-select': 'Select all that apply'
+};
+
+class QuizEngine {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    if (this.tracker && !this.tracker.progress) this.tracker = null; // tracking turned off
+    this.currentPath = options.currentPath || window.location.pathname;
+    this.contentSelector = options.contentSelector || '.markdown-section';
+    // gitbook-plugin-hints has no question style: its blocks are the hints with the
+    // pluginsConfig.hints.question icon of book.json. Or any element marked with the hint style
+    this.blockSelector = options.blockSelector || '.hints-icon .fa-question-circle, [data-hint-style="question"]';
+    this.quizzes = [];
+    this.summary = null;
+  }
+
+  // Make every scorable question in the page interactive and restore saved answers
+  enhance(root = document.querySelector(this.contentSelector)) {
+    if (!root) return [];
+
+    const saved = this.tracker ? this.tracker.getQuizResults(this.currentPath) : {};
+
+    this.getBlocks(root).forEach(block => {
+      const details = block.querySelector('details');
+      const question = QuizParser.parseQuestion({
+        body: this.getLines([...block.childNodes].filter(node => !(details && node.contains(details)))),
+        answer: details ? this.getLines([...details.childNodes]) : []
+      });
+      if (!QuizParser.isScorable(question)) return;
+
+      const quiz = this.createQuiz(block, details, question);
+      this.quizzes.push(quiz);
+      if (saved[question.id]) {
+        this.showResult(quiz, saved[question.id].selected);
+      }
+    });
+
+    if (this.quizzes.length > 0) {
+      this.summary = this.createElement('p', 'quiz-summary');
+      this.summary.setAttribute('aria-live', 'polite');
+      const lastBlock = this.quizzes[this.quizzes.length - 1].block;
+      const anchor = lastBlock.closest('.hints-alert') || lastBlock;
+      anchor.parentNode.insertBefore(this.summary, anchor.nextSibling);
+      this.updateSummary();
+    }
+
+    return this.quizzes;
+  }
+
+  // Content element of each question block: the hint's container for a matched icon
+  getBlocks(root) {
+    return [...root.querySelectorAll(this.blockSelector)].map(element => {
+      const hint = element.closest('.hints-alert');
+      return hint ? hint.querySelector('.hints-container') : element;
+    }).filter(Boolean);
+  }
+
+  // Markdown-like lines of rendered nodes: list items as "- " (or "- [ ] ") lines, code skipped
+  getLines(nodes) {
+    const lines = [];
+
+    nodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        lines.push(...node.nodeValue.split('\n'));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || /^(SUMMARY|PRE|SCRIPT|STYLE|FORM)$/.test(node.tagName)) return;
+
+      if (/^(UL|OL)$/.test(node.tagName)) {
+        [...node.children].forEach(item => {
+          const checkbox = item.querySelector('input[type="checkbox"]') ? '[ ] ' : '';
+          lines.push(`- ${checkbox}${item.textContent.trim()}`);
+        });
+      } else {
+        lines.push(...node.textContent.split('\n'));
+      }
+    });
+
+    return lines.filter(line => line.trim());
+  }
+
+  // Replace the static options with a form and hide the answer until submission
+  createQuiz(block, details, question) {
+    const detailsChild = details ? [...block.children].find(child => child.contains(details)) : null;
+    const isOptionLine = line => QuizParser.isOptionLine(line) || /^select all that apply:?$/i.test(QuizParser.normalizeLine(line));
+
+    [...block.children].forEach(child => {
+      if (child === detailsChild) return;
+      const lines = this.getLines([child]);
+      if (lines.length > 0 && lines.every(isOptionLine)) child.hidden = true;
+    });
+
+    const form = this.createElement('form', 'quiz-form');
+    form.dataset.questionId = question.id;
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.appendChild(this.createElement('legend', 'quiz-legend', QUIZ_LEGENDS[question.type]));
+
+    const inputs = question.options.map(option => {
+      const label = this.createElement('label', 'quiz-option');
+      const input = document.createElement('input');
+      input.type = question.type === 'multi-select' ? 'checkbox' : 'radio';
+      input.name = `quiz-${question.id}`;
+      input.value = option.key;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${this.getOptionLabel(question, option)}`));
+      fieldset.appendChild(label);
+      return input;
+    });
+    form.appendChild(fieldset);
+
+    const submit = this.createElement('button', 'quiz-submit', 'Check answer');
+    submit.type = 'submit';
+    submit.disabled = true;
+    const retry = this.createElement('button', 'quiz-retry', 'Try again');
+    retry.type = 'button';
+    retry.hidden = true;
+    const feedback = this.createElement('div', 'quiz-feedback');
+    feedback.setAttribute('role', 'status');
+
+    form.appendChild(submit);
+    form.appendChild(retry);
+    form.appendChild(feedback);
+    block.insertBefore(form, detailsChild);
+    if (details) details.hidden = true;
+
+    const quiz = { block, details, question, form, inputs, submit, retry, feedback, result: null };
+
+    form.addEventListener('change', () => {
+      submit.disabled = !inputs.some(input => input.checked);
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit(quiz, inputs.filter(input => input.checked).map(input => input.value));
+    });
+    retry.addEventListener('click', () => this.reset(quiz));
+
+    return quiz;
+  }
+
+  // "B) Option text", or just "True" / "False"
+  getOptionLabel(question, option) {
+    return question.type === 'true-false' ? option.text : `${option.key}) ${option.text}`;
+  }
+
+  // The correct options, e.g. "B) Option text, D) Other option"
+  getAnswerLabel(question) {
+    return question.options
+      .filter(option => question.correct.includes(option.key))
+      .map(option => this.getOptionLabel(question, option))
+      .join(', ');
+  }
+
+  // Score an answer, save it and show the result
+  submit(quiz, selected) {
+    if (selected.length === 0) return;
+
+    const correct = QuizParser.isCorrect(quiz.question, selected);
+    if (this.tracker) {
+      this.tracker.recordQuizResult(this.currentPath, quiz.question.id, {
+        selected,
+        correct,
+        prompt: quiz.question.prompt,
+        answer: this.getAnswerLabel(quiz.question)
+      });
+    }
+    this.showResult(quiz, selected);
+  }
+
+  // Lock the options, mark right and wrong choices and reveal the explanation
+  showResult(quiz, selected) {
+    const { question } = quiz;
+    const correct = QuizParser.isCorrect(question, selected);
+
+    quiz.inputs.forEach(input => {
+      const label = input.parentNode;
+      input.checked = selected.includes(input.value);
+      input.disabled = true;
+      label.classList.toggle('quiz-option-correct', question.correct.includes(input.value));
+      label.classList.toggle('quiz-option-incorrect', input.checked && !question.correct.includes(input.value));
+    });
+
+    quiz.feedback.textContent = correct ? '✅ Correct!' : `❌ Not quite. The answer is ${this.getAnswerLabel(question)}.`;
+    quiz.feedback.className = `quiz-feedback ${correct ? 'quiz-feedback-correct' : 'quiz-feedback-incorrect'}`;
+
+    quiz.submit.hidden = true;
+    quiz.retry.hidden = false;
+    if (quiz.details) {
+      quiz.details.hidden = false;
+      quiz.details.open = true;
+    }
+
+    quiz.result = { selected, correct };
+    this.updateSummary();
+  }
+
+  // Clear the answer so the question can be tried again
+  reset(quiz) {
+    quiz.inputs.forEach(input => {
+      input.checked = false;
+      input.disabled = false;
+      input.parentNode.classList.remove('quiz-option-correct', 'quiz-option-incorrect');
+    });
+
+    quiz.feedback.textContent = '';
+    quiz.feedback.className = 'quiz-feedback';
+    quiz.submit.hidden = false;
+    quiz.submit.disabled = true;
+    quiz.retry.hidden = true;
+    if (quiz.details) {
+      quiz.details.open = false;
+      quiz.details.hidden = true;
+    }
+
+    quiz.result = null;
+    this.updateSummary();
+    quiz.inputs[0].focus();
+  }
+
+  // { total, answered, correct } for the page
+  getScore() {
+    const answered = this.quizzes.filter(quiz => quiz.result);
+    return {
+      total: this.quizzes.length,
+      answered: answered.length,
+      correct: answered.filter(quiz => quiz.result.correct).length
+    };
+  }
+
+  // Page score line below the last question
+  updateSummary() {
+    if (!this.summary) return;
+
+    const { total, answered, correct } = this.getScore();
+    this.summary.textContent = answered === 0
+      ? `🎯 ${total} question${total === 1 ? '' : 's'} on this page`
+      : `🎯 Score: ${correct} of ${answered} correct${answered < total ? ` (${total - answered} unanswered)` : ''}`;
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize quizzes when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new QuizEngine().enhance());
+} else {
+  new QuizEngine().enhance();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuizEngine;
+}
@@ -0,0 +1,271 @@
+/**
+ * Quiz Parser for System Design GitBook
+ * Reads the multiple-choice, scenario, true/false and multi-select formats
+ * of templates/quiz-template.md from the lines of a question block, and
+ * scores answers against them. Shared by quiz-engine.js in the browser and
+ * check-quizzes.js in Node. Pure functions with no DOM access.
+ *
+ * Lines are Markdown-like in both places: list items start with "- " (and
+ * "- [ ] " for checkboxes), bold may or may not have been rendered away.
+ */
+
+const QuizParser = {
+  // Question block markers in the Markdown source
+  blockStart: /^\s*\{%\s*hint\s+style\s*=\s*["']question["']\s*%\}\s*$/,
+  blockEnd: /^\s*\{%\s*endhint\s*%\}\s*$/,
+
+  // "A) Option" / "B. Option", optionally as a list item
+  letterOption: /^\s*(?:[-*+]\s+)?([A-Z])[).]\s+(.+?)\s*$/,
+
+  // "- [ ] Option"
+  checkboxOption: /^\s*[-*+]\s+\[[ xX]\]\s+(.+?)\s*$/,
+
+  // "Correct Answer: B - text" / "Correct Answers: ..."
+  answerLine: /^Correct Answers?\s*:\s*(.*)$/i,
+
+  // "✅ Option: why" in a multi-select explanation
+  correctMark: /^✅\s*(.+?)\s*:/,
+
+  // Text of a line without list markers, checkboxes, bold or italics
+  normalizeLine(line) {
+    return String(line)
+      .replace(/^\s*(?:[-*+]\s+)?(?:\[[ xX]\]\s+)?/, '')
+      .replace(/(\*\*|__)(.*?)\1/g, '$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  // Lowercase words only, for comparing option texts
+  normalizeText(text) {
+    return this.normalizeLine(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  // Whether a line is one of the answer options
+  isOptionLine(line) {
+    return this.letterOption.test(line) || this.checkboxOption.test(line);
+  },
+
+  // { line, endLine, body, answer } for each question block in a Markdown page,
+  // skipping blocks shown inside code fences (such as the templates themselves)
+  extractBlocks(markdown) {
+    const blocks = [];
+    let fence = null;
+    let block = null;
+
+    String(markdown).split(/\r?\n/).forEach((line, index) => {
+      const fenceMatch = line.match(/^\s*(```|~~~)/);
+      if (fenceMatch) {
+        fence = fence === fenceMatch[1] ? null : (fence || fenceMatch[1]);
+        if (block) block.lines.push(line);
+        return;
+      }
+
+      if (!fence && !block && this.blockStart.test(line)) {
+        block = { line: index + 1, lines: [] };
+      } else if (!fence && block && this.blockEnd.test(line)) {
+        blocks.push({ line: block.line, endLine: index + 1, ...this.splitBlock(block.lines) });
+        block = null;
+      } else if (block) {
+        block.lines.push(line);
+      }
+    });
+
+    return blocks;
+  },
+
+  // Split block lines into the question (body) and the <details> answer, without the <summary>
+  splitBlock(lines) {
+    const body = [];
+    const answer = [];
+    let inDetails = false;
+
+    lines.forEach(line => {
+      let rest = line;
+      if (/<details\b[^>]*>/i.test(rest)) {
+        inDetails = true;
+        rest = rest.replace(/<details\b[^>]*>/i, '');
+      }
+      rest = rest.replace(/<summary\b[^>]*>.*?<\/summary>/i, '');
+
+      const closes = /<\/details>/i.test(rest);
+      rest = rest.replace(/<\/details>/i, '');
+      if (rest.trim()) (inDetails ? answer : body).push(rest);
+      if (closes) inDetails = false;
+    });
+
+    return { body, answer };
+  },
+
+  // Parse a question from its body and answer lines:
+  // { id, type, prompt, options: [{ key, text }], correct: [keys], answerText, explanation, problems }
+  // type is "multiple-choice", "true-false", "multi-select" or "open" (nothing to score)
+  parseQuestion({ body = [], answer = [] } = {}) {
+    const options = [];
+    const promptLines = [];
+    let checkboxes = 0;
+
+    body.forEach(line => {
+      const letter = line.match(this.letterOption);
+      const checkbox = line.match(this.checkboxOption);
+      if (letter) {
+        options.push({ key: letter[1], text: this.normalizeLine(letter[2]) });
+      } else if (checkbox) {
+        checkboxes++;
+        options.push({ key: String.fromCharCode(65 + options.length), text: this.normalizeLine(checkbox[1]) });
+      } else if (!/^select all that apply:?$/i.test(this.normalizeLine(line))) {
+        promptLines.push(this.normalizeLine(line));
+      }
+    });
+
+    const isTrueFalse = checkboxes === options.length && options.length === 2 &&
+      options.every(option => /^(true|false)$/i.test(option.text));
+
+    let type = 'open';
+    if (isTrueFalse) {
+      type = 'true-false';
+      options.forEach(option => { option.key = option.text.charAt(0).toUpperCase() + option.text.slice(1).toLowerCase(); });
+    } else if (options.length > 0) {
+      type = checkboxes > 0 ? 'multi-select' : 'multiple-choice';
+    }
+
+    const question = {
+      id: null,
+      type,
+      prompt: promptLines.filter(Boolean).join(' '),
+      options,
+      correct: [],
+      answerText: null,
+      explanation: '',
+      problems: []
+    };
+    question.id = this.getQuestionId(question);
+    if (type === 'open') return question;
+
+    const answerLines = answer.map(line => this.normalizeLine(line)).filter(Boolean);
+    const answerIndex = answerLines.findIndex(line => this.answerLine.test(line));
+    question.explanation = answerLines.slice(answerIndex + 1).join(' ');
+
+    if (answerIndex === -1) {
+      question.problems.push({ severity: 'error', message: 'No "Correct Answer" line in the <details> answer' });
+    } else {
+      question.answerText = answerLines[answerIndex].match(this.answerLine)[1].trim();
+      this.readCorrectAnswer(question, answerLines.slice(answerIndex + 1));
+    }
+
+    this.checkOptions(question);
+    return question;
+  },
+
+  // Fill question.correct from question.answerText, reporting answers that match no option
+  readCorrectAnswer(question, explanationLines) {
+    const { options, answerText } = question;
+    const report = (severity, message) => question.problems.push({ severity, message });
+    const byText = text => options.find(option => this.normalizeText(option.text) === this.normalizeText(text));
+
+    if (question.type === 'true-false') {
+      const match = answerText.match(/^(true|false)\b/i);
+      if (match) {
+        question.correct = [byText(match[1]).key];
+      } else {
+        report('error', `Correct answer "${answerText}" is not True or False`);
+      }
+      return;
+    }
+
+    if (question.type === 'multiple-choice') {
+      const match = answerText.match(/^([A-Z])(?:$|[\s).:–—-]+(.*)$)/);
+      const option = match && options.find(item => item.key === match[1]);
+      if (!match) {
+        report('error', `Correct answer "${answerText}" does not start with an option letter`);
+      } else if (!option) {
+        report('error', `Correct answer ${match[1]} is not one of the options (${options.map(item => item.key).join(', ')})`);
+      } else {
+        question.correct = [option.key];
+        const text = this.normalizeText(match[2] || '');
+        const optionText = this.normalizeText(option.text);
+        if (text && !optionText.startsWith(text) && !text.startsWith(optionText)) {
+          report('warning', `Correct answer ${option.key} is described as "${match[2].trim()}" but option ${option.key} is "${option.text}"`);
+        }
+      }
+      return;
+    }
+
+    // multi-select: option letters or option texts, separated by commas, semicolons or "and"
+    const keys = [];
+    answerText.split(/\s*(?:,|;|\band\b)\s*/i).filter(Boolean).forEach(item => {
+      const option = /^[A-Z]$/.test(item) ? options.find(entry => entry.key === item) : byText(item);
+      if (option) {
+        if (!keys.includes(option.key)) keys.push(option.key);
+      } else {
+        report('error', `Correct answer "${item}" is not one of the options`);
+      }
+    });
+
+    const marked = explanationLines
+      .map(line => line.match(this.correctMark))
+      .filter(Boolean)
+      .map(match => byText(match[1]))
+      .filter(Boolean)
+      .map(option => option.key);
+    if (keys.length > 0 && marked.length > 0 && [...keys].sort().join() !== [...marked].sort().join()) {
+      report('warning', `Correct answers (${keys.join(', ')}) differ from the options marked ✅ in the explanation (${marked.join(', ')})`);
+    }
+
+    question.correct = keys.length > 0 ? keys : marked;
+    if (question.correct.length === 0) {
+      report('error', 'No correct options listed');
+    }
+  },
+
+  // Option count, letters and explanation
+  checkOptions(question) {
+    const report = (severity, message) => question.problems.push({ severity, message });
+    const keys = question.options.map(option => option.key);
+
+    if (question.options.length < 2) {
+      report('error', 'Needs at least two options');
+    }
+    if (question.type === 'multiple-choice') {
+      const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+      if (duplicate) {
+        report('error', `Option ${duplicate} appears twice`);
+      } else if (keys.some((key, index) => key !== String.fromCharCode(65 + index))) {
+        report('warning', `Options are lettered ${keys.join(', ')} instead of A-${String.fromCharCode(64 + keys.length)}`);
+      }
+    }
+    if (!question.prompt) {
+      report('warning', 'No question text');
+    }
+    if (!question.explanation) {
+      report('warning', 'No explanation after the correct answer');
+    }
+  },
+
+  // Whether a question can be answered interactively
+  isScorable(question) {
+    return question.type !== 'open' && question.correct.length > 0 &&
+      !question.problems.some(problem => problem.severity === 'error');
+  },
+
+  // Whether the selected option keys are exactly the correct ones
+  isCorrect(question, selected) {
+    const chosen = [...new Set(selected)].sort();
+    const correct = [...question.correct].sort();
+    return chosen.length === correct.length && chosen.every((key, index) => key === correct[index]);
+  },
+
+  // Stable id from the question text and options, used as the storage key
+  getQuestionId(question) {
+    const text = [question.prompt, ...question.options.map(option => `${option.key}:${option.text}`)].join('\n');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return `q${hash.toString(36)}`;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuizParser;
+}
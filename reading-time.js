@@ -0,0 +1,97 @@
+/**
+ * Reading Time Badges for System Design GitBook
+ * Shows "N min read" under the page title and next to every entry of the
+ * table of contents, from the word counts that build-search-index.js writes
+ * to word-counts.json (code blocks and diagrams are not counted) and
+ * ProgressTracker.config.wordsPerMinute. Turned off by
+ * config.estimateReadingTime or the reader's showEstimates preference.
+ * Requires progress-tracking.js to be loaded first.
+ */
+
+class ReadingTimeBadges {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    this.currentPath = options.currentPath || window.location.pathname;
+    this.contentSelector = options.contentSelector || '.markdown-section';
+    // GitBook table of contents entries carry the page path in data-path
+    this.tocSelector = options.tocSelector || '.book-summary li[data-path]';
+    this.wordCounts = new Map();
+  }
+
+  // Whether estimates should be shown at all
+  isEnabled() {
+    if (!this.tracker || !this.tracker.config.estimateReadingTime) return false;
+    const preferences = this.tracker.progress && this.tracker.progress.preferences;
+    return !preferences || preferences.showEstimates !== false;
+  }
+
+  // Load the word counts and add the badges
+  async init() {
+    if (!this.isEnabled()) return;
+
+    try {
+      const data = await this.tracker.fetchJson(this.tracker.config.wordCountsUrl);
+      this.wordCounts = new Map(Object.entries(data.pages).map(([path, count]) => [this.tracker.getPageKey(path), count]));
+    } catch (error) {
+      console.warn('Failed to load word counts:', error);
+      return;
+    }
+
+    this.addPageBadge();
+    this.addTocBadges();
+  }
+
+  // Estimated minutes for a page, or null when its word count is unknown
+  getMinutes(path) {
+    const count = this.wordCounts.get(this.tracker.getPageKey(path));
+    return count === undefined ? null : Math.max(1, this.tracker.estimateReadingTime(count));
+  }
+
+  // Badge below the page title
+  addPageBadge(root = document.querySelector(this.contentSelector)) {
+    const minutes = this.getMinutes(this.currentPath);
+    if (!root || minutes === null) return null;
+
+    const badge = this.createElement('span', 'reading-time', `⏱️ ${minutes} min read`);
+    const title = root.querySelector('h1');
+    if (title) {
+      title.parentNode.insertBefore(badge, title.nextSibling);
+    } else {
+      root.insertBefore(badge, root.firstChild);
+    }
+    return badge;
+  }
+
+  // Short badge after each table of contents link
+  addTocBadges(root = document) {
+    root.querySelectorAll(this.tocSelector).forEach(item => {
+      const link = item.querySelector(':scope > a');
+      const minutes = this.getMinutes(item.dataset.path);
+      if (!link || minutes === null || link.querySelector('.reading-time-toc')) return;
+
+      const badge = this.createElement('span', 'reading-time-toc', `${minutes} min`);
+      badge.title = `${minutes} min read`;
+      link.appendChild(badge);
+    });
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize reading time badges when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new ReadingTimeBadges().init());
+} else {
+  new ReadingTimeBadges().init();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadingTimeBadges;
+}
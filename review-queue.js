@@ -0,0 +1,246 @@
+/**
+ * Review Queue for System Design GitBook
+ * Spaced-repetition review of concepts, glossary terms and answered quiz
+ * questions (see review-scheduler.js). The number of cards due today is
+ * shown on the progress bar; clicking it opens the review in a modal that
+ * is fully usable from the keyboard: Space or Enter shows the answer, 1-4
+ * grade recall, Tab stays inside the dialog and Escape closes it.
+ * Schedules are saved through ProgressTracker.
+ * Requires learning-paths.js, review-scheduler.js and progress-tracking.js
+ * to be loaded first.
+ */
+
+// Recall grades offered after the answer is shown, with their SM-2 quality
+const REVIEW_GRADES = [
+  { key: '1', label: 'Again', quality: 1 },
+  { key: '2', label: 'Hard', quality: 3 },
+  { key: '3', label: 'Good', quality: 4 },
+  { key: '4', label: 'Easy', quality: 5 }
+];
+
+// Card kind shown above the question
+const REVIEW_KINDS = {
+  quiz: 'Quiz question',
+  concept: 'Concept',
+  term: 'Glossary term'
+};
+
+class ReviewQueue {
+  constructor(options = {}) {
+    this.tracker = options.tracker || (typeof ProgressTracker !== 'undefined' ? ProgressTracker : null);
+    if (this.tracker && !this.tracker.progress) this.tracker = null; // tracking turned off
+    this.glossaryUrl = options.glossaryUrl || (this.tracker && this.tracker.config.glossaryUrl);
+    this.cards = [];
+    this.queue = [];
+    this.position = 0;
+    this.modal = null;
+    this.opener = null;
+  }
+
+  // Load the card sources, show the due count and open the review from the progress bar
+  async init() {
+    if (!this.tracker) return;
+
+    const [crossReferences, glossary] = await Promise.all([
+      this.tracker.loadCrossReferences(),
+      this.loadGlossary()
+    ]);
+    this.cards = ReviewScheduler.buildCards({ crossReferences, glossary, progress: this.tracker.progress });
+    this.updateCount();
+
+    const button = document.querySelector('.progress-container .review-due');
+    if (button) button.addEventListener('click', () => this.open());
+  }
+
+  // Glossary terms from glossary.json, or none if it cannot be fetched
+  async loadGlossary() {
+    try {
+      const data = await this.tracker.fetchJson(this.glossaryUrl);
+      return data.terms || [];
+    } catch (error) {
+      console.warn('Failed to load glossary for review:', error);
+      return [];
+    }
+  }
+
+  // Cards due today, new cards included
+  getQueue() {
+    return ReviewScheduler.getQueue(this.cards, this.tracker.progress.reviews, {
+      newPerDay: this.tracker.config.reviewNewPerDay
+    });
+  }
+
+  // Show the number of cards due today on the progress bar
+  updateCount() {
+    this.tracker.dueReviewCount = this.getQueue().length;
+    this.tracker.updateProgressDisplay();
+  }
+
+  // Open the review dialog with today's queue
+  open() {
+    if (this.modal) return;
+
+    this.opener = document.activeElement;
+    this.queue = this.getQueue();
+    this.position = 0;
+
+    const backdrop = this.createElement('div', 'review-backdrop');
+    const dialog = this.createElement('div', 'review-modal');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'review-title');
+
+    const header = this.createElement('div', 'review-header');
+    const title = this.createElement('h3', null, 'Review');
+    title.id = 'review-title';
+    const counter = this.createElement('span', 'review-counter');
+    const close = this.createElement('button', 'review-close', '×');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Close review');
+    close.addEventListener('click', () => this.close());
+    header.appendChild(title);
+    header.appendChild(counter);
+    header.appendChild(close);
+
+    const body = this.createElement('div', 'review-body');
+    body.setAttribute('aria-live', 'polite');
+    const actions = this.createElement('div', 'review-actions');
+    const help = this.createElement('p', 'review-help', 'Space: show answer · 1-4: grade · Esc: close');
+
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+    dialog.appendChild(actions);
+    dialog.appendChild(help);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    dialog.addEventListener('keydown', (e) => this.handleKey(e));
+    this.modal = { backdrop, dialog, counter, body, actions, revealed: false };
+    this.showCard();
+  }
+
+  // Show the current card's question, or the end of the session
+  showCard() {
+    const { counter, body, actions } = this.modal;
+    const card = this.queue[this.position];
+    this.modal.revealed = false;
+    body.replaceChildren();
+    actions.replaceChildren();
+
+    if (!card) {
+      counter.textContent = '';
+      body.appendChild(this.createElement('p', 'review-done', '🎉 All caught up! Come back tomorrow for the next cards.'));
+      const done = this.createElement('button', 'review-button', 'Close');
+      done.type = 'button';
+      done.addEventListener('click', () => this.close());
+      actions.appendChild(done);
+      done.focus();
+      return;
+    }
+
+    counter.textContent = `${this.position + 1} of ${this.queue.length}`;
+    body.appendChild(this.createElement('p', 'review-kind', `${REVIEW_KINDS[card.kind]}${card.isNew ? ' · new' : ''}`));
+    body.appendChild(this.createElement('p', 'review-front', card.front));
+
+    const reveal = this.createElement('button', 'review-button', 'Show answer');
+    reveal.type = 'button';
+    reveal.addEventListener('click', () => this.reveal());
+    actions.appendChild(reveal);
+    reveal.focus();
+  }
+
+  // Show the answer and the grade buttons
+  reveal() {
+    const { body, actions } = this.modal;
+    const card = this.queue[this.position];
+    if (!card || this.modal.revealed) return;
+    this.modal.revealed = true;
+
+    body.appendChild(this.createElement('p', 'review-back', card.back));
+    const source = this.createElement('a', 'review-source', 'Read it again');
+    source.href = LearningPaths.toHref(card.source);
+    body.appendChild(source);
+
+    actions.replaceChildren();
+    const buttons = REVIEW_GRADES.map(grade => {
+      const button = this.createElement('button', 'review-button review-grade', `${grade.key} ${grade.label}`);
+      button.type = 'button';
+      button.addEventListener('click', () => this.grade(grade.quality));
+      actions.appendChild(button);
+      return button;
+    });
+    buttons[2].focus();
+  }
+
+  // Save the grade and move on; forgotten cards come back at the end of the session
+  grade(quality) {
+    const card = this.queue[this.position];
+    if (!card) return;
+
+    this.tracker.recordReview(card.id, quality);
+    if (quality < ReviewScheduler.passingQuality) {
+      this.queue.push({ ...card, isNew: false });
+    }
+    this.position++;
+    this.updateCount();
+    this.showCard();
+  }
+
+  // Keyboard shortcuts and focus trap inside the dialog
+  handleKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'Tab') {
+      const focusable = [...this.modal.dialog.querySelectorAll('button, a[href]')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    } else if (!this.modal.revealed && (e.key === ' ' || e.key === 'Enter') && !e.target.closest('button, a')) {
+      e.preventDefault();
+      this.reveal();
+    } else if (this.modal.revealed) {
+      const grade = REVIEW_GRADES.find(item => item.key === e.key);
+      if (grade) {
+        e.preventDefault();
+        this.grade(grade.quality);
+      }
+    }
+  }
+
+  // Close the dialog and return focus to where it was opened from
+  close() {
+    if (!this.modal) return;
+
+    this.modal.backdrop.remove();
+    this.modal = null;
+    if (this.opener && this.opener.focus) this.opener.focus();
+    this.opener = null;
+  }
+
+  // Create an element with an optional class and text
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+}
+
+// Initialize the review queue when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new ReviewQueue().init());
+} else {
+  new ReviewQueue().init();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewQueue;
+}
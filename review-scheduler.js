@@ -0,0 +1,138 @@
+/**
+ * Review Scheduler for System Design GitBook
+ * Spaced-repetition cards and their SM-2 schedule. Cards come from the
+ * concepts of cross-references.json, the terms of glossary.json and the quiz
+ * questions the reader has answered; a concept or term joins the queue once
+ * a page it belongs to has been read. Pure functions with no DOM access,
+ * used by review-queue.js and progress-tracking.js.
+ * Requires learning-paths.js to be loaded first.
+ *
+ * A schedule entry is { ease, interval, repetitions, lapses, due,
+ * lastReviewed, firstReviewed }; interval is in days and due is the start of
+ * the day the card comes back. Recall is graded 0-5 as in SM-2: below 3
+ * means forgotten and starts the card over. Any other grade is rejected, so
+ * a bad grade never reaches the saved schedule.
+ */
+
+const ReviewScheduler = {
+  // SM-2 constants
+  defaultEase: 2.5,
+  minEase: 1.3,
+  passingQuality: 3,
+  dayMs: 24 * 60 * 60 * 1000,
+
+  // Midnight (local time) of the day a date falls on
+  startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  },
+
+  // Whether a recall grade is an integer from 0 to 5
+  isValidQuality(quality) {
+    return Number.isInteger(quality) && quality >= 0 && quality <= 5;
+  },
+
+  // Next schedule entry after a review graded 0-5; throws on any other grade
+  schedule(entry, quality, now = new Date()) {
+    if (!this.isValidQuality(quality)) {
+      throw new RangeError(`Review quality must be an integer from 0 to 5, got ${quality}`);
+    }
+    const previous = entry || { ease: this.defaultEase, interval: 0, repetitions: 0, lapses: 0, firstReviewed: null };
+    const next = { ...previous };
+
+    if (quality < this.passingQuality) {
+      next.repetitions = 0;
+      next.interval = 1;
+      next.lapses = (previous.lapses || 0) + 1;
+    } else {
+      next.repetitions = previous.repetitions + 1;
+      if (next.repetitions === 1) {
+        next.interval = 1;
+      } else if (next.repetitions === 2) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(previous.interval * previous.ease);
+      }
+    }
+
+    next.ease = Math.max(this.minEase, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    next.ease = Math.round(next.ease * 100) / 100;
+    next.due = new Date(this.startOfDay(now).getTime() + next.interval * this.dayMs).toISOString();
+    next.lastReviewed = new Date(now).toISOString();
+    next.firstReviewed = previous.firstReviewed || next.lastReviewed;
+    return next;
+  },
+
+  // Whether a scheduled card is due on or before the day of `now`
+  isDue(entry, now = new Date()) {
+    return !entry.due || new Date(entry.due) < new Date(this.startOfDay(now).getTime() + this.dayMs);
+  },
+
+  // All cards the reader can review: [{ id, kind, front, back, source }]
+  //   kind is "quiz", "concept" or "term"; source is the page the card comes from
+  buildCards({ crossReferences = null, glossary = [], progress = {} } = {}) {
+    const readPages = new Set([...(progress.chaptersRead || []), ...(progress.sectionsRead || [])]
+      .map(path => LearningPaths.toPageKey(path)));
+    const readChapters = new Set([...readPages].map(key => LearningPaths.toChapterKey(key)));
+    const isChapterPage = path => /(^|\/)chapter-[^/]+\//.test(LearningPaths.toPageKey(path));
+    // A page counts as read once it or its chapter README has been read
+    const isRead = path => readPages.has(LearningPaths.toPageKey(path)) || readPages.has(LearningPaths.toChapterKey(path));
+    const cards = [];
+
+    Object.entries(progress.quizResults || {}).forEach(([pageKey, results]) => {
+      Object.entries(results).forEach(([questionId, result]) => {
+        if (!result.prompt || !result.answer) return; // answered before prompts were saved
+        cards.push({ id: `quiz:${questionId}`, kind: 'quiz', front: result.prompt, back: result.answer, source: `${pageKey}.md` });
+      });
+    });
+
+    const concepts = (crossReferences && crossReferences.crossReferences && crossReferences.crossReferences.concepts) || {};
+    Object.entries(concepts).forEach(([name, concept]) => {
+      if (!concept.mainLocation || !isRead(concept.mainLocation)) return;
+      cards.push({ id: `concept:${name}`, kind: 'concept', front: name, back: concept.definition, source: concept.mainLocation });
+    });
+
+    // Terms that are not already concepts; those only defined outside the chapters
+    // (GLOSSARY.md, appendices) join once any chapter has been read
+    const conceptNames = new Set(Object.keys(concepts).map(name => name.toLowerCase()));
+    glossary.forEach(term => {
+      if (conceptNames.has(term.term.toLowerCase())) return;
+      const locations = [term.mainLocation, ...(term.relatedTopics || [])].filter(Boolean);
+      const chapterLocations = locations.filter(isChapterPage);
+      const eligible = chapterLocations.length > 0 ? chapterLocations.some(isRead) : readChapters.size > 0;
+      if (!eligible) return;
+      cards.push({
+        id: `term:${term.term}`,
+        kind: 'term',
+        front: term.term,
+        back: term.definition,
+        source: chapterLocations.find(isRead) || term.mainLocation
+      });
+    });
+
+    return cards;
+  },
+
+  // Cards to review today: scheduled cards that are due (oldest first), then
+  // new cards up to newPerDay minus the new cards already started today
+  getQueue(cards, reviews = {}, { now = new Date(), newPerDay = 10 } = {}) {
+    const today = this.startOfDay(now).getTime();
+    const startedToday = Object.values(reviews)
+      .filter(entry => entry.firstReviewed && new Date(entry.firstReviewed).getTime() >= today).length;
+
+    const due = cards
+      .filter(card => reviews[card.id] && this.isDue(reviews[card.id], now))
+      .sort((a, b) => new Date(reviews[a.id].due) - new Date(reviews[b.id].due));
+    const fresh = cards
+      .filter(card => !reviews[card.id])
+      .slice(0, Math.max(0, newPerDay - startedToday));
+
+    return [...due, ...fresh.map(card => ({ ...card, isNew: true }))];
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewScheduler;
+}
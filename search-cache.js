@@ -0,0 +1,84 @@
+/**
+ * Search Cache for System Design GitBook
+ * Small IndexedDB key/value store for the search index and its companion
+ * data files, so the book stays searchable offline after the first visit.
+ * Works in the page and in Web Workers; every call resolves to null/false
+ * instead of throwing when IndexedDB is unavailable.
+ */
+
+const SearchCache = {
+  dbName: 'systemDesignSearch',
+  storeName: 'resources',
+  dbVersion: 1,
+  dbPromise: null,
+
+  // Open (and create on first use) the database
+  open() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Failed to open search cache:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  },
+
+  // Run one request against the object store
+  async run(mode, operation) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+      try {
+        const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Search cache request failed:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('Search cache request failed:', error);
+        resolve(null);
+      }
+    });
+  },
+
+  // Get a cached value ({ key, value, storedAt } or null)
+  async get(key) {
+    return (await this.run('readonly', store => store.get(key))) || null;
+  },
+
+  // Store a value; resolves to true on success
+  async put(key, value) {
+    const result = await this.run('readwrite', store => store.put({
+      key,
+      value,
+      storedAt: new Date().toISOString()
+    }));
+    return result !== null;
+  },
+
+  // Remove a cached value
+  async remove(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchCache;
+}
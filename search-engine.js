@@ -0,0 +1,218 @@
+/**
+ * Search Engine for System Design GitBook
+ * Loads the search index, glossary, cross-references and synonyms (network first,
+ * IndexedDB cache as the offline fallback) and answers search requests.
+ * Runs inside search-worker.js, or on the main thread when Web Workers are
+ * unavailable. Requires search-ranking.js, search-query.js, search-snippets.js,
+ * search-facets.js and search-cache.js to be loaded first.
+ *
+ * Request API (see handleRequest):
+ *   init   { urls, queryOptions }                    -> { documents, glossary, crossReferences, source, warnings }
+ *   search { query, activeFacets, facetKeys, limit }  -> { results, facets, terms, total }
+ *   facets { activeFacets, facetKeys }                -> facets over all documents
+ */
+
+// Must match SEARCH_INDEX_VERSION in build-search-index.js
+const SEARCH_INDEX_VERSION = 1;
+
+// Must match GLOSSARY_VERSION in build-glossary.js
+const GLOSSARY_VERSION = 1;
+
+class SearchEngine {
+  constructor(options = {}) {
+    this.cache = options.cache || (typeof SearchCache !== 'undefined' ? SearchCache : null);
+    this.queryOptions = { ...SearchQuery.defaults };
+    this.documents = [];
+    this.glossary = [];
+    this.crossReferences = null;
+    this.synonymData = null;
+    this.ranking = null;
+    this.synonymMap = null;
+  }
+
+  // Dispatch one request from the page
+  async handleRequest(type, payload = {}) {
+    switch (type) {
+      case 'init':
+        return this.load(payload.urls, payload.queryOptions);
+      case 'search':
+        return this.search(payload.query, payload.activeFacets, payload.limit, payload.facetKeys);
+      case 'facets':
+        return SearchFacets.computeFacets(
+          this.documents,
+          payload.facetKeys || Object.keys(SearchFacets.fieldMap),
+          payload.activeFacets
+        );
+      default:
+        throw new Error(`Unknown search request: ${type}`);
+    }
+  }
+
+  // Fetch a JSON resource, falling back to the cached copy when offline
+  async loadResource(key, url, validate = () => true) {
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      validate(data);
+      if (this.cache) await this.cache.put(key, data);
+      return { data, source: 'network' };
+    } catch (networkError) {
+      const cached = this.cache ? await this.cache.get(key) : null;
+      if (!cached) throw networkError;
+
+      try {
+        validate(cached.value);
+      } catch (validationError) {
+        await this.cache.remove(key);
+        throw networkError;
+      }
+      return { data: cached.value, source: 'cache' };
+    }
+  }
+
+  // Check the index format version
+  validateIndex(data) {
+    if (!data || data.version !== SEARCH_INDEX_VERSION) {
+      throw new Error(`unsupported index version ${data && data.version} (expected ${SEARCH_INDEX_VERSION})`);
+    }
+  }
+
+  // Check the canonical glossary format version
+  validateGlossary(data) {
+    if (!data || data.version !== GLOSSARY_VERSION || !Array.isArray(data.terms)) {
+      throw new Error(`unsupported glossary version ${data && data.version} (expected ${GLOSSARY_VERSION})`);
+    }
+  }
+
+  // Load everything needed to answer searches
+  async load(urls, queryOptions = {}) {
+    const warnings = [];
+    this.queryOptions = { ...this.queryOptions, ...queryOptions };
+
+    const index = await this.loadResource('search-index', urls.searchIndex, data => this.validateIndex(data));
+    this.documents = index.data.documents || [];
+    this.glossary = index.data.glossary || [];
+
+    // glossary.json merges GLOSSARY.md with cross-references.json; the index only has GLOSSARY.md
+    if (urls.glossary) {
+      try {
+        this.glossary = (await this.loadResource('glossary', urls.glossary, data => this.validateGlossary(data))).data.terms;
+      } catch (error) {
+        warnings.push(`Glossary unavailable, using GLOSSARY.md terms from the index (${error.message})`);
+      }
+    }
+
+    try {
+      this.crossReferences = (await this.loadResource('cross-references', urls.crossReferences, data => {
+        if (!data || !data.crossReferences) throw new Error('missing crossReferences');
+      })).data;
+    } catch (error) {
+      this.crossReferences = null;
+      warnings.push(`Concept dictionary unavailable (${error.message})`);
+    }
+
+    if (this.queryOptions.synonyms && urls.synonyms) {
+      try {
+        this.synonymData = (await this.loadResource('search-synonyms', urls.synonyms)).data;
+      } catch (error) {
+        this.synonymData = null;
+        warnings.push(`Synonyms unavailable (${error.message})`);
+      }
+    }
+
+    this.ranking = null;
+    this.synonymMap = null;
+
+    return {
+      documents: this.documents.map(doc => this.summarizeDocument(doc)),
+      glossary: this.glossary,
+      crossReferences: this.crossReferences,
+      source: index.source,
+      generatedAt: index.data.generatedAt,
+      warnings
+    };
+  }
+
+  // Document without its full text, for sending to the page
+  summarizeDocument(doc) {
+    const { content, ...summary } = doc;
+    return summary;
+  }
+
+  // Concept dictionary entries as rankable documents
+  getConceptDocuments() {
+    const concepts = (this.crossReferences && this.crossReferences.crossReferences.concepts) || {};
+
+    return Object.entries(concepts).map(([name, concept]) => ({
+      id: `concept-${name}`,
+      title: name,
+      path: concept.mainLocation,
+      content: concept.definition,
+      type: 'concept',
+      relatedTopics: concept.relatedTopics || []
+    }));
+  }
+
+  // BM25 ranking index over pages and concepts, built on first use
+  getRankingIndex() {
+    if (!this.ranking) {
+      this.ranking = SearchRanking.buildRankingIndex(
+        [...this.documents, ...this.getConceptDocuments()],
+        { normalizeToken: SearchQuery.getNormalizer(this.queryOptions) }
+      );
+    }
+    return this.ranking;
+  }
+
+  // Synonym lookup normalised the same way as the ranking index
+  getSynonymMap() {
+    if (!this.synonymMap) {
+      this.synonymMap = SearchQuery.buildSynonymMap(
+        this.synonymData,
+        text => SearchRanking.tokenize(text),
+        SearchQuery.getNormalizer(this.queryOptions)
+      );
+    }
+    return this.synonymMap;
+  }
+
+  // Expand a raw query into weighted clauses (stemming, fuzzy, synonyms)
+  parseQuery(query) {
+    return SearchQuery.parseQuery(query, {
+      tokenize: text => SearchRanking.tokenize(text),
+      vocabulary: this.getRankingIndex().documentFrequency,
+      synonymMap: this.getSynonymMap(),
+      options: this.queryOptions
+    });
+  }
+
+  // Rank, filter by facets and build snippets
+  search(query, activeFacets = {}, limit = 20, facetKeys = Object.keys(SearchFacets.fieldMap)) {
+    const parsedQuery = this.parseQuery(query || '');
+    const terms = SearchSnippets.getQueryTerms(parsedQuery);
+    const ranked = SearchRanking.rankDocuments(this.getRankingIndex(), parsedQuery)
+      .map(({ doc, score }) => ({ ...doc, score }));
+    const filtered = SearchFacets.applyFilters(ranked, activeFacets);
+
+    const results = filtered.slice(0, limit || filtered.length).map(result => ({
+      ...this.summarizeDocument(result),
+      snippet: SearchSnippets.buildSnippet(result.content, terms)
+    }));
+
+    return {
+      results,
+      facets: SearchFacets.computeFacets(ranked, facetKeys, activeFacets),
+      terms,
+      total: filtered.length
+    };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchEngine;
+}
@@ -0,0 +1,134 @@
+/**
+ * Search Facets for System Design GitBook
+ * Derives facet values and counts from search-index.json documents and
+ * filters results (OR within a facet, AND across facets). Facet selection is
+ * round-tripped through the URL query string. Pure functions with no DOM access.
+ */
+
+const SearchFacets = {
+  // Facets from navigation-config.json search.faceted.facets -> document fields
+  fieldMap: {
+    difficulty: ['difficulty'],
+    topic: ['tags', 'category'],
+    company: ['companies'],
+    technology: ['technologies'],
+    part: ['part']
+  },
+
+  // Query string parameter holding the search text
+  queryParam: 'q',
+
+  // Facet values of a document (always an array of strings)
+  getValues(doc, facetKey) {
+    const fields = this.fieldMap[facetKey] || [facetKey];
+    const values = [];
+
+    fields.forEach(field => {
+      const value = doc[field];
+      if (Array.isArray(value)) {
+        values.push(...value);
+      } else if (value !== null && value !== undefined && value !== '') {
+        values.push(value);
+      }
+    });
+
+    return [...new Set(values.map(String))];
+  },
+
+  // Whether a document matches any selected value of one facet
+  matchesFacet(doc, facetKey, selectedValues) {
+    if (!selectedValues || selectedValues.length === 0) return true;
+    const values = this.getValues(doc, facetKey);
+    return selectedValues.some(value => values.includes(value));
+  },
+
+  // Keep documents matching every facet (OR within a facet, AND across facets)
+  applyFilters(documents, activeFacets, exceptFacet = null) {
+    return documents.filter(doc => Object.entries(activeFacets || {}).every(([facetKey, values]) => (
+      facetKey === exceptFacet || this.matchesFacet(doc, facetKey, values)
+    )));
+  },
+
+  // Values and counts per facet. A value's count is the number of documents it
+  // would match given the selections in the other facets.
+  computeFacets(documents, facetKeys, activeFacets = {}) {
+    return facetKeys.map(facetKey => {
+      const counts = new Map();
+      const selected = activeFacets[facetKey] || [];
+
+      this.applyFilters(documents, activeFacets, facetKey).forEach(doc => {
+        this.getValues(doc, facetKey).forEach(value => {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+
+      // Keep selected values visible even when nothing matches them
+      selected.forEach(value => {
+        if (!counts.has(value)) counts.set(value, 0);
+      });
+
+      const values = Array.from(counts.entries())
+        .map(([value, count]) => ({ value, count, active: selected.includes(value) }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+      return { key: facetKey, values };
+    }).filter(facet => facet.values.length > 0);
+  },
+
+  // Add or remove one value from the active facets (returns a new object)
+  toggleValue(activeFacets, facetKey, value) {
+    const next = { ...activeFacets };
+    const values = new Set(next[facetKey] || []);
+
+    if (values.has(value)) {
+      values.delete(value);
+    } else {
+      values.add(value);
+    }
+
+    if (values.size > 0) {
+      next[facetKey] = Array.from(values);
+    } else {
+      delete next[facetKey];
+    }
+    return next;
+  },
+
+  // "?q=cache&difficulty=Easy&difficulty=Medium" -> { query, activeFacets }
+  fromQueryString(search, facetKeys) {
+    const params = new URLSearchParams(search);
+    const activeFacets = {};
+
+    facetKeys.forEach(facetKey => {
+      const values = params.getAll(facetKey).filter(Boolean);
+      if (values.length > 0) {
+        activeFacets[facetKey] = [...new Set(values)];
+      }
+    });
+
+    return { query: params.get(this.queryParam) || '', activeFacets };
+  },
+
+  // Inverse of fromQueryString; other parameters in baseSearch are preserved
+  toQueryString(query, activeFacets, facetKeys, baseSearch = '') {
+    const params = new URLSearchParams(baseSearch);
+
+    params.delete(this.queryParam);
+    facetKeys.forEach(facetKey => params.delete(facetKey));
+
+    if (query) {
+      params.set(this.queryParam, query);
+    }
+    facetKeys.forEach(facetKey => {
+      (activeFacets[facetKey] || []).forEach(value => params.append(facetKey, value));
+    });
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchFacets;
+}
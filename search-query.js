@@ -0,0 +1,179 @@
+/**
+ * Search Query Processing for System Design GitBook
+ * Turns a raw query into weighted term clauses for SearchRanking: stemming,
+ * typo-tolerant matching by edit distance, and synonym/acronym expansion.
+ * Pure functions with no DOM access.
+ */
+
+const SearchQuery = {
+  // Default query processing options
+  defaults: {
+    stemming: true,
+    fuzzySearch: true,
+    synonyms: true,
+    synonymWeight: 0.8,
+    fuzzyWeight: 0.7,
+    maxFuzzyMatches: 3,
+    maxPhraseLength: 3
+  },
+
+  // Light suffix-stripping stemmer ("sharding" -> "shard", "caching"/"cache" -> "cach")
+  stem(token) {
+    if (token.length <= 3 || /\d/.test(token)) return token;
+
+    let stemmed = token;
+
+    if (stemmed.endsWith('ies') && stemmed.length > 4) {
+      stemmed = stemmed.slice(0, -3) + 'y';
+    } else if (stemmed.endsWith('sses')) {
+      stemmed = stemmed.slice(0, -2);
+    } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    }
+
+    const suffix = ['ing', 'ed'].find(ending => stemmed.endsWith(ending));
+    if (suffix) {
+      const base = stemmed.slice(0, -suffix.length);
+      if (base.length >= 3 && /[aeiouy]/.test(base)) {
+        stemmed = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      }
+    }
+
+    if (stemmed.endsWith('e') && stemmed.length > 3) {
+      stemmed = stemmed.slice(0, -1);
+    }
+
+    return stemmed;
+  },
+
+  // Levenshtein distance, giving up once it exceeds maxDistance
+  editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMinimum = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMinimum = Math.min(rowMinimum, current[j]);
+      }
+
+      if (rowMinimum > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  // Edits tolerated for a term of the given length
+  maxEditsFor(term) {
+    if (term.length <= 4) return 0;
+    return term.length <= 7 ? 1 : 2;
+  },
+
+  // Closest vocabulary terms for a term missing from the index
+  findFuzzyMatches(term, vocabulary, limit) {
+    const maxEdits = this.maxEditsFor(term);
+    if (maxEdits === 0) return [];
+
+    const matches = [];
+    for (const candidate of vocabulary) {
+      if (candidate[0] !== term[0]) continue;
+
+      const distance = this.editDistance(term, candidate, maxEdits);
+      if (distance > 0 && distance <= maxEdits) {
+        matches.push({ term: candidate, distance });
+      }
+    }
+
+    return matches
+      .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+      .slice(0, limit);
+  },
+
+  // Map each normalised phrase to the other phrases in its group(s)
+  // from search-synonyms.json
+  buildSynonymMap(synonymData, tokenize, normalize = term => term) {
+    const synonymMap = new Map();
+    const groups = [
+      ...((synonymData && synonymData.manual) || []),
+      ...((synonymData && synonymData.glossary) || [])
+    ];
+
+    groups.forEach(group => {
+      const phrases = group.map(phrase => tokenize(phrase).map(normalize).join(' ')).filter(Boolean);
+      phrases.forEach(phrase => {
+        const alternatives = synonymMap.get(phrase) || new Set();
+        phrases.forEach(other => {
+          if (other !== phrase) alternatives.add(other);
+        });
+        synonymMap.set(phrase, alternatives);
+      });
+    });
+
+    return synonymMap;
+  },
+
+  // Token normaliser matching the options (stemming on or off)
+  getNormalizer(options = {}) {
+    const stemming = options.stemming !== undefined ? options.stemming : this.defaults.stemming;
+    return stemming ? token => this.stem(token) : token => token;
+  },
+
+  // Build weighted clauses: each clause matches one query word or phrase,
+  // scored by its best-matching alternative.
+  // context: { tokenize, vocabulary (Map of indexed terms), synonymMap, options }
+  parseQuery(query, context = {}) {
+    const options = { ...this.defaults, ...context.options };
+    const vocabulary = context.vocabulary || new Map();
+    const synonymMap = options.synonyms ? (context.synonymMap || new Map()) : new Map();
+    const tokens = context.tokenize(query).map(this.getNormalizer(options));
+    const clauses = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+      let matched = false;
+
+      // Longest synonym phrase starting at this word
+      for (let length = Math.min(options.maxPhraseLength, tokens.length - i); length >= 1; length--) {
+        const phrase = tokens.slice(i, i + length).join(' ');
+        if (!synonymMap.has(phrase)) continue;
+
+        const clause = [{ terms: tokens.slice(i, i + length), weight: 1 }];
+        synonymMap.get(phrase).forEach(alternative => {
+          clause.push({ terms: alternative.split(' '), weight: options.synonymWeight });
+        });
+
+        clauses.push(clause);
+        i += length;
+        matched = true;
+        break;
+      }
+
+      if (matched) continue;
+
+      const term = tokens[i];
+      const clause = [{ terms: [term], weight: 1 }];
+
+      if (options.fuzzySearch && !vocabulary.has(term)) {
+        this.findFuzzyMatches(term, vocabulary.keys(), options.maxFuzzyMatches).forEach(match => {
+          clause.push({ terms: [match.term], weight: Math.pow(options.fuzzyWeight, match.distance) });
+        });
+      }
+
+      clauses.push(clause);
+      i += 1;
+    }
+
+    return { tokens, clauses };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchQuery;
+}
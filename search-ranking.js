@@ -0,0 +1,173 @@
+/**
+ * Search Ranking for System Design GitBook
+ * BM25F relevance scoring over search-index.json documents. Pure functions with
+ * no DOM access, so ranking can run in the browser, a worker or Node.
+ */
+
+const SearchRanking = {
+  // Default ranking parameters
+  defaults: {
+    k1: 1.2,
+    b: 0.75,
+    fieldWeights: {
+      title: 3,
+      headings: 2,
+      content: 1
+    },
+    phraseBoost: 1.5
+  },
+
+  // Split text into lowercase alphanumeric tokens, keeping trailing + and #
+  // so "C++" and "C#" stay distinct from "C"
+  tokenize(text) {
+    if (!text) return [];
+    return String(text).toLowerCase().match(/[a-z0-9]+[+#]*/g) || [];
+  },
+
+  // Tokens for each ranked field of a document
+  getFieldTokens(doc, normalizeToken) {
+    const normalize = text => this.tokenize(text).map(normalizeToken);
+    return {
+      title: normalize(doc.title),
+      headings: normalize((doc.headings || []).join(' ')),
+      content: normalize(doc.content)
+    };
+  },
+
+  // Precompute term frequencies, field lengths and document frequencies.
+  // options.normalizeToken (e.g. a stemmer) is applied to every indexed token.
+  buildRankingIndex(documents, options = {}) {
+    const fieldWeights = { ...this.defaults.fieldWeights, ...options.fieldWeights };
+    const normalizeToken = options.normalizeToken || (token => token);
+    const fields = Object.keys(fieldWeights);
+    const totalLengths = Object.fromEntries(fields.map(field => [field, 0]));
+    const documentFrequency = new Map();
+
+    const entries = documents.map((doc, position) => {
+      const tokens = this.getFieldTokens(doc, normalizeToken);
+      const termFrequencies = {};
+      const lengths = {};
+      const docTerms = new Set();
+
+      fields.forEach(field => {
+        const fieldTokens = tokens[field] || [];
+        const frequencies = new Map();
+        fieldTokens.forEach(token => {
+          frequencies.set(token, (frequencies.get(token) || 0) + 1);
+          docTerms.add(token);
+        });
+        termFrequencies[field] = frequencies;
+        lengths[field] = fieldTokens.length;
+        totalLengths[field] += fieldTokens.length;
+      });
+
+      docTerms.forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+
+      return { doc, position, tokens, termFrequencies, lengths };
+    });
+
+    const averageLengths = Object.fromEntries(fields.map(field => [
+      field,
+      entries.length ? totalLengths[field] / entries.length : 0
+    ]));
+
+    return { entries, fields, fieldWeights, averageLengths, documentFrequency, normalizeToken };
+  },
+
+  // BM25 inverse document frequency (always positive)
+  idf(rankingIndex, term) {
+    const total = rankingIndex.entries.length;
+    const df = rankingIndex.documentFrequency.get(term) || 0;
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  },
+
+  // Length-normalised, field-weighted term frequency (BM25F)
+  weightedTermFrequency(rankingIndex, entry, term, b) {
+    return rankingIndex.fields.reduce((sum, field) => {
+      const tf = entry.termFrequencies[field].get(term) || 0;
+      if (tf === 0) return sum;
+
+      const averageLength = rankingIndex.averageLengths[field] || 1;
+      const normalisation = 1 - b + b * (entry.lengths[field] / averageLength);
+      return sum + rankingIndex.fieldWeights[field] * tf / normalisation;
+    }, 0);
+  },
+
+  // Check whether the query tokens occur consecutively in any field
+  containsPhrase(entry, queryTokens) {
+    if (queryTokens.length < 2) return false;
+
+    return Object.values(entry.tokens).some(fieldTokens => {
+      for (let i = 0; i <= fieldTokens.length - queryTokens.length; i++) {
+        if (queryTokens.every((token, offset) => fieldTokens[i + offset] === token)) {
+          return true;
+        }
+      }
+      return false;
+    });
+  },
+
+  // Turn a plain query string into one single-term clause per token
+  toClauses(rankingIndex, query) {
+    const tokens = this.tokenize(query).map(rankingIndex.normalizeToken);
+    return { tokens, clauses: tokens.map(term => [{ terms: [term], weight: 1 }]) };
+  },
+
+  // Rank documents for a query; returns [{ doc, score }] best first.
+  // query is a string or a { tokens, clauses } object from SearchQuery.parseQuery,
+  // where each clause is scored by its best [{ terms, weight }] alternative.
+  rankDocuments(rankingIndex, query, options = {}) {
+    const { k1, b, phraseBoost } = { ...this.defaults, ...options };
+    const { tokens, clauses } = typeof query === 'string' ? this.toClauses(rankingIndex, query) : query;
+
+    if (clauses.length === 0) return [];
+
+    const idfs = new Map();
+    clauses.forEach(clause => clause.forEach(alternative => alternative.terms.forEach(term => {
+      if (!idfs.has(term)) idfs.set(term, this.idf(rankingIndex, term));
+    })));
+
+    const termScore = (entry, term) => {
+      const tf = this.weightedTermFrequency(rankingIndex, entry, term, b);
+      return tf > 0 ? idfs.get(term) * (tf * (k1 + 1)) / (tf + k1) : 0;
+    };
+
+    const results = [];
+
+    rankingIndex.entries.forEach(entry => {
+      let score = 0;
+
+      clauses.forEach(clause => {
+        score += Math.max(...clause.map(alternative => alternative.weight *
+          alternative.terms.reduce((sum, term) => sum + termScore(entry, term), 0)));
+      });
+
+      if (score === 0) return;
+
+      if (this.containsPhrase(entry, tokens)) {
+        score *= phraseBoost;
+      }
+
+      results.push({ doc: entry.doc, score, position: entry.position });
+    });
+
+    return results
+      .sort((a, b) => this.compareResults(a, b))
+      .slice(0, options.limit || results.length)
+      .map(({ doc, score }) => ({ doc, score }));
+  },
+
+  // Order by score, then index order (table of contents), then id
+  compareResults(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    if (a.position !== b.position) return a.position - b.position;
+    return String(a.doc.id).localeCompare(String(b.doc.id));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchRanking;
+}
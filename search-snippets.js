@@ -0,0 +1,136 @@
+/**
+ * Search Result Snippets for System Design GitBook
+ * Picks the best-matching passage of a document and splits it into
+ * highlighted/plain segments. Query terms are regex-escaped and all output
+ * text is HTML-escaped. Pure functions with no DOM access.
+ */
+
+const SearchSnippets = {
+  // Default snippet options
+  defaults: {
+    maxLength: 240,
+    contextBefore: 60,
+    ellipsis: '…'
+  },
+
+  // Escape characters with special meaning in regular expressions
+  escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+
+  // Escape text for safe insertion into HTML
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  // Regex matching any word that starts with one of the (stemmed) terms
+  buildTermPattern(terms) {
+    const unique = [...new Set((terms || []).map(term => String(term).trim()).filter(term => term.length > 1))]
+      .sort((a, b) => b.length - a.length);
+
+    if (unique.length === 0) return null;
+    return new RegExp(`\\b(?:${unique.map(term => this.escapeRegExp(term)).join('|')})[\\w-]*`, 'gi');
+  },
+
+  // All term matches in text as { index, length, term }
+  findMatches(text, terms) {
+    const pattern = this.buildTermPattern(terms);
+    if (!pattern || !text) return [];
+
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      matches.push({ index: match.index, length: match[0].length, term: match[0].toLowerCase() });
+    }
+    return matches;
+  },
+
+  // Choose the window containing the most distinct matched words
+  buildSnippet(text, terms, options = {}) {
+    const { maxLength, contextBefore, ellipsis } = { ...this.defaults, ...options };
+    const content = String(text || '').replace(/\s+/g, ' ').trim();
+
+    if (content.length <= maxLength) return content;
+
+    const matches = this.findMatches(content, terms);
+    let bestStart = 0;
+    let bestScore = -1;
+
+    matches.forEach(candidate => {
+      const start = Math.max(0, candidate.index - contextBefore);
+      const end = start + maxLength;
+      const distinct = new Set(matches
+        .filter(match => match.index >= start && match.index + match.length <= end)
+        .map(match => match.term));
+
+      if (distinct.size > bestScore) {
+        bestScore = distinct.size;
+        bestStart = start;
+      }
+    });
+
+    // Snap to word boundaries
+    let start = bestStart;
+    if (start > 0) {
+      const nextSpace = content.indexOf(' ', start);
+      start = nextSpace === -1 || nextSpace - start > 20 ? start : nextSpace + 1;
+    }
+
+    let end = Math.min(content.length, start + maxLength);
+    if (end < content.length) {
+      const lastSpace = content.lastIndexOf(' ', end);
+      end = lastSpace > start ? lastSpace : end;
+    }
+
+    return `${start > 0 ? ellipsis : ''}${content.slice(start, end).trim()}${end < content.length ? ellipsis : ''}`;
+  },
+
+  // Split text into [{ text, highlighted }] segments
+  highlightSegments(text, terms) {
+    const content = String(text || '');
+    const segments = [];
+    let cursor = 0;
+
+    this.findMatches(content, terms).forEach(match => {
+      if (match.index > cursor) {
+        segments.push({ text: content.slice(cursor, match.index), highlighted: false });
+      }
+      segments.push({ text: content.substr(match.index, match.length), highlighted: true });
+      cursor = match.index + match.length;
+    });
+
+    if (cursor < content.length) {
+      segments.push({ text: content.slice(cursor), highlighted: false });
+    }
+
+    return segments;
+  },
+
+  // Escaped HTML with <mark> around matched words
+  highlightHtml(text, terms) {
+    return this.highlightSegments(text, terms)
+      .map(segment => (segment.highlighted
+        ? `<mark>${this.escapeHtml(segment.text)}</mark>`
+        : this.escapeHtml(segment.text)))
+      .join('');
+  },
+
+  // Every term a parsed query can match, for highlighting
+  getQueryTerms(parsedQuery) {
+    const terms = [];
+    (parsedQuery.clauses || []).forEach(clause => {
+      clause.forEach(alternative => terms.push(...alternative.terms));
+    });
+    return terms;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchSnippets;
+}
@@ -0,0 +1,152 @@
+/**
+ * Search Suggestions for System Design GitBook
+ * Autocomplete candidates from concept names, section titles and glossary
+ * terms, plus recent and popular queries from the saved search history.
+ * Pure functions with no DOM access.
+ */
+
+const SearchSuggestions = {
+  // Default suggestion options
+  defaults: {
+    maxCompletions: 8,
+    maxRecent: 5,
+    maxPopular: 5,
+    maxHistory: 50,
+    mergeWindowMs: 3000
+  },
+
+  // Order in which equally good completions are listed
+  typeOrder: ['concept', 'technology', 'pattern', 'glossary', 'section'],
+
+  // Collect { label, type, path } candidates from the loaded search data
+  buildSource({ crossReferences, documents, glossary } = {}) {
+    const source = [];
+    const seen = new Set();
+
+    const add = (label, type, path = null) => {
+      const key = String(label || '').trim().toLowerCase();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      source.push({ label: String(label).trim(), type, path });
+    };
+
+    const references = (crossReferences && crossReferences.crossReferences) || {};
+    Object.entries(references.concepts || {}).forEach(([name, concept]) => add(name, 'concept', concept.mainLocation));
+    Object.entries(references.technologies || {}).forEach(([name, technology]) => add(name, 'technology', technology.mainLocation));
+    Object.entries(references.patterns || {}).forEach(([name, pattern]) => add(name, 'pattern', pattern.mainLocation));
+    (glossary || []).forEach(entry => add(entry.term, 'glossary'));
+    (documents || []).forEach(doc => add(doc.summaryTitle || doc.title, 'section', doc.path));
+
+    return source;
+  },
+
+  // How well a label matches the typed prefix (0 = no match)
+  matchRank(label, prefix) {
+    const text = label.toLowerCase();
+    if (text.startsWith(prefix)) return 2;
+    return text.split(/[^a-z0-9]+/).some(word => word && word.startsWith(prefix)) ? 1 : 0;
+  },
+
+  // Completions for what has been typed so far
+  getCompletions(source, input, limit = this.defaults.maxCompletions) {
+    const prefix = String(input || '').trim().toLowerCase();
+    if (!prefix) return [];
+
+    return source
+      .map(item => ({ ...item, rank: this.matchRank(item.label, prefix) }))
+      .filter(item => item.rank > 0)
+      .sort((a, b) => b.rank - a.rank ||
+        this.typeOrder.indexOf(a.type) - this.typeOrder.indexOf(b.type) ||
+        a.label.length - b.label.length ||
+        a.label.localeCompare(b.label))
+      .slice(0, limit)
+      .map(({ rank, ...item }) => item);
+  },
+
+  // Most recent distinct queries, newest first, optionally filtered by prefix
+  getRecentQueries(history, input = '', limit = this.defaults.maxRecent) {
+    const prefix = String(input || '').trim().toLowerCase();
+    const seen = new Set();
+    const recent = [];
+
+    (history || []).forEach(entry => {
+      const key = String(entry.query || '').trim().toLowerCase();
+      if (!key || seen.has(key) || (prefix && !key.startsWith(prefix))) return;
+      seen.add(key);
+      recent.push({ label: entry.query.trim(), type: 'recent' });
+    });
+
+    return recent.slice(0, limit);
+  },
+
+  // Add a search to the front of the history (returns a new array). A query
+  // extending the previous one replaces it while it is still being typed: the
+  // previous entry was never submitted or is under mergeWindowMs old.
+  // Repeating the previous query replaces it, keeping it submitted.
+  addToHistory(history, entry, options = {}) {
+    const { maxHistory, mergeWindowMs } = { ...this.defaults, ...options };
+    const [latest, ...older] = history || [];
+    let rest = history || [];
+    let submitted = Boolean(entry.submitted);
+
+    if (latest) {
+      const query = String(entry.query || '').trim().toLowerCase();
+      const latestQuery = String(latest.query || '').trim().toLowerCase();
+      const elapsed = Date.parse(entry.timestamp) - Date.parse(latest.timestamp);
+
+      if (query === latestQuery) {
+        submitted = submitted || Boolean(latest.submitted);
+        rest = older;
+      } else if (latestQuery && query.startsWith(latestQuery) && (!latest.submitted || elapsed <= mergeWindowMs)) {
+        rest = older;
+      }
+    }
+
+    return [{ ...entry, submitted }, ...rest].slice(0, maxHistory);
+  },
+
+  // Queries searched most often that returned results; ties go to the newest
+  getPopularSearches(history, limit = this.defaults.maxPopular) {
+    const stats = new Map();
+
+    (history || []).forEach((entry, index) => {
+      const key = String(entry.query || '').trim().toLowerCase();
+      if (!key || !entry.resultCount) return;
+
+      const stat = stats.get(key) || { label: entry.query.trim(), count: 0, newest: index };
+      stat.count += 1;
+      stats.set(key, stat);
+    });
+
+    return Array.from(stats.values())
+      .sort((a, b) => b.count - a.count || a.newest - b.newest)
+      .slice(0, limit)
+      .map(({ label, count }) => ({ label, type: 'popular', count }));
+  },
+
+  // Dropdown contents: history when empty, completions and matching history otherwise
+  getSuggestions(source, history, input, options = {}) {
+    const { maxCompletions, maxRecent, maxPopular } = { ...this.defaults, ...options };
+
+    if (!String(input || '').trim()) {
+      const recent = this.getRecentQueries(history, '', maxRecent);
+      const recentKeys = new Set(recent.map(item => item.label.toLowerCase()));
+      const popular = this.getPopularSearches(history, maxPopular + recent.length)
+        .filter(item => !recentKeys.has(item.label.toLowerCase()))
+        .slice(0, maxPopular);
+      return [...recent, ...popular];
+    }
+
+    const recent = this.getRecentQueries(history, input, maxRecent);
+    const recentKeys = new Set(recent.map(item => item.label.toLowerCase()));
+    const completions = this.getCompletions(source, input, maxCompletions)
+      .filter(item => !recentKeys.has(item.label.toLowerCase()));
+
+    return [...recent, ...completions];
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchSuggestions;
+}
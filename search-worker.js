@@ -0,0 +1,29 @@
+/**
+ * Search Web Worker for System Design GitBook
+ * Keeps index loading and querying off the main thread.
+ *
+ * Messages in:  { id, type, payload }   (types documented in search-engine.js)
+ * Messages out: { id, ok: true, result } or { id, ok: false, error }
+ */
+
+importScripts(
+  'search-ranking.js',
+  'search-query.js',
+  'search-snippets.js',
+  'search-facets.js',
+  'search-cache.js',
+  'search-engine.js'
+);
+
+const engine = new SearchEngine();
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data || {};
+
+  try {
+    const result = await engine.handleRequest(type, payload);
+    self.postMessage({ id, ok: true, result });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message || String(error) });
+  }
+});
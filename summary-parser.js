@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * SUMMARY.md Parser for System Design GitBook
+ * Parses the table of contents into a typed tree of parts, chapters,
+ * sections and appendices, each with its source line number. Used by the
+ * validators, the search index builder and test-setup.js; the CLI writes
+ * the same tree to summary.json for the browser scripts.
+ *
+ *   node summary-parser.js              # writes ./summary.json
+ *   node summary-parser.js out.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = __dirname;
+const SUMMARY_FILE = 'SUMMARY.md';
+const DEFAULT_OUTPUT = 'summary.json';
+
+// Bump when the tree shape changes in a way consumers must know about
+const SUMMARY_VERSION = 1;
+
+const LINK_PATTERN = /^(\s*)[*-]\s+\[([^\]]+)\]\(([^)]+)\)/;
+const HEADING_LINK_PATTERN = /^##\s+\[([^\]]+)\]\(([^)]+)\)\s*$/;
+const HEADING_PATTERN = /^##\s+(.+?)\s*$/;
+const CHAPTER_PATTERN = /^Chapter\s+(\d+):\s*(.+)$/;
+const SECTION_PATTERN = /^(\d+(?:\.\d+)+)\s+(.+)$/;
+const APPENDIX_PATTERN = /^([A-Z]\.\d+)\s+(.+)$/;
+const PART_PATTERN = /^Part\s+([IVXLC]+):\s*(.+)$/;
+
+// Parse SUMMARY.md content into
+// { title, introduction, parts: [{ chapters: [{ sections }], pages }], appendices, counts }
+function parseSummary(content) {
+    const tree = {
+        title: null,
+        introduction: null,
+        parts: [],
+        appendices: [],
+        counts: null
+    };
+    let currentPart = null;
+    let currentChapter = null;
+    let inAppendices = false;
+
+    content.split('\n').forEach((text, index) => {
+        const line = index + 1;
+
+        const titleMatch = text.match(/^#\s+(.+?)\s*$/);
+        if (titleMatch && !tree.title) {
+            tree.title = titleMatch[1];
+            return;
+        }
+
+        const headingLinkMatch = text.match(HEADING_LINK_PATTERN);
+        if (headingLinkMatch) {
+            tree.introduction = { type: 'page', title: headingLinkMatch[1].trim(), path: headingLinkMatch[2].trim(), line };
+            return;
+        }
+
+        const headingMatch = text.match(HEADING_PATTERN);
+        if (headingMatch) {
+            const title = headingMatch[1];
+            currentChapter = null;
+            inAppendices = /^Appendi(x|ces)\b/i.test(title);
+
+            if (inAppendices) {
+                currentPart = null;
+            } else {
+                const partMatch = title.match(PART_PATTERN);
+                currentPart = {
+                    type: 'part',
+                    number: partMatch ? partMatch[1] : null,
+                    title,
+                    shortTitle: partMatch ? partMatch[2] : title,
+                    line,
+                    chapters: [],
+                    pages: []
+                };
+                tree.parts.push(currentPart);
+            }
+            return;
+        }
+
+        const linkMatch = text.match(LINK_PATTERN);
+        if (!linkMatch) return;
+
+        const depth = Math.floor(linkMatch[1].replace(/\t/g, '  ').length / 2);
+        const title = linkMatch[2].trim();
+        const filePath = linkMatch[3].trim();
+
+        const appendixMatch = title.match(APPENDIX_PATTERN);
+        if (inAppendices || (depth === 0 && appendixMatch)) {
+            tree.appendices.push({
+                type: 'appendix',
+                number: appendixMatch ? appendixMatch[1] : null,
+                title: appendixMatch ? appendixMatch[2] : title,
+                path: filePath,
+                line
+            });
+            return;
+        }
+
+        const chapterMatch = title.match(CHAPTER_PATTERN);
+        if (depth === 0 && chapterMatch) {
+            currentChapter = {
+                type: 'chapter',
+                number: Number(chapterMatch[1]),
+                title: chapterMatch[2],
+                path: filePath,
+                line,
+                sections: []
+            };
+            getPart().chapters.push(currentChapter);
+            return;
+        }
+
+        if (depth > 0 && currentChapter) {
+            const sectionMatch = title.match(SECTION_PATTERN);
+            currentChapter.sections.push({
+                type: 'section',
+                number: sectionMatch ? sectionMatch[1] : null,
+                title: sectionMatch ? sectionMatch[2] : title,
+                path: filePath,
+                line
+            });
+            return;
+        }
+
+        currentChapter = null;
+        getPart().pages.push({ type: 'page', title, path: filePath, line });
+    });
+
+    // Links before the first part heading go into an untitled part
+    function getPart() {
+        if (!currentPart) {
+            currentPart = { type: 'part', number: null, title: null, shortTitle: null, line: null, chapters: [], pages: [] };
+            tree.parts.push(currentPart);
+        }
+        return currentPart;
+    }
+
+    tree.counts = countSummary(tree);
+    return tree;
+}
+
+// Number of parts, chapters, sections and appendices in a parsed tree
+function countSummary(tree) {
+    const chapters = tree.parts.reduce((all, part) => all.concat(part.chapters), []);
+
+    return {
+        parts: tree.parts.filter(part => part.title).length,
+        chapters: chapters.length,
+        sections: chapters.reduce((total, chapter) => total + chapter.sections.length, 0),
+        appendices: tree.appendices.length,
+        pages: getSummaryEntries(tree).length
+    };
+}
+
+// Every linked page in table-of-contents order, flattened to
+// { path, title, section, chapter: { number, title } | null, partTitle, type, line }
+function getSummaryEntries(tree) {
+    const entries = [];
+
+    if (tree.introduction) {
+        entries.push({ path: tree.introduction.path, title: tree.introduction.title, section: null, chapter: null, partTitle: null, type: 'page', line: tree.introduction.line });
+    }
+
+    tree.parts.forEach(part => {
+        part.chapters.forEach(chapter => {
+            const chapterInfo = { number: chapter.number, title: chapter.title };
+            entries.push({ path: chapter.path, title: chapter.title, section: null, chapter: chapterInfo, partTitle: part.title, type: 'chapter', line: chapter.line });
+
+            chapter.sections.forEach(section => {
+                entries.push({ path: section.path, title: section.title, section: section.number, chapter: chapterInfo, partTitle: part.title, type: 'section', line: section.line });
+            });
+        });
+
+        part.pages.forEach(page => {
+            entries.push({ path: page.path, title: page.title, section: null, chapter: null, partTitle: part.title, type: 'page', line: page.line });
+        });
+    });
+
+    tree.appendices.forEach(appendix => {
+        entries.push({ path: appendix.path, title: appendix.title, section: appendix.number, chapter: null, partTitle: 'Appendices', type: 'appendix', line: appendix.line });
+    });
+
+    return entries.sort((a, b) => a.line - b.line);
+}
+
+// Read and parse SUMMARY.md from a book root
+function loadSummary(rootDir = ROOT_DIR) {
+    return parseSummary(fs.readFileSync(path.join(rootDir, SUMMARY_FILE), 'utf8'));
+}
+
+if (require.main === module) {
+    const outputFile = process.argv[2] || DEFAULT_OUTPUT;
+
+    console.log('📚 Parsing SUMMARY.md...\n');
+
+    try {
+        const tree = loadSummary(ROOT_DIR);
+        const output = { version: SUMMARY_VERSION, generatedAt: new Date().toISOString(), ...tree };
+        fs.writeFileSync(path.resolve(outputFile), JSON.stringify(output, null, 2) + '\n');
+
+        const { parts, chapters, sections, appendices } = tree.counts;
+        console.log(`✅ ${parts} parts, ${chapters} chapters, ${sections} sections, ${appendices} appendices`);
+        console.log(`✅ Wrote ${outputFile} (format version ${SUMMARY_VERSION})`);
+    } catch (error) {
+        console.log('❌ Failed to parse SUMMARY.md:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    SUMMARY_VERSION,
+    parseSummary,
+    countSummary,
+    getSummaryEntries,
+    loadSummary
+};
@@ -5,6 +5,15 @@ const path = require('path');
 
 console.log('🧪 GitBook Setup Test Suite\n');
 
+// Failed checks per test, reported in the summary
+const failures = {
+    config: [],
+    structure: [],
+    workflows: [],
+    content: [],
+    dependencies: []
+};
+
 // Test 1: Configuration Files
 console.log('Test 1: Configuration Files');
 const configs = {
@@ -25,6 +34,7 @@ Object.entries(configs).forEach(([file, parser]) => {
         }
     } catch (error) {
         console.log(`❌ ${file} - Parse error: ${error.message}`);
+        failures.config.push(file);
     }
 });
 
@@ -40,12 +50,18 @@ const structure = {
     '.bookignore': 'GitBook ignore rules'
 };
 
+// .bookignore is git-ignored (GitBook legacy), so fresh checkouts don't have it
+const optionalFiles = ['.bookignore'];
+
 Object.entries(structure).forEach(([file, description]) => {
     if (fs.existsSync(file)) {
         const stats = fs.statSync(file);
         console.log(`✅ ${file} - ${description} (${stats.size} bytes)`);
+    } else if (optionalFiles.includes(file)) {
+        console.log(`⚠️  ${file} - Missing (optional)`);
     } else {
         console.log(`❌ ${file} - Missing`);
+        failures.structure.push(file);
     }
 });
 
@@ -63,9 +79,11 @@ workflows.forEach(workflow => {
             console.log(`✅ ${workflow} - Valid workflow`);
         } catch (error) {
             console.log(`❌ ${workflow} - Invalid YAML: ${error.message}`);
+            failures.workflows.push(workflow);
         }
     } else {
         console.log(`❌ ${workflow} - Missing`);
+        failures.workflows.push(workflow);
     }
 });
 
@@ -76,20 +94,22 @@ try {
     const readme = fs.readFileSync('README.md', 'utf8');
 
     // Count chapters and sections
-    const chapters = (summary.match(/^\* \[/gm) || []).length;
-    const sections = (summary.match(/^  \* \[/gm) || []).length;
+    const { counts } = require('./summary-parser').parseSummary(summary);
 
-    console.log(`✅ SUMMARY.md - ${chapters} chapters, ${sections} sections`);
+    console.log(`✅ SUMMARY.md - ${counts.chapters} chapters, ${counts.sections} sections, ${counts.appendices} appendices`);
     console.log(`✅ README.md - ${readme.split(' ').length} words`);
 
     // Check for proper GitBook structure
     const hasIntro = summary.includes('[Introduction](README.md)');
     const hasTableOfContents = summary.includes('# Table of Contents');
 
-    console.log(`✅ Structure - Intro: ${hasIntro}, TOC: ${hasTableOfContents}`);
+    console.log(`${hasIntro && hasTableOfContents ? '✅' : '❌'} Structure - Intro: ${hasIntro}, TOC: ${hasTableOfContents}`);
+    if (!hasIntro || !hasTableOfContents) failures.content.push('SUMMARY.md structure');
+    if (counts.chapters === 0) failures.content.push('SUMMARY.md chapters');
 
 } catch (error) {
     console.log(`❌ Content validation failed: ${error.message}`);
+    failures.content.push(error.message);
 }
 
 // Test 5: Dependencies
@@ -105,21 +125,35 @@ try {
         console.log(`✅ Dev dependencies: ${Object.keys(packageJson.devDependencies).length}`);
     }
 
+    if (!nodeModulesExists) failures.dependencies.push('node_modules');
+
 } catch (error) {
     console.log(`❌ Dependencies check failed: ${error.message}`);
+    failures.dependencies.push(error.message);
 }
 
-console.log('\n🎉 GitBook Setup Test Complete!');
+const summaryLines = [
+    [failures.config, 'All configuration files are valid', 'Invalid configuration files'],
+    [failures.structure, 'File structure is complete', 'Missing files'],
+    [failures.workflows, 'GitHub Actions workflows are configured', 'Invalid or missing workflows'],
+    [failures.content, 'Content structure is properly organized', 'Content problems'],
+    [failures.dependencies, 'Dependencies are installed', 'Dependency problems']
+];
+const failed = summaryLines.some(([items]) => items.length > 0);
+
+console.log(`\n${failed ? '❌ GitBook Setup Test Failed' : '🎉 GitBook Setup Test Complete!'}`);
 console.log('\n📋 Summary:');
-console.log('- All configuration files are valid');
-console.log('- File structure is complete');
-console.log('- GitHub Actions workflows are configured');
-console.log('- Content structure is properly organized');
-console.log('- Dependencies are installed');
+summaryLines.forEach(([items, passMessage, failMessage]) => {
+    console.log(items.length === 0 ? `- ${passMessage}` : `- ❌ ${failMessage}: ${items.join(', ')}`);
+});
+
+if (failed) {
+    process.exit(1);
+}
 
 console.log('\n🚀 Ready for GitBook development!');
 console.log('\nTo build with a compatible GitBook version:');
 console.log('1. Use Docker: docker run -v $(pwd):/gitbook -p 4000:4000 fellah/gitbook');
 console.log('2. Use HonKit (GitBook fork): npx honkit serve');
 console.log('3. Use GitBook Legacy with Node 14: nvm use 14 && gitbook serve');
-console.log('4. Use modern alternatives like VuePress or Docusaurus');
\ No newline at end of file
+console.log('4. Use modern alternatives like VuePress or Docusaurus');
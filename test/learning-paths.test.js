@@ -0,0 +1,155 @@
+/**
+ * Learning Paths Tests
+ * Path progress and each kind of recommendation of learning-paths.js, on a
+ * four-chapter book with one learning path.
+ *
+ *   node --test test/learning-paths.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// learning-paths.js expects PagePaths as a global, as in the browser
+global.PagePaths = require('../page-paths');
+const LearningPaths = require('../learning-paths');
+
+const BASICS = 'part-i/chapter-01-basics/README.md';
+const NETWORKING = 'part-i/chapter-02-networking/README.md';
+const CACHING = 'part-ii/chapter-03-caching/README.md';
+const SHARDING = 'part-ii/chapter-04-sharding/README.md';
+
+const SUMMARY = {
+    parts: [
+        { title: 'Part I', chapters: [{ title: 'Basics', path: BASICS }, { title: 'Networking', path: NETWORKING }] },
+        { title: 'Part II', chapters: [{ title: 'Caching', path: CACHING }, { title: 'Sharding', path: SHARDING }] }
+    ]
+};
+
+const CROSS_REFERENCES = {
+    learningPaths: {
+        scaling: { name: 'Scaling', chapters: [CACHING, SHARDING] }
+    },
+    prerequisites: {
+        [SHARDING]: [NETWORKING]
+    },
+    crossReferences: {
+        concepts: {
+            Replication: { mainLocation: 'part-i/chapter-01-basics/02-replication.md', relatedTopics: [SHARDING] }
+        }
+    }
+};
+
+const progressOf = (chaptersRead, learningPath = null) => ({ chaptersRead, learningPath });
+
+test('getPathProgress counts read chapters by page key', () => {
+    const path = CROSS_REFERENCES.learningPaths.scaling;
+
+    assert.deepEqual(LearningPaths.getPathProgress(path, progressOf(['/part-ii/chapter-03-caching/'])), {
+        total: 2,
+        read: 1,
+        percent: 50,
+        chapters: [
+            { path: CACHING, key: 'part-ii/chapter-03-caching/README', read: true },
+            { path: SHARDING, key: 'part-ii/chapter-04-sharding/README', read: false }
+        ],
+        nextChapter: SHARDING
+    });
+});
+
+test('getPathProgress of a finished or empty path', () => {
+    const finished = LearningPaths.getPathProgress(CROSS_REFERENCES.learningPaths.scaling, progressOf([CACHING, SHARDING]));
+    assert.equal(finished.percent, 100);
+    assert.equal(finished.nextChapter, null);
+
+    const empty = LearningPaths.getPathProgress({ chapters: [] }, progressOf([]));
+    assert.deepEqual([empty.total, empty.percent, empty.nextChapter], [0, 0, null]);
+});
+
+test('recommend lists unread prerequisites of the current chapter first', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([]),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY,
+        currentPath: 'part-ii/chapter-04-sharding/01-keys.md'
+    });
+
+    assert.deepEqual(recommendations[0], { path: NETWORKING, reason: 'prerequisite' });
+});
+
+test('recommend skips prerequisites already read', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([NETWORKING]),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY,
+        currentPath: SHARDING
+    });
+
+    assert.ok(recommendations.every(item => item.reason !== 'prerequisite'));
+});
+
+test('recommend gives the next chapter of the enrolled path, after its prerequisites', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([CACHING], { key: 'scaling' }),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY
+    });
+
+    assert.deepEqual(recommendations.slice(0, 2), [
+        { path: NETWORKING, reason: 'prerequisite', pathKey: 'scaling' },
+        { path: SHARDING, reason: 'next-in-path', pathKey: 'scaling' }
+    ]);
+});
+
+test('recommend gives the next unread chapter in the book after the current one', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([NETWORKING]),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY,
+        currentPath: NETWORKING
+    });
+
+    assert.deepEqual(recommendations, [{ path: CACHING, reason: 'next-in-book' }]);
+});
+
+test('recommend continues the book after the last chapter read without a current page', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([BASICS, CACHING]),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY
+    });
+
+    assert.deepEqual(recommendations, [{ path: SHARDING, reason: 'next-in-book' }]);
+});
+
+test('recommend gives unread chapters related to the current chapter\'s concepts', () => {
+    const recommendations = LearningPaths.recommend({
+        progress: progressOf([NETWORKING]),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY,
+        currentPath: '/part-i/chapter-01-basics/02-replication.html'
+    });
+
+    assert.deepEqual(recommendations, [
+        { path: CACHING, reason: 'next-in-book' },
+        { path: 'part-ii/chapter-04-sharding/README.md', reason: 'related' }
+    ]);
+});
+
+test('recommend lists each chapter once, never the current or a read one, up to the limit', () => {
+    const context = {
+        progress: progressOf([CACHING], 'scaling'),
+        crossReferences: CROSS_REFERENCES,
+        summary: SUMMARY,
+        currentPath: BASICS
+    };
+    const keys = LearningPaths.recommend(context, { limit: 10 }).map(item => LearningPaths.toPageKey(item.path));
+
+    assert.equal(new Set(keys).size, keys.length);
+    assert.ok(!keys.includes(LearningPaths.toPageKey(BASICS)));
+    assert.ok(!keys.includes(LearningPaths.toPageKey(CACHING)));
+    assert.equal(LearningPaths.recommend(context, { limit: 1 }).length, 1);
+});
+
+test('recommend with no progress or data returns nothing', () => {
+    assert.deepEqual(LearningPaths.recommend(), []);
+});
@@ -0,0 +1,39 @@
+/**
+ * Page Paths Tests
+ * Page keys, chapter keys and site URLs of page-paths.js for book paths and
+ * the URLs HonKit builds them at.
+ *
+ *   node --test test/page-paths.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PagePaths = require('../page-paths');
+
+test('toPageKey gives book paths and their site URLs the same key', () => {
+    const same = [
+        ['part-i/chapter-01/README.md', '/part-i/chapter-01/', '/part-i/chapter-01/index.html'],
+        ['part-i/chapter-01/02-caching.md', '/part-i/chapter-01/02-caching.html?q=x#read-path', '/part-i/chapter-01/02-caching.html'],
+        ['README.md', '/', '/index.html']
+    ];
+
+    same.forEach(paths => {
+        assert.equal(new Set(paths.map(path => PagePaths.toPageKey(path))).size, 1, paths.join(', '));
+    });
+    assert.equal(PagePaths.toPageKey('/part-i/chapter-01/'), 'part-i/chapter-01/README');
+    assert.equal(PagePaths.toPageKey('README.md'), 'README');
+});
+
+test('toChapterKey gives the README of the page\'s directory', () => {
+    assert.equal(PagePaths.toChapterKey('part-i/chapter-01/02-caching.md'), 'part-i/chapter-01/README');
+    assert.equal(PagePaths.toChapterKey('/part-i/chapter-01/'), 'part-i/chapter-01/README');
+    assert.equal(PagePaths.toChapterKey('GLOSSARY.md'), 'README');
+});
+
+test('toHref gives the URL HonKit builds a page at', () => {
+    assert.equal(PagePaths.toHref('part-i/chapter-01/README.md'), '/part-i/chapter-01/');
+    assert.equal(PagePaths.toHref('part-i/chapter-01/02-caching.md'), '/part-i/chapter-01/02-caching.html');
+    assert.equal(PagePaths.toHref('/part-i/chapter-01/02-caching.html#read-path'), '/part-i/chapter-01/02-caching.html');
+    assert.equal(PagePaths.toHref('README.md'), '/');
+    assert.equal(PagePaths.toHref('GLOSSARY.md'), '/GLOSSARY.html');
+});
@@ -0,0 +1,144 @@
+/**
+ * Progress Schema Tests
+ * Migrations of older progress formats, load() checks, chapter mastery and
+ * merge() of progress-schema.js.
+ *
+ *   node --test test/progress-schema.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ProgressSchema = require('../progress-schema');
+
+const CHAPTER = 'part-i/chapter-01-basics/README';
+const OTHER_CHAPTER = 'part-i/chapter-02-scaling/README';
+
+// Progress as exported before schemaVersion existed
+const VERSION_1 = {
+    version: '1.0',
+    exportDate: '2024-01-10T09:00:00.000Z',
+    chaptersRead: ['part-i/chapter-01-basics/README.md'],
+    bookmarks: [{ path: 'part-i/chapter-01-basics/01-caching.md', title: 'Caching' }],
+    learningPath: 'beginner',
+    lastVisited: { path: '/part-i/chapter-01-basics/01-caching.html', timestamp: '2024-01-10T08:00:00.000Z' }
+};
+
+// Empty current-version progress with the given fields replaced
+const progressWith = (fields = {}) => ({ ...ProgressSchema.migrate({}), ...fields });
+
+const objective = (met, updatedAt = null) => ({ text: 'Objective', page: 'page.md', anchor: null, met, updatedAt });
+const concept = (rating, updatedAt = null) => ({ text: 'Concept', page: 'page.md', anchor: null, rating, updatedAt });
+
+test('getVersion treats data without schemaVersion as version 1', () => {
+    assert.equal(ProgressSchema.getVersion(VERSION_1), 1);
+    assert.equal(ProgressSchema.getVersion({ schemaVersion: 3 }), 3);
+});
+
+test('there is a migration from every older version', () => {
+    for (let version = 1; version < ProgressSchema.currentVersion; version++) {
+        assert.equal(typeof ProgressSchema.migrations[version], 'function', `migration from version ${version}`);
+    }
+});
+
+test('migration 1 fills in every field, wraps the learning path and completes bookmarks', () => {
+    const migrated = ProgressSchema.migrations[1](VERSION_1);
+
+    assert.equal(migrated.schemaVersion, 2);
+    assert.equal(migrated.version, undefined);
+    assert.equal(migrated.exportDate, undefined);
+    assert.deepEqual(migrated.learningPath, { key: 'beginner', enrolledAt: null });
+    assert.deepEqual(migrated.bookmarks, [{ path: 'part-i/chapter-01-basics/01-caching.md', title: 'Caching', note: '', timestamp: null }]);
+    assert.deepEqual(migrated.chaptersRead, VERSION_1.chaptersRead);
+    ['sectionsRead', 'chaptersMastered'].forEach(field => assert.deepEqual(migrated[field], []));
+    ['quizResults', 'checkpoints', 'reviews', 'preferences'].forEach(field => assert.deepEqual(migrated[field], {}));
+});
+
+test('migration 2 adds an empty reading log', () => {
+    const migrated = ProgressSchema.migrations[2]({ schemaVersion: 2, readingTime: 5 });
+    assert.deepEqual(migrated, { schemaVersion: 3, readingTime: 5, readingLog: { pages: {}, chapters: {}, days: {} } });
+});
+
+test('migration 3 starts the recent pages from the last page visited', () => {
+    assert.deepEqual(ProgressSchema.migrations[3]({ schemaVersion: 3, lastVisited: VERSION_1.lastVisited }).recentPages, [
+        { path: '/part-i/chapter-01-basics/01-caching.html', title: null, timestamp: '2024-01-10T08:00:00.000Z' }
+    ]);
+    assert.deepEqual(ProgressSchema.migrations[3]({ schemaVersion: 3, lastVisited: null }).recentPages, []);
+});
+
+test('load upgrades version 1 progress to a valid current version', () => {
+    const { progress, fromVersion, errors } = ProgressSchema.load(JSON.stringify(VERSION_1));
+
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 1);
+    assert.equal(progress.schemaVersion, ProgressSchema.currentVersion);
+    assert.deepEqual(ProgressSchema.validate(progress), []);
+});
+
+test('load leaves current progress as it is, without export fields', () => {
+    const current = { ...progressWith({ chaptersRead: ['a/README.md'] }), exportDate: '2024-01-10T09:00:00.000Z' };
+    const { progress, fromVersion } = ProgressSchema.load(current);
+
+    assert.equal(fromVersion, ProgressSchema.currentVersion);
+    assert.equal(progress.exportDate, undefined);
+    assert.deepEqual(progress.chaptersRead, ['a/README.md']);
+});
+
+test('load rejects files that are not progress', () => {
+    assert.match(ProgressSchema.load('{ not json').errors[0], /^Not a JSON file/);
+    assert.deepEqual(ProgressSchema.load('[]').errors, ['progress: must be a JSON object']);
+    assert.match(ProgressSchema.load({ schemaVersion: ProgressSchema.currentVersion + 1 }).errors[0], /newer version of the book/);
+
+    const { progress, errors } = ProgressSchema.load({ ...progressWith(), chaptersRead: 'all' });
+    assert.equal(progress, null);
+    assert.ok(errors.some(error => error.startsWith('chaptersRead: ')), errors.join('\n'));
+});
+
+test('getCheckpointMastery needs every objective met and every concept rated highly enough', () => {
+    const checkpoint = { objectives: { a: objective(true), b: objective(false) }, concepts: { c: concept(3) } };
+    const mastery = ProgressSchema.getCheckpointMastery(checkpoint, 4);
+
+    assert.deepEqual([mastery.objectives, mastery.met, mastery.concepts, mastery.confident], [2, 1, 1, 0]);
+    assert.deepEqual([mastery.unmet.map(item => item.id), mastery.needsReview.map(item => item.id)], [['b'], ['c']]);
+    assert.equal(mastery.mastered, false);
+    assert.equal(ProgressSchema.getCheckpointMastery({ objectives: { a: objective(true) }, concepts: { c: concept(4) } }, 4).mastered, true);
+    assert.equal(ProgressSchema.getCheckpointMastery(undefined, 4).mastered, false);
+});
+
+test('merge unites pages read and keeps the newest entries', () => {
+    const local = progressWith({
+        chaptersRead: ['a/README.md'],
+        bookmarks: [{ path: 'a/x.md', title: 'Old', note: '', timestamp: '2024-01-01T00:00:00.000Z' }],
+        readingTime: 100
+    });
+    const incoming = progressWith({
+        chaptersRead: ['/a/', 'b/README.md'],
+        bookmarks: [{ path: 'a/x.md', title: 'New', note: '', timestamp: '2024-01-02T00:00:00.000Z' }],
+        readingTime: 50
+    });
+    const toKey = path => path.replace(/^\/|README\.md$/g, '');
+    const merged = ProgressSchema.merge(local, incoming, { getPageKey: toKey });
+
+    assert.deepEqual(merged.chaptersRead, ['a/README.md', 'b/README.md']);
+    assert.deepEqual(merged.bookmarks.map(bookmark => bookmark.title), ['New']);
+    assert.equal(merged.readingTime, 100);
+    assert.deepEqual(ProgressSchema.merge(merged, incoming, { getPageKey: toKey }), merged);
+});
+
+test('merge works out mastered chapters from the merged checkpoints', () => {
+    // Mastered here, but the other browser has since unticked an objective
+    const local = progressWith({
+        chaptersMastered: [CHAPTER],
+        checkpoints: { [CHAPTER]: { objectives: { a: objective(true, '2024-01-01T00:00:00.000Z') }, concepts: {} } }
+    });
+    // Lists nothing as mastered, though its answers master the other chapter
+    const incoming = progressWith({
+        chaptersMastered: [],
+        checkpoints: {
+            [CHAPTER]: { objectives: { a: objective(false, '2024-01-02T00:00:00.000Z') }, concepts: {} },
+            [OTHER_CHAPTER]: { objectives: { b: objective(true) }, concepts: { c: concept(5) } }
+        }
+    });
+
+    assert.deepEqual(ProgressSchema.merge(local, incoming).chaptersMastered, [OTHER_CHAPTER]);
+    assert.deepEqual(ProgressSchema.merge(local, incoming, { masteryRating: 6 }).chaptersMastered, []);
+});
@@ -0,0 +1,111 @@
+/**
+ * Review Scheduler Tests
+ * SM-2 scheduling, grade checks, the daily queue and card building of
+ * review-scheduler.js.
+ *
+ *   node --test test/review-scheduler.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// review-scheduler.js and learning-paths.js expect their dependencies as globals, as in the browser
+global.PagePaths = require('../page-paths');
+global.LearningPaths = require('../learning-paths');
+const ReviewScheduler = require('../review-scheduler');
+
+const NOW = new Date(2024, 0, 15, 10, 30);
+const dayAfter = (date, days) => new Date(ReviewScheduler.startOfDay(date).getTime() + days * ReviewScheduler.dayMs).toISOString();
+
+// Schedule a card through several grades, a day apart
+function reviewAll(qualities) {
+    return qualities.reduce((entry, quality, index) =>
+        ReviewScheduler.schedule(entry, quality, new Date(NOW.getTime() + index * ReviewScheduler.dayMs)), null);
+}
+
+test('schedule a new card recalled well: due the next day', () => {
+    assert.deepEqual(ReviewScheduler.schedule(null, 4, NOW), {
+        ease: 2.5,
+        interval: 1,
+        repetitions: 1,
+        lapses: 0,
+        due: dayAfter(NOW, 1),
+        lastReviewed: NOW.toISOString(),
+        firstReviewed: NOW.toISOString()
+    });
+});
+
+test('schedule intervals grow 1, 6, then by the previous ease', () => {
+    assert.deepEqual([reviewAll([5]), reviewAll([5, 5]), reviewAll([5, 5, 5])].map(entry => entry.interval), [1, 6, 16]);
+    assert.equal(reviewAll([5, 5, 5]).ease, 2.8);
+});
+
+test('schedule a forgotten card: starts over, counts a lapse and keeps the first review date', () => {
+    const entry = reviewAll([4, 4, 1]);
+
+    assert.equal(entry.repetitions, 0);
+    assert.equal(entry.interval, 1);
+    assert.equal(entry.lapses, 1);
+    assert.equal(entry.firstReviewed, NOW.toISOString());
+});
+
+test('schedule never lowers the ease below the minimum', () => {
+    assert.equal(reviewAll([0, 0, 0, 0, 0, 0]).ease, ReviewScheduler.minEase);
+});
+
+test('schedule rejects grades that are not an integer from 0 to 5', () => {
+    [undefined, null, NaN, '4', 4.5, -1, 6, Infinity].forEach(quality => {
+        assert.throws(() => ReviewScheduler.schedule(null, quality, NOW), RangeError, `quality ${String(quality)}`);
+    });
+    [0, 5].forEach(quality => assert.ok(ReviewScheduler.isValidQuality(quality)));
+});
+
+test('isDue is true from the start of the due day', () => {
+    const entry = ReviewScheduler.schedule(null, 4, NOW);
+
+    assert.equal(ReviewScheduler.isDue(entry, NOW), false);
+    assert.equal(ReviewScheduler.isDue(entry, new Date(2024, 0, 16, 0, 0)), true);
+    assert.equal(ReviewScheduler.isDue({}, NOW), true);
+});
+
+test('getQueue lists due cards oldest first, then new cards up to the daily limit', () => {
+    const cards = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id }));
+    const reviews = {
+        a: { due: dayAfter(NOW, 1), firstReviewed: '2024-01-01T00:00:00.000Z' },
+        b: { due: dayAfter(NOW, -2), firstReviewed: '2024-01-01T00:00:00.000Z' },
+        c: { due: dayAfter(NOW, 0), firstReviewed: NOW.toISOString() }
+    };
+
+    const queue = ReviewScheduler.getQueue(cards, reviews, { now: NOW, newPerDay: 2 });
+    assert.deepEqual(queue, [{ id: 'b' }, { id: 'c' }, { id: 'd', isNew: true }]);
+});
+
+test('buildCards makes cards from answered quizzes and from concepts and terms of read pages', () => {
+    const cards = ReviewScheduler.buildCards({
+        crossReferences: {
+            crossReferences: {
+                concepts: {
+                    Caching: { mainLocation: 'part-i/chapter-01-basics/01-caching.md', definition: 'Keeping copies close' },
+                    Sharding: { mainLocation: 'part-ii/chapter-04-sharding/README.md', definition: 'Splitting data' }
+                }
+            }
+        },
+        glossary: [
+            { term: 'caching', definition: 'Duplicate of a concept', mainLocation: 'part-i/chapter-01-basics/01-caching.md' },
+            { term: 'TTL', definition: 'Time to live', mainLocation: 'GLOSSARY.md' },
+            { term: 'Shard key', definition: 'Key that picks a shard', mainLocation: 'part-ii/chapter-04-sharding/01-keys.md' }
+        ],
+        progress: {
+            chaptersRead: ['/part-i/chapter-01-basics/'],
+            quizResults: {
+                'part-i/chapter-01-basics/01-caching': {
+                    q1: { prompt: 'Where does a cache sit?', answer: 'In front of the database' },
+                    q2: { correct: true }
+                }
+            }
+        }
+    });
+
+    assert.deepEqual(cards.map(card => card.id), ['quiz:q1', 'concept:Caching', 'term:TTL']);
+    assert.equal(cards[0].source, 'part-i/chapter-01-basics/01-caching.md');
+});
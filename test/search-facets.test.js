@@ -0,0 +1,98 @@
+/**
+ * Search Facets Tests
+ * Facet values, filtering (OR within a facet, AND across facets), counts
+ * after filtering and the URL round trip of search-facets.js.
+ *
+ *   node --test test/search-facets.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchFacets = require('../search-facets');
+
+const FACETS = ['difficulty', 'topic', 'company'];
+
+const DOCUMENTS = [
+    { id: 'url-shortener', difficulty: 'Easy', tags: ['hashing'], category: 'storage', companies: ['Google'] },
+    { id: 'chat', difficulty: 'Medium', tags: ['websockets'], category: 'messaging', companies: ['Meta', 'Google'] },
+    { id: 'news-feed', difficulty: 'Medium', tags: ['caching', 'fan-out'], category: 'storage', companies: ['Meta'] },
+    { id: 'search', difficulty: 'Hard', tags: ['indexing'], category: 'storage', companies: [] },
+    { id: 'chapter', tags: [], category: null }
+];
+
+const ids = documents => documents.map(doc => doc.id);
+const countsOf = (facets, key) => Object.fromEntries(facets.find(facet => facet.key === key).values.map(({ value, count }) => [value, count]));
+
+test('getValues merges every field of a facet without duplicates or empty values', () => {
+    assert.deepEqual(SearchFacets.getValues(DOCUMENTS[2], 'topic'), ['caching', 'fan-out', 'storage']);
+    assert.deepEqual(SearchFacets.getValues(DOCUMENTS[4], 'topic'), []);
+    assert.deepEqual(SearchFacets.getValues({ part: 3 }, 'part'), ['3']);
+});
+
+test('values of one facet are combined with OR', () => {
+    assert.deepEqual(ids(SearchFacets.applyFilters(DOCUMENTS, { difficulty: ['Easy', 'Hard'] })), ['url-shortener', 'search']);
+});
+
+test('different facets are combined with AND', () => {
+    const filtered = SearchFacets.applyFilters(DOCUMENTS, { difficulty: ['Medium'], company: ['Google'] });
+    assert.deepEqual(ids(filtered), ['chat']);
+
+    const either = SearchFacets.applyFilters(DOCUMENTS, { difficulty: ['Easy', 'Medium'], topic: ['storage'], company: ['Meta', 'Google'] });
+    assert.deepEqual(ids(either), ['url-shortener', 'news-feed']);
+});
+
+test('no selection or an empty selection keeps every document', () => {
+    assert.equal(SearchFacets.applyFilters(DOCUMENTS, {}).length, DOCUMENTS.length);
+    assert.equal(SearchFacets.applyFilters(DOCUMENTS, { difficulty: [] }).length, DOCUMENTS.length);
+});
+
+test('counts without a selection cover every document, most common first', () => {
+    const facets = SearchFacets.computeFacets(DOCUMENTS, FACETS);
+
+    assert.deepEqual(facets.find(facet => facet.key === 'difficulty').values.map(value => value.value), ['Medium', 'Easy', 'Hard']);
+    assert.deepEqual(countsOf(facets, 'company'), { Google: 2, Meta: 2 });
+    assert.equal(countsOf(facets, 'topic').storage, 3);
+});
+
+test('counts after filtering follow the other facets but not the facet\'s own selection', () => {
+    const facets = SearchFacets.computeFacets(DOCUMENTS, FACETS, { company: ['Meta'] });
+
+    // Other facets only count Meta's problems
+    assert.deepEqual(countsOf(facets, 'difficulty'), { Medium: 2 });
+    assert.deepEqual(countsOf(facets, 'topic'), { storage: 1, messaging: 1, websockets: 1, caching: 1, 'fan-out': 1 });
+    // The selected facet still offers its other values, to OR them in
+    assert.deepEqual(countsOf(facets, 'company'), { Google: 2, Meta: 2 });
+    assert.deepEqual(facets.find(facet => facet.key === 'company').values.filter(value => value.active).map(value => value.value), ['Meta']);
+});
+
+test('counts with several facets selected apply every other facet together', () => {
+    const facets = SearchFacets.computeFacets(DOCUMENTS, FACETS, { difficulty: ['Medium'], topic: ['storage'] });
+
+    assert.deepEqual(countsOf(facets, 'company'), { Meta: 1 });
+    assert.deepEqual(countsOf(facets, 'difficulty'), { Easy: 1, Hard: 1, Medium: 1 });
+    assert.equal(countsOf(facets, 'topic').messaging, 1);
+});
+
+test('a selected value with no matches stays listed with a zero count', () => {
+    const facets = SearchFacets.computeFacets(DOCUMENTS, FACETS, { difficulty: ['Hard'], company: ['Meta'] });
+
+    assert.deepEqual(facets.find(facet => facet.key === 'company').values.find(value => value.value === 'Meta'), { value: 'Meta', count: 0, active: true });
+    assert.equal(facets.some(facet => facet.key === 'topic'), false, 'facets without values are left out');
+});
+
+test('toggleValue adds and removes values without changing its input', () => {
+    const active = { difficulty: ['Easy'] };
+
+    assert.deepEqual(SearchFacets.toggleValue(active, 'difficulty', 'Hard'), { difficulty: ['Easy', 'Hard'] });
+    assert.deepEqual(SearchFacets.toggleValue(active, 'difficulty', 'Easy'), {});
+    assert.deepEqual(active, { difficulty: ['Easy'] });
+});
+
+test('the query and selection round-trip through the query string, keeping other parameters', () => {
+    const activeFacets = { difficulty: ['Easy', 'Medium'], company: ['Meta & Co'] };
+    const search = SearchFacets.toQueryString('cache', activeFacets, FACETS, '?lang=en&difficulty=Hard');
+
+    assert.equal(search, '?lang=en&q=cache&difficulty=Easy&difficulty=Medium&company=Meta+%26+Co');
+    assert.deepEqual(SearchFacets.fromQueryString(search, FACETS), { query: 'cache', activeFacets });
+    assert.equal(SearchFacets.toQueryString('', {}, FACETS), '');
+});
@@ -0,0 +1,126 @@
+/**
+ * Search Query Tests
+ * Stemming, typo tolerance, synonym expansion and tokenizing of
+ * search-query.js, ranked through search-ranking.js.
+ *
+ *   node --test test/search-query.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchQuery = require('../search-query');
+const SearchRanking = require('../search-ranking');
+
+const tokenize = text => SearchRanking.tokenize(text);
+const normalize = SearchQuery.getNormalizer();
+
+const SYNONYMS = {
+    manual: [['LB', 'load balancer', 'load balancing'], ['consistent hashing', 'hash ring']],
+    glossary: [['CDN', 'Content Delivery Network']]
+};
+
+// Index the documents and parse the query the way EnhancedSearch does
+function search(documents, query, options = {}) {
+    const rankingIndex = SearchRanking.buildRankingIndex(documents, { normalizeToken: SearchQuery.getNormalizer(options) });
+    const parsedQuery = SearchQuery.parseQuery(query, {
+        tokenize,
+        vocabulary: rankingIndex.documentFrequency,
+        synonymMap: SearchQuery.buildSynonymMap(SYNONYMS, tokenize, SearchQuery.getNormalizer(options)),
+        options
+    });
+    return SearchRanking.rankDocuments(rankingIndex, parsedQuery).map(result => result.doc.id);
+}
+
+test('stem brings inflections of a word together', () => {
+    const groups = [
+        ['cache', 'caches', 'caching', 'cached'],
+        ['shard', 'shards', 'sharding', 'sharded'],
+        ['query', 'queries'],
+        ['index', 'indexes'],
+        ['run', 'running']
+    ];
+
+    groups.forEach(words => {
+        assert.equal(new Set(words.map(word => SearchQuery.stem(word))).size, 1, words.join(', '));
+    });
+});
+
+test('stem keeps distinct words and short or numbered tokens apart', () => {
+    assert.notEqual(SearchQuery.stem('caching'), SearchQuery.stem('cash'));
+    assert.notEqual(SearchQuery.stem('status'), SearchQuery.stem('state'));
+    ['status', 'analysis', 'process', 'api', 'tcp', 'http2', 's3'].forEach(word => {
+        assert.equal(SearchQuery.stem(word), word);
+    });
+});
+
+test('a stemmed query finds every form of the word', () => {
+    const documents = [{ id: 'cache', title: 'Caching strategies' }, { id: 'other', title: 'Consensus' }];
+
+    assert.deepEqual(search(documents, 'cached'), ['cache']);
+    assert.deepEqual(search(documents, 'cached', { stemming: false }), []);
+});
+
+test('typos within the edit threshold match the indexed word', () => {
+    const vocabulary = new Map([['consistent', 1], ['consensus', 1], ['cache', 1]]);
+
+    assert.deepEqual(SearchQuery.findFuzzyMatches('consistant', vocabulary.keys(), 3), [{ term: 'consistent', distance: 1 }]);
+    assert.deepEqual(search([{ id: 'cap', title: 'Consistent reads' }], 'consistant'), ['cap']);
+    assert.deepEqual(search([{ id: 'cap', title: 'Consistent reads' }], 'consistant', { fuzzySearch: false }), []);
+});
+
+test('the edit threshold grows with the word and short words must match exactly', () => {
+    assert.deepEqual(['cash', 'redis', 'replicas', 'consistency'].map(term => SearchQuery.maxEditsFor(term)), [0, 1, 2, 2]);
+    assert.deepEqual(SearchQuery.findFuzzyMatches('cash', ['cach'], 3), []);
+    assert.deepEqual(SearchQuery.findFuzzyMatches('redos', ['rediss', 'redis'], 3), [{ term: 'redis', distance: 1 }]);
+    assert.deepEqual(SearchQuery.findFuzzyMatches('reddis', ['kedis'], 3), [], 'first letter must match');
+});
+
+test('a fuzzy match scores below an exact match', () => {
+    const parsed = SearchQuery.parseQuery('consistant', { tokenize, vocabulary: new Map([['consistent', 1]]) });
+
+    assert.deepEqual(parsed.clauses, [[
+        { terms: ['consistant'], weight: 1 },
+        { terms: ['consistent'], weight: SearchQuery.defaults.fuzzyWeight }
+    ]]);
+    assert.deepEqual(SearchQuery.parseQuery('consistent', { tokenize, vocabulary: new Map([['consistent', 1]]) }).clauses,
+        [[{ terms: ['consistent'], weight: 1 }]]);
+});
+
+test('synonyms and acronyms expand to the other phrases of their group', () => {
+    const synonymMap = SearchQuery.buildSynonymMap(SYNONYMS, tokenize, normalize);
+    const [clause] = SearchQuery.parseQuery('LB', { tokenize, synonymMap }).clauses;
+
+    assert.deepEqual(clause, [
+        { terms: ['lb'], weight: 1 },
+        { terms: ['load', 'balancer'], weight: SearchQuery.defaults.synonymWeight },
+        { terms: ['load', 'balanc'], weight: SearchQuery.defaults.synonymWeight }
+    ]);
+    assert.ok(synonymMap.get('load balanc').has('lb'));
+});
+
+test('the longest synonym phrase is one clause and the rest of the query stays separate', () => {
+    const synonymMap = SearchQuery.buildSynonymMap(SYNONYMS, tokenize, normalize);
+    const { clauses } = SearchQuery.parseQuery('consistent hashing ring', { tokenize, synonymMap });
+
+    assert.deepEqual(clauses, [
+        [{ terms: ['consistent', 'hash'], weight: 1 }, { terms: ['hash', 'ring'], weight: SearchQuery.defaults.synonymWeight }],
+        [{ terms: ['ring'], weight: 1 }]
+    ]);
+});
+
+test('a synonym query finds pages using only the other phrase', () => {
+    const documents = [{ id: 'cdn', title: 'Content delivery networks' }, { id: 'dns', title: 'Domain names' }];
+
+    assert.deepEqual(search(documents, 'CDN'), ['cdn']);
+    assert.deepEqual(search(documents, 'CDN', { synonyms: false }), []);
+});
+
+test('tokens keep trailing + and # so C++ and C# are not C', () => {
+    assert.deepEqual(tokenize('C++ vs C# vs C, in node.js'), ['c++', 'vs', 'c#', 'vs', 'c', 'in', 'node', 'js']);
+    assert.deepEqual(tokenize('+++ ###'), []);
+
+    const documents = [{ id: 'cpp', title: 'C++ services' }, { id: 'csharp', title: 'C# services' }, { id: 'c', title: 'C services' }];
+    assert.deepEqual(search(documents, 'c++'), ['cpp']);
+    assert.deepEqual(search(documents, 'C#'), ['csharp']);
+    assert.deepEqual(search(documents, 'c'), ['c']);
+});
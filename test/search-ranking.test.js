@@ -0,0 +1,71 @@
+/**
+ * Search Ranking Tests
+ * BM25F ordering, field weights, phrase boost and tie-breaking of
+ * search-ranking.js on a small fixture index.
+ *
+ *   node --test test/search-ranking.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchRanking = require('../search-ranking');
+
+// Same field lengths everywhere, so only where a term occurs decides the score
+const doc = (id, title, headings, content) => ({ id, title, headings, content });
+
+const DOCUMENTS = [
+    doc('body', 'data guide', ['layout notes'], 'split rows by sharding across servers'),
+    doc('heading', 'data guide', ['sharding layout'], 'split rows evenly across many servers'),
+    doc('title', 'sharding guide', ['layout notes'], 'split rows evenly across many servers'),
+    doc('unrelated', 'cache guide', ['layout notes'], 'keep hot rows close to readers')
+];
+
+const rank = (documents, query, options) =>
+    SearchRanking.rankDocuments(SearchRanking.buildRankingIndex(documents), query, options).map(result => result.doc.id);
+
+test('rankDocuments returns only matching documents, best first', () => {
+    const results = SearchRanking.rankDocuments(SearchRanking.buildRankingIndex(DOCUMENTS), 'sharding');
+
+    assert.deepEqual(results.map(result => result.doc.id), ['title', 'heading', 'body']);
+    assert.ok(results.every((result, index) => index === 0 || results[index - 1].score > result.score));
+});
+
+test('a match in the title outweighs a heading, and a heading outweighs the body', () => {
+    assert.deepEqual(rank(DOCUMENTS, 'Sharding'), ['title', 'heading', 'body']);
+    assert.deepEqual(rank(DOCUMENTS, 'sharding', { limit: 1 }), ['title']);
+});
+
+test('field weights can be changed per index', () => {
+    const index = SearchRanking.buildRankingIndex(DOCUMENTS, { fieldWeights: { title: 1, content: 4 } });
+    assert.deepEqual(SearchRanking.rankDocuments(index, 'sharding').map(result => result.doc.id), ['body', 'heading', 'title']);
+});
+
+test('documents with more of the query terms rank higher', () => {
+    assert.deepEqual(rank(DOCUMENTS, 'hot readers sharding'), ['unrelated', 'title', 'heading', 'body']);
+});
+
+test('the words of the query next to each other earn the phrase boost', () => {
+    const documents = [
+        doc('cache-write', 'notes', [], 'the layer behind a cache write sits through'),
+        doc('write-cache', 'notes', [], 'the layer behind a write cache sits through')
+    ];
+
+    // Same terms and lengths: only the order of "write" and "cache" differs
+    assert.deepEqual(rank(documents, 'write cache'), ['write-cache', 'cache-write']);
+    assert.deepEqual(rank(documents, 'cache write'), ['cache-write', 'write-cache']);
+});
+
+test('equal scores keep index order, then fall back to the document id', () => {
+    const twin = id => doc(id, 'replication', [], 'copies of data on several nodes');
+    const documents = [twin('b'), twin('a'), doc('other', 'consensus', [], 'nodes agree on a value')];
+
+    assert.deepEqual(rank(documents, 'replication'), ['b', 'a']);
+    assert.ok(SearchRanking.compareResults({ doc: { id: 'a' }, score: 1, position: 0 }, { doc: { id: 'b' }, score: 1, position: 0 }) < 0);
+    assert.ok(SearchRanking.compareResults({ doc: { id: 'a' }, score: 1, position: 0 }, { doc: { id: 'b' }, score: 2, position: 1 }) > 0);
+});
+
+test('an empty or symbol-only query matches nothing', () => {
+    assert.deepEqual(rank(DOCUMENTS, ''), []);
+    assert.deepEqual(rank(DOCUMENTS, '  --- '), []);
+    assert.deepEqual(rank([], 'sharding'), []);
+});
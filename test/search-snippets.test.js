@@ -0,0 +1,83 @@
+/**
+ * Search Snippets Tests
+ * Snippet windows and boundaries, multi-term highlighting and HTML escaping
+ * of search-snippets.js.
+ *
+ *   node --test test/search-snippets.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchSnippets = require('../search-snippets');
+
+const ELLIPSIS = SearchSnippets.defaults.ellipsis;
+const filler = (word, count) => Array(count).fill(word).join(' ');
+
+test('short content is returned whole with whitespace collapsed', () => {
+    assert.equal(SearchSnippets.buildSnippet('  Caching\n\n keeps   copies ', ['cach']), 'Caching keeps copies');
+    assert.equal(SearchSnippets.buildSnippet(null, ['cach']), '');
+});
+
+test('a long text without matches starts at the beginning and ends on a word boundary', () => {
+    const text = filler('lorem', 100);
+    const snippet = SearchSnippets.buildSnippet(text, ['shard'], { maxLength: 40 });
+
+    assert.ok(!snippet.startsWith(ELLIPSIS));
+    assert.ok(snippet.endsWith(`lorem${ELLIPSIS}`), snippet);
+    assert.ok(snippet.length <= 40 + ELLIPSIS.length);
+});
+
+test('the snippet window starts shortly before the match and snaps to whole words', () => {
+    const text = `${filler('alpha', 40)} the shard key decides placement ${filler('omega', 40)}`;
+    const snippet = SearchSnippets.buildSnippet(text, ['shard'], { maxLength: 60, contextBefore: 13 });
+
+    assert.ok(snippet.startsWith(ELLIPSIS) && snippet.endsWith(ELLIPSIS), snippet);
+    assert.match(snippet, /^…alpha the shard key decides placement omega/);
+
+    const words = snippet.slice(ELLIPSIS.length, -ELLIPSIS.length).split(' ');
+    assert.ok(words.every(word => ['alpha', 'omega', 'the', 'shard', 'key', 'decides', 'placement'].includes(word)), snippet);
+});
+
+test('the window with the most distinct query terms wins', () => {
+    const text = [
+        'replication appears here first.',
+        filler('filler', 40),
+        'replication and sharding together.',
+        filler('filler', 40)
+    ].join(' ');
+    const snippet = SearchSnippets.buildSnippet(text, ['replicat', 'shard'], { maxLength: 80, contextBefore: 10 });
+
+    assert.match(snippet, /replication and sharding together/);
+    assert.doesNotMatch(snippet, /appears here first/);
+});
+
+test('highlighting marks every term, whole words from stemmed prefixes and longest terms first', () => {
+    const segments = SearchSnippets.highlightSegments('Caching and cache-aside beat load balancing', ['cach', 'load', 'load balanc', 'balanc']);
+
+    assert.deepEqual(segments.filter(segment => segment.highlighted).map(segment => segment.text), ['Caching', 'cache-aside', 'load balancing']);
+    assert.equal(segments.map(segment => segment.text).join(''), 'Caching and cache-aside beat load balancing');
+    assert.deepEqual(SearchSnippets.highlightSegments('No terms here', ['x', '']), [{ text: 'No terms here', highlighted: false }]);
+});
+
+test('matches only start at word boundaries', () => {
+    assert.deepEqual(SearchSnippets.findMatches('rehash and hashing', ['hash']).map(match => match.term), ['hashing']);
+});
+
+test('highlightHtml escapes the matched and the surrounding text', () => {
+    assert.equal(
+        SearchSnippets.highlightHtml('Use <script>alert("x")</script> & "scripts" \'safely\'', ['script', 'safe']),
+        'Use &lt;<mark>script</mark>&gt;alert(&quot;x&quot;)&lt;/<mark>script</mark>&gt; &amp; &quot;<mark>scripts</mark>&quot; &#39;<mark>safely</mark>&#39;'
+    );
+});
+
+test('terms with regex characters are matched literally', () => {
+    assert.equal(SearchSnippets.highlightHtml('C++ and C# and (c)', ['c++', 'c#', '(c']), '<mark>C++</mark> and <mark>C#</mark> and (c)');
+    assert.equal(SearchSnippets.buildTermPattern(['a.b']).test('axb'), false);
+});
+
+test('getQueryTerms lists the terms of every alternative', () => {
+    const parsedQuery = { clauses: [[{ terms: ['lb'], weight: 1 }, { terms: ['load', 'balanc'], weight: 0.8 }], [{ terms: ['cach'], weight: 1 }]] };
+
+    assert.deepEqual(SearchSnippets.getQueryTerms(parsedQuery), ['lb', 'load', 'balanc', 'cach']);
+    assert.deepEqual(SearchSnippets.getQueryTerms({}), []);
+});
@@ -0,0 +1,120 @@
+/**
+ * Search Suggestions Tests
+ * Completion ranking, recent and popular queries and search history
+ * merging of search-suggestions.js.
+ *
+ *   node --test test/search-suggestions.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchSuggestions = require('../search-suggestions');
+
+const SOURCE = SearchSuggestions.buildSource({
+    crossReferences: {
+        crossReferences: {
+            concepts: { 'Cache Invalidation': { mainLocation: 'a.md' }, 'Write-Through Cache': { mainLocation: 'b.md' } },
+            technologies: { Cassandra: { mainLocation: 'c.md' } },
+            patterns: { 'Cache-Aside': { mainLocation: 'd.md' } }
+        }
+    },
+    glossary: [{ term: 'Cache' }, { term: 'CAP Theorem' }, { term: 'cassandra' }],
+    documents: [{ title: 'Caching Strategies', path: 'e.md' }, { title: 'Distributed Cache', path: 'f.md' }]
+});
+
+const labels = items => items.map(item => item.label);
+const at = seconds => new Date(Date.UTC(2024, 0, 15, 10, 0, seconds)).toISOString();
+const search = (query, seconds, submitted = false, resultCount = 3) => ({ query, resultCount, timestamp: at(seconds), submitted });
+
+// Record searches oldest first, as EnhancedSearch does
+const record = (...entries) => entries.reduce((history, entry) => SearchSuggestions.addToHistory(history, entry), []);
+
+test('buildSource keeps the first label of each name, ignoring case', () => {
+    assert.deepEqual(SOURCE.find(item => item.label.toLowerCase() === 'cassandra'), { label: 'Cassandra', type: 'technology', path: 'c.md' });
+    assert.equal(SOURCE.filter(item => item.label.toLowerCase() === 'cassandra').length, 1);
+});
+
+test('matchRank prefers a label prefix to a later word and rejects the middle of a word', () => {
+    assert.equal(SearchSuggestions.matchRank('Cache Invalidation', 'cache'), 2);
+    assert.equal(SearchSuggestions.matchRank('Write-Through Cache', 'cache'), 1);
+    assert.equal(SearchSuggestions.matchRank('Write-Through Cache', 'through'), 1);
+    assert.equal(SearchSuggestions.matchRank('Write-Through Cache', 'ache'), 0);
+});
+
+test('completions rank label prefixes first, then by type, length and name', () => {
+    assert.deepEqual(labels(SearchSuggestions.getCompletions(SOURCE, ' Cach ')), [
+        'Cache Invalidation',
+        'Cache-Aside',
+        'Cache',
+        'Caching Strategies',
+        'Write-Through Cache',
+        'Distributed Cache'
+    ]);
+});
+
+test('completions stop at the limit and need some input', () => {
+    assert.deepEqual(labels(SearchSuggestions.getCompletions(SOURCE, 'ca', 2)), ['Cache Invalidation', 'Cassandra']);
+    assert.deepEqual(SearchSuggestions.getCompletions(SOURCE, '  '), []);
+});
+
+test('recent queries are distinct, newest first and filtered by what was typed', () => {
+    const history = [search('Kafka', 3), search('cache', 2), search('kafka ', 1), search('', 0)];
+
+    assert.deepEqual(labels(SearchSuggestions.getRecentQueries(history)), ['Kafka', 'cache']);
+    assert.deepEqual(labels(SearchSuggestions.getRecentQueries(history, 'ka')), ['Kafka']);
+});
+
+test('popular searches count repeats with results, ties going to the newest', () => {
+    const history = [search('sharding', 5), search('kafka', 4), search('none', 3, false, 0), search('Kafka', 2), search('none', 1, false, 0), search('sharding', 0)];
+
+    assert.deepEqual(SearchSuggestions.getPopularSearches(history), [
+        { label: 'sharding', type: 'popular', count: 2 },
+        { label: 'kafka', type: 'popular', count: 2 }
+    ]);
+});
+
+test('with no input the dropdown shows recent queries, then popular ones not already listed', () => {
+    const history = [search('kafka', 3), search('cache', 2), search('cache', 1), search('sharding', 0)];
+    const suggestions = SearchSuggestions.getSuggestions(SOURCE, history, '', { maxRecent: 1 });
+
+    assert.deepEqual(suggestions.map(item => [item.label, item.type]), [['kafka', 'recent'], ['cache', 'popular'], ['sharding', 'popular']]);
+});
+
+test('with input the dropdown shows matching recent queries before completions, without repeats', () => {
+    const suggestions = SearchSuggestions.getSuggestions(SOURCE, [search('cache', 0)], 'cache', { maxCompletions: 3 });
+
+    assert.deepEqual(suggestions.map(item => [item.label, item.type]), [['cache', 'recent'], ['Cache Invalidation', 'concept'], ['Cache-Aside', 'pattern']]);
+});
+
+test('a query typed on from one not yet submitted replaces it', () => {
+    assert.deepEqual(record(search('ca', 0), search('cache', 1), search('cache invalidation', 30)).map(entry => entry.query), ['cache invalidation']);
+});
+
+test('a longer query typed shortly after a submitted one replaces it', () => {
+    assert.deepEqual(record(search('db', 0, true), search('dbms', 2)).map(entry => entry.query), ['dbms']);
+});
+
+test('a longer query later on keeps the submitted one', () => {
+    const history = record(search('cache', 0, true), search('cache invalidation', 60));
+    assert.deepEqual(history.map(entry => [entry.query, entry.submitted]), [['cache invalidation', false], ['cache', true]]);
+
+    assert.deepEqual(record(search('db', 0, true), search('dbms', 10)).map(entry => entry.query), ['dbms', 'db']);
+});
+
+test('queries that do not extend the previous one are all kept', () => {
+    assert.deepEqual(record(search('cache invalidation', 0), search('cache', 1), search('kafka', 2)).map(entry => entry.query), ['kafka', 'cache', 'cache invalidation']);
+});
+
+test('repeating the latest query replaces it and keeps it submitted', () => {
+    const history = record(search('kafka', 0), search('Kafka', 1, true), search('kafka ', 2));
+
+    assert.deepEqual(history.map(entry => [entry.query, entry.submitted, entry.timestamp]), [['kafka ', true, at(2)]]);
+});
+
+test('history keeps the newest entries up to the limit without changing its input', () => {
+    const history = [search('b', 1), search('a', 0)];
+    const added = SearchSuggestions.addToHistory(history, search('c', 2), { maxHistory: 2 });
+
+    assert.deepEqual(added.map(entry => entry.query), ['c', 'b']);
+    assert.deepEqual(history.map(entry => entry.query), ['b', 'a']);
+});
@@ -0,0 +1,205 @@
+/**
+ * Validation Rule Tests
+ * Runs every built-in rule of validation/rules against test/fixtures/book,
+ * a small book that passes them all, and against a copy with one file broken,
+ * which the rule must report. The schemas are copied from the real book so
+ * the tests follow them.
+ *
+ *   node --test test/validation-rules.test.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const builtinRules = require('../validation/rules');
+const { runValidation } = require('../validation/runner');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURE_BOOK = path.join(__dirname, 'fixtures', 'book');
+const SHARED_FILES = ['schemas', 'templates/problem-metadata-schema.yaml'];
+
+const SUMMARY = fs.readFileSync(path.join(FIXTURE_BOOK, 'SUMMARY.md'), 'utf8');
+const CROSS_REFERENCES = JSON.parse(fs.readFileSync(path.join(FIXTURE_BOOK, 'cross-references.json'), 'utf8'));
+const CACHING_PAGE = 'part-i-fundamentals/chapter-01-basics/01-caching.md';
+const CACHING = fs.readFileSync(path.join(FIXTURE_BOOK, CACHING_PAGE), 'utf8');
+
+// An interview problem chapter, which problem-metadata checks
+const PROBLEM_PAGE = 'part-iii-interviews/chapter-18-social-media/01-news-feed.md';
+const PROBLEM_SUMMARY = `${SUMMARY}
+## Part III: Interview Problems
+
+* [Chapter 18: Social Media](part-iii-interviews/chapter-18-social-media/README.md)
+  * [18.1 Design a News Feed](${PROBLEM_PAGE})
+`;
+const PROBLEM_METADATA = `---
+title: Design a News Feed
+problemId: news-feed
+version: 1.0.0
+lastUpdated: '2024-01-15'
+difficulty: Medium
+category: Social Media & Content
+companies: [Meta]
+tags: [feeds, fan-out]
+scale: {}
+timeEstimates:
+  reading: 10
+  solving: 45
+  deepDive: 120
+learningObjectives:
+  concepts: [fan-out]
+  skills: [capacity estimation]
+  patterns: [caching]
+---
+
+# Design a News Feed
+`;
+
+const toJson = data => `${JSON.stringify(data, null, 2)}\n`;
+
+// Per rule: files the failing sample replaces (null deletes), extra files for
+// the passing sample, and the issue the failing sample must produce
+const SAMPLES = {
+    'required-files': {
+        fail: { '.gitbook.yaml': null },
+        expect: { severity: 'error', file: '.gitbook.yaml', message: /Missing required file/ }
+    },
+    'book-json': {
+        fail: { 'book.json': toJson({ title: 'Fixture Book', description: 'No author', plugins: [] }) },
+        expect: { severity: 'warning', message: /Missing property "author"/ }
+    },
+    'package-json': {
+        fail: { 'package.json': '{ "name": "fixture-book", }\n' },
+        expect: { severity: 'error', message: /Invalid JSON/ }
+    },
+    'gitbook-yaml': {
+        fail: { '.gitbook.yaml': 'structure:\n  readme: [README.md\n' },
+        expect: { severity: 'error', message: /Invalid YAML/ }
+    },
+    'json-schemas': {
+        fail: {
+            'cross-references.json': toJson({
+                ...CROSS_REFERENCES,
+                learningPaths: { beginner: { ...CROSS_REFERENCES.learningPaths.beginner, chapters: [] } }
+            })
+        },
+        expect: { severity: 'error', file: 'cross-references.json', message: /learningPaths\.beginner\.chapters/ }
+    },
+    'summary-structure': {
+        fail: { 'SUMMARY.md': '# Summary\n\n* [Introduction](README.md)\n' },
+        expect: { severity: 'error', message: /No "Chapter N:" entries found/ }
+    },
+    'section-numbering': {
+        fail: { 'SUMMARY.md': SUMMARY.replace('[2.1 Sharding]', '[2.2 Sharding]') },
+        expect: { severity: 'error', message: /\[section-number\] 2\.2 does not match file prefix/ }
+    },
+    'cross-references': {
+        fail: {
+            'cross-references.json': toJson({
+                ...CROSS_REFERENCES,
+                prerequisites: { 'part-i-fundamentals/chapter-02-scaling/README.md': ['part-i-fundamentals/chapter-01-basic/README.md'] }
+            })
+        },
+        expect: { severity: 'error', message: /chapter-01-basic\/README\.md .*did you mean part-i-fundamentals\/chapter-01-basics\/README\.md/ }
+    },
+    'glossary': {
+        fail: {
+            'GLOSSARY.md': '# Glossary\n\n## S\n\n**Sharding**\nSplitting a dataset across several databases by a key so each holds a part of it.\n\n' +
+                '## C\n\n**Caching**\nStoring copies of data in a faster layer so repeated reads avoid the slower source.\n'
+        },
+        expect: { severity: 'warning', file: 'GLOSSARY.md', message: /Section "C" comes after "S"/ }
+    },
+    'problem-metadata': {
+        pass: { 'SUMMARY.md': PROBLEM_SUMMARY, [PROBLEM_PAGE]: PROBLEM_METADATA },
+        fail: { 'SUMMARY.md': PROBLEM_SUMMARY, [PROBLEM_PAGE]: PROBLEM_METADATA.replace('difficulty: Medium', 'difficulty: Impossible') },
+        expect: { severity: 'error', file: PROBLEM_PAGE, message: /^difficulty: / }
+    },
+    'quizzes': {
+        fail: { [CACHING_PAGE]: CACHING.replace('**Correct Answer**: B - In front', '**Correct Answer**: D - In front') },
+        expect: { severity: 'error', file: CACHING_PAGE, message: /Correct answer D is not one of the options/ }
+    },
+    'internal-links': {
+        fail: { [CACHING_PAGE]: CACHING.replace('(#read-path)', '(#write-path)') },
+        expect: { severity: 'error', file: CACHING_PAGE, message: /^#write-path - / }
+    },
+    'mermaid-diagrams': {
+        fail: { [CACHING_PAGE]: CACHING.replace('A[Client] --> B[Cache]', 'A[Client --> B[Cache]') },
+        expect: { severity: 'error', file: CACHING_PAGE, message: /diagram at line/ }
+    },
+    'readme': {
+        fail: { 'README.md': 'A book without a title heading.\n' },
+        expect: { severity: 'warning', file: 'README.md', message: /No top-level "# Title" heading/ }
+    },
+    'directory-structure': {
+        fail: { '.kiro': null },
+        expect: { severity: 'info', file: '.kiro/', message: /Optional directory missing/ }
+    }
+};
+
+// Copy of the fixture book with some files replaced or deleted; removed after the test
+function createBook(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-book-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    fs.cpSync(FIXTURE_BOOK, dir, { recursive: true });
+    SHARED_FILES.forEach(file => fs.cpSync(path.join(ROOT_DIR, file), path.join(dir, file), { recursive: true }));
+    Object.entries(files).forEach(([file, content]) => {
+        const filePath = path.join(dir, file);
+        if (content === null) {
+            fs.rmSync(filePath, { recursive: true, force: true });
+        } else {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content);
+        }
+    });
+    return dir;
+}
+
+// Issues one rule (or every rule) reports for a book, with all rules turned on
+function validate(rootDir, ruleId = null) {
+    const { results } = runValidation(rootDir, {
+        config: { rules: {}, plugins: [], configDir: rootDir },
+        only: ruleId ? [ruleId] : []
+    });
+    return results.reduce((all, result) => all.concat(result.issues.map(issue => ({ rule: result.id, ...issue }))), []);
+}
+
+// Whether an issue is the one a failing sample must produce
+function matches(issue, expect) {
+    return issue.severity === expect.severity &&
+        expect.message.test(issue.message) &&
+        (!expect.file || issue.file === expect.file);
+}
+
+test('every built-in rule has a passing and a failing sample', () => {
+    assert.deepEqual(Object.keys(SAMPLES).sort(), builtinRules.map(rule => rule.id).sort());
+});
+
+test('the fixture book passes every rule', t => {
+    const problems = validate(createBook(t)).filter(issue => issue.severity !== 'info');
+    assert.deepEqual(problems, []);
+});
+
+Object.entries(SAMPLES).forEach(([ruleId, sample]) => {
+    test(`${ruleId}: passing sample`, t => {
+        const issues = validate(createBook(t, sample.pass), ruleId);
+        assert.deepEqual(issues.filter(issue => issue.severity !== 'info' || matches(issue, sample.expect)), []);
+    });
+
+    test(`${ruleId}: failing sample`, t => {
+        const issues = validate(createBook(t, sample.fail), ruleId);
+        assert.ok(issues.some(issue => matches(issue, sample.expect)),
+            `expected ${sample.expect.severity} ${sample.expect.message}, got:\n${issues.map(issue => `${issue.severity} ${issue.file}: ${issue.message}`).join('\n')}`);
+    });
+});
+
+test('quizzes: question blocks need the hints plugin and its question icon', t => {
+    const bookJson = JSON.parse(fs.readFileSync(path.join(FIXTURE_BOOK, 'book.json'), 'utf8'));
+
+    const withoutPlugin = validate(createBook(t, { 'book.json': toJson({ ...bookJson, plugins: ['mermaid-gb3'] }) }), 'quizzes');
+    assert.ok(withoutPlugin.some(issue => matches(issue, { severity: 'error', file: 'book.json', message: /need the "hints" plugin/ })));
+
+    const withoutIcon = validate(createBook(t, { 'book.json': toJson({ ...bookJson, pluginsConfig: {} }) }), 'quizzes');
+    assert.ok(withoutIcon.some(issue => matches(issue, { severity: 'error', file: 'book.json', message: /pluginsConfig\.hints\.question must be/ })));
+});
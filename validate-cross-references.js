@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Cross-Reference Validator for System Design GitBook
+ * Checks every page path in cross-references.json (mainLocation,
+ * relatedTopics, interviewProblems, useCases, implementations,
+ * learning-path chapters and chapter prerequisites) against the files on
+ * disk and SUMMARY.md.
+ *
+ *   node validate-cross-references.js          # report problems
+ *   node validate-cross-references.js --fix    # also rewrite paths that have a suggestion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findChapterFiles } = require('./build-search-index');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+const { editDistance } = require('./search-query');
+
+const ROOT_DIR = __dirname;
+const CROSS_REFERENCES_FILE = 'cross-references.json';
+
+// Fields that hold a page path or a list of page paths
+const PATH_FIELDS = ['mainLocation', 'relatedTopics', 'interviewProblems', 'useCases', 'implementations'];
+
+// Collect { pointer, jsonPointer, value } for every page path in cross-references.json
+function collectReferences(data) {
+    const references = [];
+    const escapeKey = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+    const addField = (basePointer, baseJsonPointer, entry, field) => {
+        const value = entry[field];
+        if (typeof value === 'string') {
+            references.push({ pointer: `${basePointer}.${field}`, jsonPointer: `${baseJsonPointer}/${field}`, value });
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => references.push({
+                pointer: `${basePointer}.${field}[${index}]`,
+                jsonPointer: `${baseJsonPointer}/${field}/${index}`,
+                value: item
+            }));
+        }
+    };
+
+    Object.entries((data && data.crossReferences) || {}).forEach(([group, entries]) => {
+        Object.entries(entries || {}).forEach(([name, entry]) => {
+            PATH_FIELDS.forEach(field => addField(
+                `crossReferences.${group}["${name}"]`,
+                `/crossReferences/${escapeKey(group)}/${escapeKey(name)}`,
+                entry,
+                field
+            ));
+        });
+    });
+
+    Object.entries((data && data.learningPaths) || {}).forEach(([key, learningPath]) => {
+        addField(`learningPaths["${key}"]`, `/learningPaths/${escapeKey(key)}`, learningPath, 'chapters');
+    });
+
+    Object.entries((data && data.prerequisites) || {}).forEach(([chapter, chapters]) => {
+        const pointer = `prerequisites["${chapter}"]`;
+        const jsonPointer = `/prerequisites/${escapeKey(chapter)}`;
+        references.push({ pointer, jsonPointer, value: chapter });
+        (Array.isArray(chapters) ? chapters : []).forEach((item, index) => references.push({
+            pointer: `${pointer}[${index}]`,
+            jsonPointer: `${jsonPointer}/${index}`,
+            value: item
+        }));
+    });
+
+    return references;
+}
+
+// Path with numeric file prefixes removed, e.g. ".../03-cap-theorem.md" -> ".../cap-theorem.md"
+function stripNumbering(filePath) {
+    const dir = path.posix.dirname(filePath);
+    const base = path.posix.basename(filePath).replace(/^\d+-/, '');
+    return dir === '.' ? base : `${dir}/${base}`;
+}
+
+// Closest existing page for a broken path, or null when nothing is close enough
+function suggestPath(brokenPath, candidates) {
+    const wantedDir = path.posix.dirname(brokenPath);
+    const wantedBase = path.posix.basename(stripNumbering(brokenPath), '.md');
+    const maxBaseEdits = Math.max(2, Math.floor(wantedBase.length * 0.4));
+    let best = null;
+
+    candidates.forEach(candidate => {
+        const candidateBase = path.posix.basename(stripNumbering(candidate), '.md');
+        const baseDistance = editDistance(wantedBase, candidateBase, maxBaseEdits);
+        if (baseDistance > maxBaseEdits) return;
+
+        const dirDistance = editDistance(wantedDir, path.posix.dirname(candidate));
+        const score = baseDistance * 10 + dirDistance;
+        if (!best || score < best.score) {
+            best = { path: candidate, score };
+        }
+    });
+
+    return best ? best.path : null;
+}
+
+// Check all references; returns { references, problems }
+function validateCrossReferences(rootDir = ROOT_DIR, data = null) {
+    const crossReferences = data || JSON.parse(fs.readFileSync(path.join(rootDir, CROSS_REFERENCES_FILE), 'utf8'));
+    const summaryPaths = new Set(getSummaryEntries(loadSummary(rootDir)).map(entry => entry.path));
+    const candidates = [...new Set([...summaryPaths, ...findChapterFiles(rootDir)])]
+        .filter(filePath => fs.existsSync(path.join(rootDir, filePath)));
+
+    const references = collectReferences(crossReferences);
+    const problems = [];
+
+    references.forEach(reference => {
+        if (typeof reference.value !== 'string' || !reference.value.trim()) {
+            problems.push({ ...reference, type: 'invalid', message: 'Not a page path', suggestion: null });
+        } else if (!fs.existsSync(path.join(rootDir, reference.value))) {
+            problems.push({ ...reference, type: 'missing', message: 'File not found', suggestion: suggestPath(reference.value, candidates) });
+        } else if (!summaryPaths.has(reference.value)) {
+            problems.push({ ...reference, type: 'unlinked', message: 'Exists but is not linked from SUMMARY.md', suggestion: null });
+        }
+    });
+
+    return { references, problems };
+}
+
+// Replace every broken path that has a suggestion; returns the number of fixes
+function applyFixes(data, problems) {
+    const fixes = new Map(
+        problems
+            .filter(problem => problem.type === 'missing' && problem.suggestion)
+            .map(problem => [problem.value, problem.suggestion])
+    );
+    let fixed = 0;
+
+    const fixValue = (value) => {
+        if (typeof value === 'string' && fixes.has(value)) {
+            fixed++;
+            return fixes.get(value);
+        }
+        return value;
+    };
+
+    const fixEntry = (entry, fields) => {
+        fields.forEach(field => {
+            if (Array.isArray(entry[field])) {
+                entry[field] = entry[field].map(fixValue);
+            } else if (field in entry) {
+                entry[field] = fixValue(entry[field]);
+            }
+        });
+    };
+
+    Object.values(data.crossReferences || {}).forEach(entries => {
+        Object.values(entries || {}).forEach(entry => fixEntry(entry, PATH_FIELDS));
+    });
+    Object.values(data.learningPaths || {}).forEach(learningPath => fixEntry(learningPath, ['chapters']));
+
+    if (data.prerequisites) {
+        data.prerequisites = Object.fromEntries(Object.entries(data.prerequisites).map(([chapter, chapters]) => {
+            const entry = { chapters };
+            fixEntry(entry, ['chapters']);
+            return [fixValue(chapter), entry.chapters];
+        }));
+    }
+
+    return fixed;
+}
+
+if (require.main === module) {
+    const fix = process.argv.includes('--fix');
+    const filePath = path.join(ROOT_DIR, CROSS_REFERENCES_FILE);
+
+    console.log('🔗 Cross-Reference Validator\n');
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.log(`❌ ${CROSS_REFERENCES_FILE} - ${error.message}`);
+        process.exit(1);
+    }
+
+    const { references, problems } = validateCrossReferences(ROOT_DIR, data);
+
+    problems.forEach(problem => {
+        const icon = problem.type === 'unlinked' ? '⚠️ ' : '❌';
+        console.log(`${icon} ${problem.pointer}: ${problem.value}`);
+        console.log(`    ${problem.message}${problem.suggestion ? ` - did you mean ${problem.suggestion}?` : ''}`);
+    });
+
+    if (fix) {
+        const fixed = applyFixes(data, problems);
+        if (fixed > 0) {
+            fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+        }
+        console.log(`\n🔧 Fixed ${fixed} path${fixed === 1 ? '' : 's'} in ${CROSS_REFERENCES_FILE}`);
+    }
+
+    const unresolved = fix
+        ? validateCrossReferences(ROOT_DIR, data).problems
+        : problems;
+
+    console.log(`\n🎯 Checked ${references.length} references`);
+    if (unresolved.length === 0) {
+        console.log('✅ All cross-references point to pages in SUMMARY.md');
+        process.exit(0);
+    }
+
+    const fixable = unresolved.filter(problem => problem.suggestion).length;
+    console.log(`❌ ${unresolved.length} problem${unresolved.length === 1 ? '' : 's'} found`);
+    if (!fix && fixable > 0) {
+        console.log(`💡 Run with --fix to apply ${fixable} suggestion${fixable === 1 ? '' : 's'}`);
+    }
+    process.exit(1);
+}
+
+module.exports = {
+    collectReferences,
+    stripNumbering,
+    suggestPath,
+    validateCrossReferences,
+    applyFixes
+};
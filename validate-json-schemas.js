@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * JSON Schema Validator for System Design GitBook
+ * Checks the JSON data files against the schemas in schemas/ and reports
+ * each error with its JSON path and line number. Schemas are read from
+ * disk, so validation works offline.
+ *
+ *   node validate-json-schemas.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ROOT_DIR = __dirname;
+
+// Data files and the schema each one must satisfy
+const SCHEMA_FILES = [
+    { file: 'cross-references.json', schema: 'schemas/cross-references.schema.json' },
+    { file: 'navigation-config.json', schema: 'schemas/navigation-config.schema.json' }
+];
+
+// Map every JSON pointer in a document to the { line, column } where it starts.
+// Object members point at their key so typos are reported on the right line.
+function getJsonLocations(text) {
+    const locations = new Map();
+    let index = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = () => {
+        if (text[index] === '\n') {
+            line++;
+            column = 1;
+        } else {
+            column++;
+        }
+        index++;
+    };
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) advance();
+    };
+
+    const readString = () => {
+        const start = index;
+        advance();
+        while (index < text.length && text[index] !== '"') {
+            if (text[index] === '\\') advance();
+            advance();
+        }
+        advance();
+        return JSON.parse(text.slice(start, index));
+    };
+
+    const readValue = (pointer) => {
+        skipWhitespace();
+        if (!locations.has(pointer)) locations.set(pointer, { line, column });
+
+        if (text[index] === '{') {
+            advance();
+            skipWhitespace();
+            while (index < text.length && text[index] !== '}') {
+                skipWhitespace();
+                const keyLocation = { line, column };
+                const key = readString();
+                const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                locations.set(childPointer, keyLocation);
+                skipWhitespace();
+                advance(); // ':'
+                readValue(childPointer);
+                skipWhitespace();
+                if (text[index] === ',') advance();
+                skipWhitespace();
+            }
+            advance();
+        } else if (text[index] === '[') {
+            advance();
+            skipWhitespace();
+            let itemIndex = 0;
+            while (index < text.length && text[index] !== ']') {
+                readValue(`${pointer}/${itemIndex++}`);
+                skipWhitespace();
+                if (text[index] === ',') advance();
+                skipWhitespace();
+            }
+            advance();
+        } else if (text[index] === '"') {
+            readString();
+        } else {
+            while (index < text.length && !/[\s,\]}]/.test(text[index])) advance();
+        }
+    };
+
+    readValue('');
+    return locations;
+}
+
+// { line, column } of a JSON.parse error, from the "position N" in its message
+function getParseErrorLocation(text, error) {
+    const position = error.message.match(/position (\d+)/);
+    if (!position) return { line: null, column: null };
+
+    const before = text.slice(0, Number(position[1])).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// JSON pointer -> readable path, e.g. /a/CAP Theorem/b/0 -> a["CAP Theorem"].b[0]
+function formatJsonPath(pointer) {
+    if (!pointer) return '(root)';
+
+    return pointer
+        .split('/')
+        .slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((result, segment) => {
+            if (/^\d+$/.test(segment)) return `${result}[${segment}]`;
+            if (/^[A-Za-z_$][\w$]*$/.test(segment)) return result ? `${result}.${segment}` : segment;
+            return `${result}[${JSON.stringify(segment)}]`;
+        }, '');
+}
+
+// Readable message for one Ajv error, plus the pointer it should be reported at
+function describeError(error) {
+    const escapeKey = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+    switch (error.keyword) {
+        case 'additionalProperties':
+            return {
+                pointer: `${error.instancePath}/${escapeKey(error.params.additionalProperty)}`,
+                message: `unknown property "${error.params.additionalProperty}"`
+            };
+        case 'required':
+            return { pointer: error.instancePath, message: `missing required property "${error.params.missingProperty}"` };
+        case 'enum':
+            return { pointer: error.instancePath, message: `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}` };
+        default:
+            return { pointer: error.instancePath, message: error.message };
+    }
+}
+
+// Validate one JSON file; returns [{ path, line, column, message }]
+function validateJsonFile(filePath, schemaPath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        const { line, column } = getParseErrorLocation(text, error);
+        return [{ path: '(root)', line, column, message: `invalid JSON: ${error.message}` }];
+    }
+
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    const validate = ajv.compile(schema);
+    if (validate(data)) return [];
+
+    const locations = getJsonLocations(text);
+    return validate.errors.map(error => {
+        const { pointer, message } = describeError(error);
+        const location = locations.get(pointer) || locations.get(error.instancePath) || { line: null, column: null };
+        return { path: formatJsonPath(pointer), line: location.line, column: location.column, message };
+    });
+}
+
+// One error as "file:line:column path: message"
+function formatSchemaError(file, error) {
+    const location = error.line ? `${file}:${error.line}:${error.column}` : file;
+    return `${location} ${error.path}: ${error.message}`;
+}
+
+// Validate every configured data file; returns [{ file, schema, errors }]
+function validateJsonSchemas(rootDir = ROOT_DIR) {
+    return SCHEMA_FILES.map(({ file, schema }) => ({
+        file,
+        schema,
+        errors: validateJsonFile(path.join(rootDir, file), path.join(rootDir, schema))
+    }));
+}
+
+if (require.main === module) {
+    console.log('🧩 JSON Schema Validator\n');
+
+    let failed = false;
+    validateJsonSchemas(ROOT_DIR).forEach(({ file, schema, errors }) => {
+        if (errors.length === 0) {
+            console.log(`✅ ${file} - Matches ${schema}`);
+            return;
+        }
+
+        failed = true;
+        console.log(`❌ ${file} - ${errors.length} schema error${errors.length === 1 ? '' : 's'}`);
+        errors.forEach(error => console.log(`    ${formatSchemaError(file, error)}`));
+    });
+
+    process.exit(failed ? 1 : 0);
+}
+
+module.exports = {
+    SCHEMA_FILES,
+    getJsonLocations,
+    getParseErrorLocation,
+    formatJsonPath,
+    formatSchemaError,
+    validateJsonFile,
+    validateJsonSchemas
+};
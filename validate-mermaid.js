@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Mermaid Diagram Validator for System Design GitBook
+ * Parses every ```mermaid block in the pages of SUMMARY.md offline, with
+ * the grammars of the mermaid release bundled by the mermaid-gb3 plugin, so
+ * broken diagrams show up before anyone opens the rendered page. Diagram
+ * types that release does not know are flagged.
+ *
+ * mermaid-gb3 2.1.0 bundles mermaid 7.0.7, which is no longer published;
+ * the "mermaid" devDependency pins 7.0.8, the closest release.
+ *
+ *   node validate-mermaid.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+
+const ROOT_DIR = __dirname;
+const PLUGIN_NAME = 'mermaid-gb3';
+
+// Parser and parser state (yy) per diagram type, as wired up in mermaid 7's mermaidAPI.parse()
+const DIAGRAM_PARSERS = {
+    graph: { parser: 'diagrams/flowchart/parser/flow', db: 'diagrams/flowchart/graphDb' },
+    dotGraph: { parser: 'diagrams/flowchart/parser/dot', db: 'diagrams/flowchart/graphDb' },
+    sequenceDiagram: { parser: 'diagrams/sequenceDiagram/parser/sequenceDiagram', db: 'diagrams/sequenceDiagram/sequenceDb' },
+    info: { parser: 'diagrams/example/parser/example', db: 'diagrams/example/exampleDb' },
+    gantt: { parser: 'diagrams/gantt/parser/gantt', db: 'diagrams/gantt/ganttDb' },
+    classDiagram: { parser: 'diagrams/classDiagram/parser/classDiagram', db: 'diagrams/classDiagram/classDb' },
+    gitGraph: { parser: 'diagrams/gitGraph/parser/gitGraph', db: 'diagrams/gitGraph/gitGraphAst' }
+};
+
+// Diagram keywords added in later mermaid releases; mermaid 7 would try to read them as flowcharts
+const NEWER_DIAGRAM_TYPES = [
+    'flowchart', 'stateDiagram', 'stateDiagram-v2', 'erDiagram', 'pie', 'journey',
+    'requirementDiagram', 'classDiagram-v2', 'mindmap', 'timeline', 'quadrantChart',
+    'C4Context', 'C4Container', 'C4Component', 'C4Dynamic', 'C4Deployment', 'zenuml',
+    'sankey-beta', 'xychart-beta', 'block-beta', 'packet-beta', 'architecture-beta', 'kanban'
+];
+
+// Installed mermaid release: { version, detectType, getParser(type) }
+function loadMermaid() {
+    let version;
+    try {
+        version = require('mermaid/package.json').version;
+    } catch (error) {
+        throw new Error('mermaid is not installed - run npm install');
+    }
+
+    const utils = require('mermaid/src/utils');
+    const parsers = new Map();
+
+    return {
+        version,
+        detectType: text => utils.detectType(text),
+        getParser(type) {
+            if (!parsers.has(type)) {
+                const { parser, db } = DIAGRAM_PARSERS[type];
+                const parserModule = require(`mermaid/src/${parser}`);
+                // The dbs report errors through a browser global; throw them here instead
+                parserModule.parser.yy = {
+                    ...require(`mermaid/src/${db}`),
+                    parseError(message, hash) {
+                        throw Object.assign(new Error(message), { hash });
+                    }
+                };
+                parsers.set(type, parserModule);
+            }
+            return parsers.get(type);
+        }
+    };
+}
+
+// Whether book.json turns on the mermaid plugin this validator mirrors
+function isPluginConfigured(rootDir = ROOT_DIR) {
+    const bookPath = path.join(rootDir, 'book.json');
+    if (!fs.existsSync(bookPath)) return false;
+    const plugins = JSON.parse(fs.readFileSync(bookPath, 'utf8')).plugins || [];
+    return plugins.some(plugin => plugin.replace(/@.*$/, '') === PLUGIN_NAME);
+}
+
+// { line, text } for each ```mermaid block; line is the fence line
+function extractMermaidBlocks(content) {
+    const blocks = [];
+    let current = null;
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!current && /^\s*```mermaid\s*$/.test(line)) {
+            current = { line: index + 1, lines: [] };
+        } else if (current && /^\s*```\s*$/.test(line)) {
+            blocks.push({ line: current.line, text: current.lines.join('\n') });
+            current = null;
+        } else if (current) {
+            current.lines.push(line);
+        }
+    });
+
+    return blocks;
+}
+
+// First keyword of a diagram, skipping blank and %% comment lines
+function getDiagramKeyword(text) {
+    const line = text.split('\n').find(item => item.trim() && !item.trim().startsWith('%%'));
+    return line ? line.trim().split(/\s+/)[0] : '';
+}
+
+// Turn a jison error into { line, message, snippet }, line being relative to the diagram
+function describeParseError(error, text) {
+    const hash = error.hash || {};
+    const line = hash.loc ? hash.loc.first_line : (hash.line || 0) + 1;
+    const expected = (hash.expected || []).map(token => token.replace(/'/g, ''));
+
+    let message = 'Unrecognized text';
+    if (hash.token) {
+        const shown = expected.slice(0, 5).join(', ');
+        message = `Unexpected ${hash.token}${expected.length > 0 ? ` (expecting ${shown}${expected.length > 5 ? ', ...' : ''})` : ''}`;
+    } else if (!/Lexical error/.test(error.message)) {
+        message = error.message.split('\n')[0];
+    }
+
+    const source = text.split('\n')[line - 1];
+    const snippet = source === undefined ? [] : [source.trimEnd()];
+    if (source !== undefined && hash.loc) {
+        snippet.push(`${' '.repeat(hash.loc.first_column)}^`);
+    }
+
+    return { line, message, snippet };
+}
+
+// Parse one diagram; returns null or { type, line, message, snippet }
+function checkDiagram(text, mermaid) {
+    const keyword = getDiagramKeyword(text);
+    if (!keyword) {
+        return { type: 'empty', line: 1, message: 'Empty diagram', snippet: [] };
+    }
+    if (NEWER_DIAGRAM_TYPES.includes(keyword)) {
+        const line = text.split('\n').findIndex(item => item.trim().startsWith(keyword)) + 1;
+        return {
+            type: 'unsupported',
+            line,
+            message: `"${keyword}" diagrams are not supported by mermaid ${mermaid.version.split('.')[0]} (used by ${PLUGIN_NAME})`,
+            snippet: []
+        };
+    }
+
+    const diagramType = mermaid.detectType(text);
+    const parser = mermaid.getParser(diagramType);
+    if (parser.parser.yy.clear) parser.parser.yy.clear();
+
+    try {
+        parser.parse(text);
+        return null;
+    } catch (error) {
+        return { type: 'syntax', ...describeParseError(error, text) };
+    }
+}
+
+// Check the diagrams on every SUMMARY.md page; returns { version, blocks, problems }
+function validateMermaid(rootDir = ROOT_DIR) {
+    const mermaid = loadMermaid();
+    const files = [...new Set(getSummaryEntries(loadSummary(rootDir)).map(entry => entry.path))]
+        .filter(file => fs.existsSync(path.join(rootDir, file)));
+    const problems = [];
+    let blocks = 0;
+
+    files.forEach(file => {
+        extractMermaidBlocks(fs.readFileSync(path.join(rootDir, file), 'utf8')).forEach(block => {
+            blocks++;
+            const problem = checkDiagram(block.text, mermaid);
+            if (problem) {
+                problems.push({ file, blockLine: block.line, ...problem, line: block.line + problem.line });
+            }
+        });
+    });
+
+    return { version: mermaid.version, blocks, problems };
+}
+
+if (require.main === module) {
+    console.log('🧜 Mermaid Diagram Validator\n');
+
+    let report;
+    try {
+        if (!isPluginConfigured(ROOT_DIR)) {
+            console.log(`⚠️  ${PLUGIN_NAME} is not enabled in book.json - nothing to check against`);
+            process.exit(0);
+        }
+        report = validateMermaid(ROOT_DIR);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    report.problems.forEach(problem => {
+        console.log(`❌ ${problem.file}:${problem.line} (diagram at line ${problem.blockLine}) - ${problem.message}`);
+        problem.snippet.forEach(line => console.log(`    ${line}`));
+    });
+
+    const unsupported = report.problems.filter(problem => problem.type === 'unsupported').length;
+    console.log(`\n🎯 Checked ${report.blocks} diagrams with mermaid ${report.version}`);
+    if (report.problems.length === 0) {
+        console.log('✅ All diagrams parse');
+        process.exit(0);
+    }
+
+    console.log(`❌ ${report.problems.length} diagram${report.problems.length === 1 ? '' : 's'} will not render` +
+        (unsupported > 0 ? ` (${unsupported} use unsupported diagram types)` : ''));
+    process.exit(1);
+}
+
+module.exports = {
+    PLUGIN_NAME,
+    NEWER_DIAGRAM_TYPES,
+    loadMermaid,
+    isPluginConfigured,
+    extractMermaidBlocks,
+    getDiagramKeyword,
+    describeParseError,
+    checkDiagram,
+    validateMermaid
+};
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Problem Metadata Validator for System Design GitBook
+ * Checks the YAML front matter of every interview problem page (the
+ * sections of chapters 18-24) against templates/problem-metadata-schema.yaml:
+ * required fields, types, enums, patterns, date formats and ranges.
+ *
+ *   node validate-problem-metadata.js                  # report problems
+ *   node validate-problem-metadata.js --init           # add a starter block to pages without one
+ *   node validate-problem-metadata.js --init --dry-run # print the starter blocks instead
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadSummary, getSummaryEntries } = require('./summary-parser');
+
+const ROOT_DIR = __dirname;
+const SCHEMA_FILE = 'templates/problem-metadata-schema.yaml';
+
+// Interview problem chapters and the schema category each one covers
+const PROBLEM_CATEGORIES = {
+    18: 'Social Media & Content',
+    19: 'Communication & Messaging',
+    20: 'Media & Entertainment',
+    21: 'E-commerce & Financial',
+    22: 'Search & Discovery',
+    23: 'Real-time & Location',
+    24: 'Infrastructure & Platform'
+};
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Field definitions from the schema file, wrapped as one object spec
+function loadMetadataSchema(rootDir = ROOT_DIR) {
+    const schema = yaml.load(fs.readFileSync(path.join(rootDir, SCHEMA_FILE), 'utf8'));
+    if (!schema || !TYPE_CHECKS.object(schema.problemMetadata)) {
+        throw new Error(`${SCHEMA_FILE} has no problemMetadata section`);
+    }
+    return { type: 'object', properties: schema.problemMetadata };
+}
+
+// Split "---" front matter from a page; null when the page has none
+function extractFrontMatter(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    if (lines[0].trim() !== '---') return null;
+
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end === -1) return null;
+
+    return {
+        text: lines.slice(1, end).join('\n'),
+        lines: lines.slice(1, end),
+        startLine: 2,
+        body: lines.slice(end + 1).join('\n')
+    };
+}
+
+// "timeEstimates.reading", "companies[0]"
+function formatFieldPath(segments) {
+    return segments.reduce((text, segment) => (
+        typeof segment === 'number' ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment)
+    ), '');
+}
+
+// Whether text is a real YYYY-MM-DD calendar date
+function isDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+// Check a value against a field spec, pushing { segments, field, message } problems
+function validateValue(value, spec, segments = [], problems = []) {
+    const report = message => problems.push({ segments, field: formatFieldPath(segments), message });
+
+    if (spec.type && TYPE_CHECKS[spec.type] && !TYPE_CHECKS[spec.type](value)) {
+        report(`Expected ${spec.type}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`);
+        return problems;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+        report(`"${value}" is not one of: ${spec.enum.join(', ')}`);
+    }
+    if (spec.pattern && typeof value === 'string' && !new RegExp(spec.pattern).test(value)) {
+        report(`"${value}" does not match ${spec.pattern}`);
+    }
+    if (spec.format === 'date' && typeof value === 'string' && !isDate(value)) {
+        report(`"${value}" is not a valid YYYY-MM-DD date`);
+    }
+    if (typeof value === 'number') {
+        if (spec.minimum !== undefined && value < spec.minimum) report(`${value} is below the minimum of ${spec.minimum}`);
+        if (spec.maximum !== undefined && value > spec.maximum) report(`${value} is above the maximum of ${spec.maximum}`);
+    }
+
+    if (Array.isArray(value) && spec.items) {
+        value.forEach((item, index) => validateValue(item, spec.items, [...segments, index], problems));
+    }
+
+    if (TYPE_CHECKS.object(value) && spec.properties) {
+        Object.entries(spec.properties).forEach(([name, property]) => {
+            if (property.required && !(name in value)) {
+                problems.push({ segments, field: formatFieldPath(segments) || name, message: `Missing required field "${name}"` });
+            }
+        });
+        Object.entries(value).forEach(([name, item]) => {
+            if (!spec.properties[name]) {
+                problems.push({ segments: [...segments, name], field: formatFieldPath([...segments, name]), message: 'Unknown field' });
+            } else if (item !== null || spec.properties[name].required) {
+                validateValue(item, spec.properties[name], [...segments, name], problems);
+            }
+        });
+    }
+
+    return problems;
+}
+
+// Index into front matter lines of the deepest key on a field path, or null
+function findFieldLine(lines, segments) {
+    let from = 0;
+    let indent = -1;
+    let found = null;
+
+    for (const key of segments.filter(segment => typeof segment === 'string')) {
+        const pattern = new RegExp(`^(\\s*)(?:-\\s+)?${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:`);
+        const index = lines.findIndex((line, i) => {
+            if (i < from) return false;
+            const match = line.match(pattern);
+            return match && match[1].length > indent;
+        });
+        if (index === -1) break;
+
+        from = index + 1;
+        indent = lines[index].match(/^\s*/)[0].length;
+        found = index;
+    }
+
+    return found;
+}
+
+// Interview problem pages from SUMMARY.md
+function findProblemPages(rootDir = ROOT_DIR) {
+    return getSummaryEntries(loadSummary(rootDir))
+        .filter(entry => entry.type === 'section' && PROBLEM_CATEGORIES[entry.chapter.number]);
+}
+
+// Validate one page; returns { file, entry, metadata, problems }
+function validateProblemPage(rootDir, entry, schema) {
+    const result = { file: entry.path, entry, metadata: null, problems: [] };
+    const filePath = path.join(rootDir, entry.path);
+    if (!fs.existsSync(filePath)) return result; // reported by section-numbering
+
+    const frontMatter = extractFrontMatter(fs.readFileSync(filePath, 'utf8'));
+    if (!frontMatter) return result;
+
+    let metadata;
+    try {
+        metadata = yaml.load(frontMatter.text, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+        result.problems.push({
+            field: null,
+            message: `Invalid YAML: ${error.reason || error.message}`,
+            line: error.mark ? frontMatter.startLine + error.mark.line : frontMatter.startLine
+        });
+        return result;
+    }
+
+    result.metadata = metadata || {};
+    result.problems = validateValue(result.metadata, schema).map(problem => {
+        const index = findFieldLine(frontMatter.lines, problem.segments);
+        return {
+            field: problem.field,
+            message: problem.message,
+            line: index === null ? frontMatter.startLine - 1 : frontMatter.startLine + index
+        };
+    });
+    return result;
+}
+
+// Validate every problem page; problemIds must also be unique across pages
+function validateProblemMetadata(rootDir = ROOT_DIR) {
+    const schema = loadMetadataSchema(rootDir);
+    const pages = findProblemPages(rootDir).map(entry => validateProblemPage(rootDir, entry, schema));
+    const seen = new Map();
+
+    pages.forEach(page => {
+        const problemId = page.metadata && page.metadata.problemId;
+        if (typeof problemId !== 'string') return;
+
+        if (seen.has(problemId)) {
+            const content = fs.readFileSync(path.join(rootDir, page.file), 'utf8');
+            const index = findFieldLine(extractFrontMatter(content).lines, ['problemId']);
+            page.problems.push({
+                field: 'problemId',
+                message: `Duplicate problemId "${problemId}" (also used by ${seen.get(problemId)})`,
+                line: index === null ? 1 : index + 2
+            });
+        } else {
+            seen.set(problemId, page.file);
+        }
+    });
+
+    return { schema, pages };
+}
+
+// Empty value of the right shape for a field, using numeric examples where given
+function defaultValue(spec) {
+    switch (spec.type) {
+        case 'array':
+            return [];
+        case 'integer':
+        case 'number':
+            return spec.example !== undefined ? spec.example : spec.minimum;
+        case 'object': {
+            const value = {};
+            Object.entries(spec.properties || {}).forEach(([name, property]) => {
+                const item = defaultValue(property);
+                if (item !== undefined && !(TYPE_CHECKS.object(item) && Object.keys(item).length === 0)) {
+                    value[name] = item;
+                }
+            });
+            return value;
+        }
+        default:
+            return undefined;
+    }
+}
+
+// Starter metadata for a page: required fields only, derived from SUMMARY.md where possible
+function createStarterMetadata(entry, schema, today = new Date().toISOString().slice(0, 10)) {
+    const derived = {
+        title: entry.title,
+        problemId: path.posix.basename(entry.path, '.md').replace(/^\d+-/, ''),
+        version: '1.0.0',
+        lastUpdated: today,
+        difficulty: 'Medium',
+        category: PROBLEM_CATEGORIES[entry.chapter.number]
+    };
+
+    const metadata = {};
+    Object.entries(schema.properties).forEach(([name, spec]) => {
+        if (!spec.required) return;
+        const value = name in derived ? derived[name] : defaultValue(spec);
+        if (value !== undefined) metadata[name] = value;
+    });
+    return metadata;
+}
+
+// Metadata as a "---" delimited block
+function formatFrontMatter(metadata) {
+    return `---\n${yaml.dump(metadata, { lineWidth: -1 })}---\n`;
+}
+
+if (require.main === module) {
+    const init = process.argv.includes('--init');
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log('📋 Problem Metadata Validator\n');
+
+    let report;
+    try {
+        report = validateProblemMetadata(ROOT_DIR);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const withoutFrontMatter = report.pages.filter(page => !page.metadata && page.problems.length === 0
+        && fs.existsSync(path.join(ROOT_DIR, page.file)));
+
+    report.pages.forEach(page => {
+        page.problems.forEach(problem => {
+            console.log(`❌ ${page.file}:${problem.line}${problem.field ? ` ${problem.field}` : ''} - ${problem.message}`);
+        });
+    });
+
+    if (init) {
+        withoutFrontMatter.forEach(page => {
+            const block = formatFrontMatter(createStarterMetadata(page.entry, report.schema));
+            if (dryRun) {
+                console.log(`\n# ${page.file}\n${block}`);
+                return;
+            }
+            const filePath = path.join(ROOT_DIR, page.file);
+            fs.writeFileSync(filePath, `${block}\n${fs.readFileSync(filePath, 'utf8')}`);
+            console.log(`🔧 Added starter front matter to ${page.file}`);
+        });
+    } else {
+        withoutFrontMatter.forEach(page => console.log(`⚠️  ${page.file} - No front matter`));
+    }
+
+    const invalid = report.pages.filter(page => page.problems.length > 0);
+    console.log(`\n🎯 Checked ${report.pages.length} problem pages`);
+    if (!init && withoutFrontMatter.length > 0) {
+        console.log(`💡 Run with --init to add starter front matter to ${withoutFrontMatter.length} page${withoutFrontMatter.length === 1 ? '' : 's'}`);
+    }
+    if (invalid.length === 0) {
+        console.log('✅ All problem front matter matches the metadata schema');
+        process.exit(0);
+    }
+
+    console.log(`❌ ${invalid.length} page${invalid.length === 1 ? '' : 's'} with invalid front matter`);
+    process.exit(1);
+}
+
+module.exports = {
+    SCHEMA_FILE,
+    PROBLEM_CATEGORIES,
+    loadMetadataSchema,
+    extractFrontMatter,
+    formatFieldPath,
+    validateValue,
+    findFieldLine,
+    findProblemPages,
+    validateProblemPage,
+    validateProblemMetadata,
+    createStarterMetadata,
+    formatFrontMatter
+};
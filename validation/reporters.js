@@ -0,0 +1,116 @@
+/**
+ * Validation Reporters for System Design GitBook
+ * Formats validation results as human-readable text, JSON or JUnit XML.
+ */
+
+const ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+// "file:line:column" for an issue, or null when it has no file
+function formatLocation(issue) {
+    if (!issue.file) return null;
+    return [issue.file, issue.line, issue.line && issue.column].filter(Boolean).join(':');
+}
+
+// Emoji report for the terminal
+function formatHuman({ results, summary }) {
+    const lines = ['🔍 GitBook Configuration Validator', ''];
+
+    results.forEach(result => {
+        lines.push(`📋 ${result.id} - ${result.description}`);
+        const problems = result.issues.filter(issue => issue.severity !== 'info');
+        if (problems.length === 0) {
+            lines.push('  ✅ Passed');
+        }
+        result.issues.forEach(issue => {
+            const location = formatLocation(issue);
+            lines.push(`  ${ICONS[issue.severity]} ${location ? `${location} ` : ''}${issue.message}`);
+        });
+        lines.push('');
+    });
+
+    lines.push('🎯 Validation Summary:');
+    lines.push(`  ${summary.rules} rules, ${summary.errors} errors, ${summary.warnings} warnings, ${summary.info} info`);
+    if (summary.errors > 0) {
+        lines.push('❌ Some issues found - please fix before proceeding');
+    } else if (summary.warnings > 0) {
+        lines.push('⚠️  Passed with warnings');
+    } else {
+        lines.push('✅ GitBook configuration is properly set up');
+    }
+
+    return lines.join('\n');
+}
+
+// Machine-readable JSON report
+function formatJson({ results, summary }) {
+    return JSON.stringify({
+        tool: 'validate-gitbook',
+        generatedAt: new Date().toISOString(),
+        summary,
+        rules: results.map(result => ({
+            id: result.id,
+            description: result.description,
+            duration: result.duration,
+            issues: result.issues
+        }))
+    }, null, 2);
+}
+
+// Escape text for XML attributes and content
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// JUnit XML: one test case per rule; errors fail it, warnings and info go to system-out
+function formatJunit({ results, summary }) {
+    const totalTime = results.reduce((total, result) => total + result.duration, 0) / 1000;
+    const failures = results.filter(result => result.issues.some(issue => issue.severity === 'error')).length;
+    const describe = issue => {
+        const location = formatLocation(issue);
+        return `${issue.severity.toUpperCase()} ${location ? `${location} ` : ''}${issue.message}`;
+    };
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="validate-gitbook" tests="${summary.rules}" failures="${failures}" time="${totalTime}">`,
+        `  <testsuite name="gitbook-validation" tests="${summary.rules}" failures="${failures}" errors="0" time="${totalTime}">`
+    ];
+
+    results.forEach(result => {
+        const errors = result.issues.filter(issue => issue.severity === 'error');
+        const other = result.issues.filter(issue => issue.severity !== 'error');
+
+        lines.push(`    <testcase classname="validate-gitbook" name="${escapeXml(result.id)}" time="${result.duration / 1000}">`);
+        if (errors.length > 0) {
+            lines.push(`      <failure message="${escapeXml(`${errors.length} error${errors.length === 1 ? '' : 's'}: ${errors[0].message}`)}" type="error">`);
+            lines.push(escapeXml(errors.map(describe).join('\n')));
+            lines.push('      </failure>');
+        }
+        if (other.length > 0) {
+            lines.push(`      <system-out>${escapeXml(other.map(describe).join('\n'))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+    });
+
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n');
+}
+
+const REPORTERS = {
+    human: formatHuman,
+    json: formatJson,
+    junit: formatJunit
+};
+
+module.exports = {
+    REPORTERS,
+    formatLocation,
+    formatHuman,
+    formatJson,
+    formatJunit
+};
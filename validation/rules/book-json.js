@@ -0,0 +1,32 @@
+const { getParseErrorLocation } = require('../../validate-json-schemas');
+
+const REQUIRED_PROPERTIES = ['title', 'description', 'author', 'plugins'];
+
+module.exports = {
+    id: 'book-json',
+    description: 'book.json is valid JSON with the essential properties',
+
+    check(context) {
+        const file = 'book.json';
+        if (!context.exists(file)) return;
+
+        const text = context.readFile(file);
+        let bookJson;
+        try {
+            bookJson = JSON.parse(text);
+        } catch (error) {
+            context.error(`Invalid JSON: ${error.message}`, { file, ...getParseErrorLocation(text, error) });
+            return;
+        }
+
+        REQUIRED_PROPERTIES.forEach(prop => {
+            if (!bookJson[prop]) {
+                context.warning(`Missing property "${prop}"`, { file });
+            }
+        });
+
+        if (Array.isArray(bookJson.plugins)) {
+            context.info(`${bookJson.plugins.length} plugins configured`, { file });
+        }
+    }
+};
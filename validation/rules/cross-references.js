@@ -0,0 +1,32 @@
+const { validateCrossReferences } = require('../../validate-cross-references');
+const { getJsonLocations } = require('../../validate-json-schemas');
+
+module.exports = {
+    id: 'cross-references',
+    description: 'Paths in cross-references.json exist and are linked from SUMMARY.md (fix with npm run validate-refs -- --fix)',
+
+    check(context) {
+        const file = 'cross-references.json';
+        if (!context.exists(file) || !context.exists('SUMMARY.md')) return;
+
+        const text = context.readFile(file);
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return; // reported by json-schemas
+        }
+
+        const locations = getJsonLocations(text);
+        validateCrossReferences(context.rootDir, data).problems.forEach(problem => {
+            const location = { file, ...(locations.get(problem.jsonPointer) || {}) };
+            const message = `${problem.pointer}: ${problem.value} - ${problem.message}${problem.suggestion ? ` (did you mean ${problem.suggestion}?)` : ''}`;
+
+            if (problem.type === 'unlinked') {
+                context.warning(message, location);
+            } else {
+                context.error(message, location);
+            }
+        });
+    }
+};
@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+const OPTIONAL_DIRECTORIES = ['.github', '.kiro'];
+
+module.exports = {
+    id: 'directory-structure',
+    description: 'Optional project directories are present',
+
+    check(context) {
+        OPTIONAL_DIRECTORIES.forEach(dir => {
+            const exists = context.exists(dir) && fs.statSync(context.resolve(dir)).isDirectory();
+            if (!exists) {
+                context.info('Optional directory missing', { file: `${dir}/` });
+            }
+        });
+    }
+};
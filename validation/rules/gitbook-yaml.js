@@ -0,0 +1,24 @@
+const yaml = require('js-yaml');
+
+module.exports = {
+    id: 'gitbook-yaml',
+    description: '.gitbook.yaml is valid YAML',
+
+    check(context) {
+        const file = '.gitbook.yaml';
+        if (!context.exists(file)) return;
+
+        let gitbookYaml;
+        try {
+            gitbookYaml = yaml.load(context.readFile(file));
+        } catch (error) {
+            const location = error.mark ? { line: error.mark.line + 1, column: error.mark.column + 1 } : {};
+            context.error(`Invalid YAML: ${error.reason || error.message}`, { file, ...location });
+            return;
+        }
+
+        if (gitbookYaml && Array.isArray(gitbookYaml.plugins)) {
+            context.info(`${gitbookYaml.plugins.length} plugins configured`, { file });
+        }
+    }
+};
@@ -0,0 +1,30 @@
+const { checkGlossary } = require('../../build-glossary');
+const { getJsonLocations } = require('../../validate-json-schemas');
+
+module.exports = {
+    id: 'glossary',
+    description: 'Glossary terms are sorted, defined once and agree with cross-references.json, and structure.glossary names the current glossary page (fix with npm run build-glossary -- --fix)',
+
+    check(context) {
+        if (!context.exists('GLOSSARY.md')) return;
+
+        let report;
+        try {
+            report = checkGlossary(context.rootDir);
+        } catch (error) {
+            return; // invalid JSON is reported by json-schemas
+        }
+
+        let locations = null;
+        report.problems.forEach(problem => {
+            const location = { file: problem.file };
+            if (problem.line) {
+                location.line = problem.line;
+            } else if (problem.jsonPointer) {
+                locations = locations || getJsonLocations(context.readFile(problem.file));
+                Object.assign(location, locations.get(problem.jsonPointer) || {});
+            }
+            context[problem.severity](problem.message, location);
+        });
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * Built-in validation rules, in report order.
+ * Add a rule by creating a module here and listing it below, or load it
+ * from elsewhere through "plugins" in validation.config.json.
+ */
+
+module.exports = [
+    require('./required-files'),
+    require('./book-json'),
+    require('./package-json'),
+    require('./gitbook-yaml'),
+    require('./json-schemas'),
+    require('./summary-structure'),
+    require('./section-numbering'),
+    require('./cross-references'),
+    require('./glossary'),
+    require('./problem-metadata'),
+    require('./quizzes'),
+    require('./internal-links'),
+    require('./mermaid-diagrams'),
+    require('./readme'),
+    require('./directory-structure')
+];
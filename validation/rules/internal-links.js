@@ -0,0 +1,17 @@
+const { checkLinks } = require('../../check-links');
+
+module.exports = {
+    id: 'internal-links',
+    description: 'Relative links, images and #anchors in Markdown files resolve (external URLs: npm run check-links -- --external)',
+
+    check(context) {
+        const { broken, external } = checkLinks(context.rootDir);
+        broken.forEach(link => {
+            context.error(`${link.url || '(empty)'} - ${link.message}`, { file: link.file, line: link.line, column: link.column });
+        });
+
+        if (external.length > 0) {
+            context.info(`${external.length} external links not checked`);
+        }
+    }
+};
@@ -0,0 +1,14 @@
+const { validateJsonSchemas } = require('../../validate-json-schemas');
+
+module.exports = {
+    id: 'json-schemas',
+    description: 'cross-references.json and navigation-config.json match their schemas in schemas/',
+
+    check(context) {
+        validateJsonSchemas(context.rootDir).forEach(({ file, errors }) => {
+            errors.forEach(error => {
+                context.error(`${error.path}: ${error.message}`, { file, line: error.line, column: error.column });
+            });
+        });
+    }
+};
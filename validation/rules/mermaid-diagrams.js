@@ -0,0 +1,21 @@
+const { PLUGIN_NAME, isPluginConfigured, validateMermaid } = require('../../validate-mermaid');
+
+module.exports = {
+    id: 'mermaid-diagrams',
+    description: `Mermaid diagrams parse with the mermaid release bundled by ${PLUGIN_NAME}`,
+
+    check(context) {
+        if (!context.exists('SUMMARY.md')) return;
+        if (!isPluginConfigured(context.rootDir)) {
+            context.info(`${PLUGIN_NAME} is not enabled in book.json - diagrams not checked`);
+            return;
+        }
+
+        const { version, blocks, problems } = validateMermaid(context.rootDir);
+        problems.forEach(problem => {
+            const snippet = problem.snippet.length > 0 ? `: ${problem.snippet[0].trim()}` : '';
+            context.error(`${problem.message} (diagram at line ${problem.blockLine})${snippet}`, { file: problem.file, line: problem.line });
+        });
+        context.info(`${blocks} diagrams checked with mermaid ${version}`);
+    }
+};
@@ -0,0 +1,24 @@
+const { getParseErrorLocation } = require('../../validate-json-schemas');
+
+module.exports = {
+    id: 'package-json',
+    description: 'package.json is valid JSON',
+
+    check(context) {
+        const file = 'package.json';
+        if (!context.exists(file)) return;
+
+        const text = context.readFile(file);
+        let packageJson;
+        try {
+            packageJson = JSON.parse(text);
+        } catch (error) {
+            context.error(`Invalid JSON: ${error.message}`, { file, ...getParseErrorLocation(text, error) });
+            return;
+        }
+
+        if (packageJson.scripts) {
+            context.info(`${Object.keys(packageJson.scripts).length} scripts defined`, { file });
+        }
+    }
+};
@@ -0,0 +1,22 @@
+const { validateProblemMetadata } = require('../../validate-problem-metadata');
+
+module.exports = {
+    id: 'problem-metadata',
+    description: 'Interview problem front matter matches templates/problem-metadata-schema.yaml (add starters with npm run validate-metadata -- --init)',
+
+    check(context) {
+        if (!context.exists('SUMMARY.md') || !context.exists('templates/problem-metadata-schema.yaml')) return;
+
+        const { pages } = validateProblemMetadata(context.rootDir);
+        pages.forEach(page => {
+            page.problems.forEach(problem => {
+                context.error(`${problem.field ? `${problem.field}: ` : ''}${problem.message}`, { file: page.file, line: problem.line });
+            });
+        });
+
+        const withoutFrontMatter = pages.filter(page => !page.metadata && page.problems.length === 0 && context.exists(page.file));
+        if (withoutFrontMatter.length > 0) {
+            context.info(`${withoutFrontMatter.length} of ${pages.length} problem pages have no front matter yet`);
+        }
+    }
+};
@@ -0,0 +1,18 @@
+const { checkQuizzes } = require('../../check-quizzes');
+
+module.exports = {
+    id: 'quizzes',
+    description: 'Quiz questions have options, a correct answer that matches one of them and an explanation (npm run check-quizzes)',
+
+    check(context) {
+        if (!context.exists('SUMMARY.md')) return;
+
+        const { questions, problems } = checkQuizzes(context.rootDir);
+        problems.forEach(problem => {
+            context[problem.severity](problem.message, { file: problem.file, line: problem.line });
+        });
+
+        const scorable = questions.filter(({ question }) => question.type !== 'open').length;
+        context.info(`${scorable} interactive quiz question${scorable === 1 ? '' : 's'}`);
+    }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+    id: 'readme',
+    description: 'README.md has the book title',
+
+    check(context) {
+        const file = 'README.md';
+        if (!context.exists(file)) return;
+
+        const content = context.readFile(file);
+        if (!/^#\s+\S/m.test(content)) {
+            context.warning('No top-level "# Title" heading', { file });
+        }
+
+        context.info(`${content.split(/\s+/).filter(Boolean).length} words`, { file });
+    }
+};
@@ -0,0 +1,14 @@
+const REQUIRED_FILES = ['README.md', 'SUMMARY.md', 'book.json', '.gitbook.yaml', 'package.json'];
+
+module.exports = {
+    id: 'required-files',
+    description: 'Files GitBook needs to build the book exist',
+
+    check(context) {
+        REQUIRED_FILES.forEach(file => {
+            if (!context.exists(file)) {
+                context.error('Missing required file', { file });
+            }
+        });
+    }
+};
@@ -0,0 +1,14 @@
+const { lintNumbering } = require('../../lint-numbering');
+
+module.exports = {
+    id: 'section-numbering',
+    description: 'Section files and SUMMARY.md numbering follow INDEXING-SYSTEM.md (fix with npm run lint-numbering -- --fix)',
+
+    check(context) {
+        if (!context.exists('SUMMARY.md')) return;
+
+        lintNumbering(context.rootDir).problems.forEach(problem => {
+            context.error(`[${problem.rule}] ${problem.message}`, { file: problem.file, line: problem.line });
+        });
+    }
+};
@@ -0,0 +1,18 @@
+const { loadSummary } = require('../../summary-parser');
+
+module.exports = {
+    id: 'summary-structure',
+    description: 'SUMMARY.md parses into parts, chapters and sections',
+
+    check(context) {
+        const file = 'SUMMARY.md';
+        if (!context.exists(file)) return;
+
+        const { counts } = loadSummary(context.rootDir);
+        if (counts.chapters === 0) {
+            context.error('No "Chapter N:" entries found', { file });
+        }
+
+        context.info(`${counts.parts} parts, ${counts.chapters} chapters, ${counts.sections} sections, ${counts.appendices} appendices, ${counts.pages} links`, { file });
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * Validation Runner for System Design GitBook
+ * Loads the rule modules, applies validation.config.json and collects the
+ * issues each rule reports.
+ *
+ * A rule is a module exporting { id, description, check(context) }. check()
+ * reports through context.error(), context.warning() and context.info(),
+ * each taking a message and an optional { file, line, column } location.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const builtinRules = require('./rules');
+
+const CONFIG_FILE = 'validation.config.json';
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Exit code for the highest severity found
+const EXIT_CODES = { error: 2, warning: 1, info: 0 };
+
+// Read the config file; a missing file means every rule is on
+function loadConfig(rootDir, configPath = null) {
+    const filePath = configPath ? path.resolve(configPath) : path.join(rootDir, CONFIG_FILE);
+    if (!fs.existsSync(filePath)) {
+        if (configPath) throw new Error(`Config file not found: ${configPath}`);
+        return { rules: {}, plugins: [], configDir: rootDir };
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        rules: config.rules || {},
+        plugins: config.plugins || [],
+        configDir: path.dirname(filePath)
+    };
+}
+
+// Built-in rules plus plugin rules listed in the config
+function loadRules(config) {
+    const plugins = config.plugins.map(plugin => require(path.resolve(config.configDir, plugin)));
+    const rules = [...builtinRules, ...plugins];
+
+    rules.forEach(rule => {
+        if (!rule || !rule.id || typeof rule.check !== 'function') {
+            throw new Error('Validation rules must export { id, description, check(context) }');
+        }
+    });
+
+    const ids = new Set();
+    rules.forEach(rule => {
+        if (ids.has(rule.id)) throw new Error(`Duplicate validation rule id: ${rule.id}`);
+        ids.add(rule.id);
+    });
+
+    return rules;
+}
+
+// Whether the config turns a rule on ("on"/true, the default) or off ("off"/false)
+function isRuleEnabled(config, ruleId) {
+    const setting = config.rules[ruleId];
+    return !(setting === false || setting === 'off');
+}
+
+// Helpers and report functions handed to each rule
+function createContext(rootDir, issues) {
+    const report = severity => (message, location = {}) => {
+        issues.push({
+            severity,
+            message,
+            file: location.file || null,
+            line: location.line || null,
+            column: location.column || null
+        });
+    };
+
+    return {
+        rootDir,
+        resolve: file => path.join(rootDir, file),
+        exists: file => fs.existsSync(path.join(rootDir, file)),
+        readFile: file => fs.readFileSync(path.join(rootDir, file), 'utf8'),
+        error: report('error'),
+        warning: report('warning'),
+        info: report('info')
+    };
+}
+
+// Run the enabled rules (optionally only those in `only`); returns { results, summary }
+function runValidation(rootDir, options = {}) {
+    const config = options.config || loadConfig(rootDir, options.configPath);
+    const rules = loadRules(config);
+    const only = options.only && options.only.length > 0 ? new Set(options.only) : null;
+
+    if (only) {
+        only.forEach(id => {
+            if (!rules.some(rule => rule.id === id)) throw new Error(`Unknown validation rule: ${id}`);
+        });
+    }
+
+    const results = rules
+        .filter(rule => (only ? only.has(rule.id) : isRuleEnabled(config, rule.id)))
+        .map(rule => {
+            const issues = [];
+            const started = Date.now();
+
+            try {
+                rule.check(createContext(rootDir, issues));
+            } catch (error) {
+                issues.push({ severity: 'error', message: `Rule crashed: ${error.message}`, file: null, line: null, column: null });
+            }
+
+            return { id: rule.id, description: rule.description || '', issues, duration: Date.now() - started };
+        });
+
+    return { results, summary: summarize(results) };
+}
+
+// Issue counts per severity, the highest severity and the matching exit code
+function summarize(results) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    results.forEach(result => result.issues.forEach(issue => counts[issue.severity]++));
+
+    const highest = SEVERITIES.find(severity => severity !== 'info' && counts[severity] > 0) || (counts.info > 0 ? 'info' : null);
+    return {
+        rules: results.length,
+        errors: counts.error,
+        warnings: counts.warning,
+        info: counts.info,
+        highestSeverity: highest,
+        exitCode: highest ? EXIT_CODES[highest] : 0
+    };
+}
+
+module.exports = {
+    CONFIG_FILE,
+    SEVERITIES,
+    EXIT_CODES,
+    loadConfig,
+    loadRules,
+    isRuleEnabled,
+    runValidation,
+    summarize
+};